@@ -8,10 +8,83 @@ const passport = require('passport');
 const GoogleStrategy = require('passport-google-oauth20').Strategy;
 
 const path = require('path');
-
-// Use the legacy Square client for now (simpler with Node.js CommonJS)
-const { Client, Environment } = require('square/legacy');
-const { syncAllMerchants } = require('./lib/inventorySync');
+const crypto = require('crypto');
+
+const {
+  createSquareClient,
+  createOAuthClient,
+  getSquareApiStats,
+} = require('./lib/squareClient');
+const { getSquareClientForMerchant } = require('./lib/squareAuth');
+const squareWebhooks = require('./lib/squareWebhooks');
+const { getSyncRun, listSyncRuns } = require('./lib/syncRuns');
+const { getItemHistory } = require('./lib/inventoryHistory');
+const { parLevelDocId, setParLevel, listParLevels, getParLevelsByKeys } = require('./lib/parLevels');
+const { evaluateLowStock, listLowStockAlerts } = require('./lib/lowStock');
+const {
+  createDraftPurchaseOrders,
+  getPurchaseOrder,
+  listPurchaseOrders,
+  updateDraftPurchaseOrder,
+  setPurchaseOrderStatus,
+  purchaseOrderToCsv,
+  writePurchaseOrderPdf,
+} = require('./lib/purchaseOrders');
+const { receiveDelivery, postReceipt, listReceipts } = require('./lib/receiving');
+const {
+  startCountSession,
+  getCountSession,
+  listCountSessions,
+  saveCounts,
+  approveCountSession,
+  cancelCountSession,
+} = require('./lib/cycleCounts');
+const { suggestTransfers, createTransfers, postTransfer, listTransfers } = require('./lib/transfers');
+const { applyPriceChanges } = require('./lib/priceUpdates');
+const {
+  RULE_SCOPES,
+  RULE_METHODS,
+  RULE_ROUNDINGS,
+  saveRule,
+  deleteRule,
+  listRules,
+  suggestPrices,
+  applySuggestedPrices,
+} = require('./lib/pricingRules');
+const { HARMONIZE_STRATEGIES, MASTER_LOCATION_KEY, harmonizePrices } = require('./lib/priceHarmonize');
+const {
+  schedulePriceChange,
+  listScheduledPriceChanges,
+  cancelScheduledPriceChange,
+  runDuePriceChanges,
+} = require('./lib/scheduledPrices');
+
+const { createAuditTrail, recordAudit, searchAuditLog, snapshotCatalogObject } = require('./lib/auditLog');
+const { canRevert, revertAuditEntry } = require('./lib/auditRevert');
+const { parseGtinMetaInput, previewGtinMetaUpdate } = require('./lib/gtinMetaPropagation');
+const { operationKey, versionOf, checkVersion, conflictError } = require('./lib/catalogVersions');
+const {
+  TRASH_RETENTION_DAYS,
+  archiveItem,
+  restoreArchived,
+  purgeArchived,
+  deleteItemPermanently,
+  listTrash,
+} = require('./lib/archive');
+const {
+  JOB_STATUSES,
+  enqueueJob,
+  getJob,
+  listJobs,
+  cancelJob,
+  retryJob,
+  drainJobs,
+  startJobWorker,
+} = require('./lib/jobs');
+const { DUPLICATE_MODES } = require('./lib/gtinDuplicates');
+const { isActiveRow } = require('./lib/inventoryRows');
+// Registers the job types the routes below enqueue
+require('./lib/jobTypes');
 
 const firestore = require('./lib/firestore'); // or './lib/firestore' from root
 
@@ -21,7 +94,12 @@ const app = express();
 app.set('trust proxy', 1);
 
 // Parse JSON once, globally
-app.use(express.json());
+// (keep the raw body for webhook signature verification)
+app.use(express.json({
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/webhooks/')) req.rawBody = buf.toString('utf8');
+  },
+}));
 
 // 🔹 Session middleware – MUST be before passport.session()
 app.use(
@@ -57,18 +135,8 @@ const REDIRECT_URI =
   process.env.SQUARE_REDIRECT_URI ||
   'https://square-inventory-sync-976955084378.us-central1.run.app/square/oauth/callback';
 
-
 // Square client used for OAuth calls (no access token needed for obtainToken)
-const squareOAuthClient = new Client({
-  environment: SQUARE_ENV === 'sandbox' ? Environment.Sandbox : Environment.Production,
-});
-
-function createSquareClient(accessToken, env) {
-  return new Client({
-    environment: env === 'sandbox' ? Environment.Sandbox : Environment.Production,
-    bearerAuthCredentials: { accessToken },
-  });
-}
+const squareOAuthClient = createOAuthClient(SQUARE_ENV);
 
 // views
 app.set('view engine', 'ejs');
@@ -82,7 +150,8 @@ app.use(passport.session());
 
 // 🔹 Make user available in all views
 app.use((req, res, next) => {
-  res.locals.user = req.user; // will be { id, email } from serializeUser
+  res.locals.user = req.user; // will be { id, email, role } from serializeUser
+  res.locals.isAdmin = isAdmin(req.user);
   next();
 });
 
@@ -92,6 +161,12 @@ const ALLOWED_EMAILS = (process.env.ALLOWED_EMAILS || '')
   .map(e => e.trim().toLowerCase())
   .filter(Boolean);
 
+// Emails that get the admin role (audit log etc.), same format as ALLOWED_EMAILS
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || '')
+  .split(';')
+  .map(e => e.trim().toLowerCase())
+  .filter(Boolean);
+
 // Configure Google strategy
 passport.use(
   new GoogleStrategy(
@@ -109,7 +184,7 @@ passport.use(
       if (!email || (ALLOWED_EMAILS.length && !ALLOWED_EMAILS.includes(email))) {
         return done(null, false, { message: 'Your Google account is not allowed to access this app.' });
       }
-      return done(null, { id: profile.id, email });
+      return done(null, { id: profile.id, email, role: ADMIN_EMAILS.includes(email) ? 'admin' : 'user' });
     }
   )
 );
@@ -147,7 +222,7 @@ passport.use(new LocalStrategy(
 
 // Serialize user (store minimal info in session)
 passport.serializeUser((user, done) => {
-  done(null, { id: user.id, email: user.email });
+  done(null, { id: user.id, email: user.email, role: user.role || 'user' });
 });
 
 passport.deserializeUser((obj, done) => {
@@ -161,6 +236,29 @@ function requireLogin(req, res, next) {
   return res.redirect(`/login?next=${nextUrl}`);
 }
 
+function isAdmin(user) {
+  if (!user) return false;
+  return user.role === 'admin' || ADMIN_EMAILS.includes((user.email || '').toLowerCase());
+}
+
+// Admin-only pages; run after requireLogin
+function requireAdmin(req, res, next) {
+  if (isAdmin(req.user)) return next();
+  return res.status(403).send('Admins only');
+}
+
+// Task endpoints: a signed-in user, or a scheduler sending
+// `Authorization: Bearer <TASKS_TOKEN>`
+const TASKS_TOKEN = process.env.TASKS_TOKEN || '';
+
+function requireTaskAuth(req, res, next) {
+  if (req.isAuthenticated && req.isAuthenticated()) return next();
+  const given = Buffer.from((req.get('authorization') || '').replace(/^Bearer\s+/i, ''));
+  const expected = Buffer.from(TASKS_TOKEN);
+  if (TASKS_TOKEN && given.length === expected.length && crypto.timingSafeEqual(given, expected)) return next();
+  return res.status(401).json({ error: 'Sign in or send the task token' });
+}
+
 // Login screen
 app.get('/login', (req, res) => {
   if (req.isAuthenticated && req.isAuthenticated()) return res.redirect('/dashboard');
@@ -302,7 +400,17 @@ app.get('/dashboard/:merchantId', requireLogin, async (req, res) => {
 // Reports page
 app.get('/reports', requireLogin, async (req, res) => {
   try {
-    const full = req.query.full === '1';   // /reports?full=1 to run heavy scan
+    // /reports?full=1 queues the heavy scan (reports.full job) and comes back
+    // with ?jobId=; the page polls the job and shows the result once it is done
+    if (req.query.full === '1' && !req.query.jobId) {
+      const job = await enqueueJob('reports.full', {}, { user: req.user, dedupe: true });
+      return res.redirect(`/reports?full=1&jobId=${encodeURIComponent(job.id)}`);
+    }
+
+    const reportJob = req.query.jobId ? await getJob(String(req.query.jobId)) : null;
+    const fullReport =
+      reportJob && reportJob.type === 'reports.full' && reportJob.status === 'succeeded' ? reportJob.result : null;
+    const full = !!fullReport;
     const lite = !full;
 
     // ---------- 1) Always-fast collection counts ----------
@@ -357,7 +465,7 @@ app.get('/reports', requireLogin, async (req, res) => {
       }
     }
 
-    // ---------- 4) Full-mode metrics (HEAVY) ----------
+    // ---------- 4) Full-mode metrics (from the reports.full job) ----------
     let perMerchant = [];
     let dataQuality = {
       totalRealItems: 0,
@@ -377,189 +485,13 @@ app.get('/reports', requireLogin, async (req, res) => {
     // Optional recent sync runs (fast enough)
     let syncRuns = [];
     try {
-      const syncSnap = await firestore
-        .collection('syncRuns')
-        .orderBy('runAt', 'desc')
-        .limit(20)
-        .get();
-      syncRuns = syncSnap.docs.map(d => d.data());
+      syncRuns = await listSyncRuns(20);
     } catch (e) {
       console.warn('No syncRuns or query failed:', e.message);
     }
 
-    if (full) {
-      // Load gtinMeta into a map for cost coverage (still okay; usually not huge)
-      const gtinMetaMap = new Map();
-      try {
-        const gtinSnap = await firestore.collection('gtinMeta').get();
-        gtinSnap.forEach(doc => {
-          const d = doc.data();
-          const gtin = d.gtin || doc.id;
-          if (!gtin) return;
-          gtinMetaMap.set(gtin, {
-            unitCost: d.unitCost ?? d.unit_cost ?? null,
-          });
-        });
-      } catch (e) {
-        console.warn('gtinMeta read failed:', e.message);
-      }
-
-      // global real coverage counts
-      let globalRealItems = 0;
-      let globalWithGtin = 0;
-      let globalWithSku = 0;
-      let globalWithCost = 0;
-      let globalWithImage = 0;
-      let globalWithTax = 0;
-
-      // pricing: store min/max per GTIN (MUCH less memory than Set)
-      const priceMinMaxByGtin = new Map(); // gtin -> {min, max}
-
-      const READ_PAGE_SIZE = 800; // slightly smaller pages helps memory spikes
-
-      for (const merchant of merchants) {
-        const merchantId = merchant.id;
-        const merchantName = merchant.business_name || merchantId;
-
-        const invRef = firestore
-          .collection('merchants')
-          .doc(merchantId)
-          .collection('inventory');
-
-        let lastDoc = null;
-
-        let realCount = 0;
-        let syntheticCount = 0;
-
-        const distinctGtinsTotal = new Set();
-        const distinctGtinsReal = new Set();
-
-        let itemsMissingGtin = 0;
-        let itemsMissingSku = 0;
-        let itemsWithImage = 0;
-        let itemsWithTax = 0;
-
-        let estInventoryValue = 0;
-
-        // Only fetch fields you actually use (reduces payload a lot)
-        while (true) {
-          let q = invRef
-            .orderBy('__name__')
-            .select(
-              'synthetic',
-              'gtin',
-              'sku',
-              'qty',
-              'price',
-              'currency',
-              'image_urls',
-              'tax_names'
-            )
-            .limit(READ_PAGE_SIZE);
-
-          if (lastDoc) q = q.startAfter(lastDoc);
-
-          const snap = await q.get();
-          if (snap.empty) break;
-
-          snap.forEach(doc => {
-            const d = doc.data();
-            const isSynthetic = d.synthetic === true;
-
-            const gtin = d.gtin || null;
-            const sku = d.sku || null;
-
-            const hasImage =
-              Array.isArray(d.image_urls) ? d.image_urls.length > 0 : !!d.image_urls;
-            const hasTax =
-              Array.isArray(d.tax_names) ? d.tax_names.length > 0 : !!d.tax_names;
-
-            if (isSynthetic) syntheticCount++;
-            else realCount++;
-
-            if (gtin) distinctGtinsTotal.add(gtin);
-            if (gtin && !isSynthetic) distinctGtinsReal.add(gtin);
-
-            if (!gtin) itemsMissingGtin++;
-            if (!sku) itemsMissingSku++;
-
-            if (hasImage) itemsWithImage++;
-            if (hasTax) itemsWithTax++;
-
-            if (!isSynthetic) {
-              globalRealItems++;
-              if (gtin) globalWithGtin++;
-              if (sku) globalWithSku++;
-              if (hasImage) globalWithImage++;
-              if (hasTax) globalWithTax++;
-
-              if (gtin && gtinMetaMap.has(gtin)) {
-                const unitCost = gtinMetaMap.get(gtin)?.unitCost;
-                if (unitCost !== null && unitCost !== undefined && !isNaN(unitCost)) {
-                  globalWithCost++;
-                  const qty = d.qty != null ? Number(d.qty) : 0;
-                  estInventoryValue += qty * Number(unitCost);
-                }
-              }
-
-              // pricing mismatch min/max
-              if (gtin && d.price != null) {
-                const price = Number(d.price);
-                if (!isNaN(price)) {
-                  const mm = priceMinMaxByGtin.get(gtin);
-                  if (!mm) priceMinMaxByGtin.set(gtin, { min: price, max: price });
-                  else {
-                    if (price < mm.min) mm.min = price;
-                    if (price > mm.max) mm.max = price;
-                  }
-                }
-              }
-            }
-          });
-
-          lastDoc = snap.docs[snap.docs.length - 1];
-        }
-
-        perMerchant.push({
-          merchantId,
-          merchantName,
-          realCount,
-          syntheticCount,
-          distinctGtinsTotal: distinctGtinsTotal.size,
-          distinctGtinsReal: distinctGtinsReal.size,
-          itemsMissingGtin,
-          itemsMissingSku,
-          itemsWithImage,
-          itemsWithTax,
-          estInventoryValue,
-        });
-      }
-
-      const pct = (part, total) => (!total ? 0 : Math.round((part / total) * 1000) / 10);
-
-      dataQuality = {
-        totalRealItems: globalRealItems,
-        gtinCoveragePct: pct(globalWithGtin, globalRealItems),
-        skuCoveragePct: pct(globalWithSku, globalRealItems),
-        costCoveragePct: pct(globalWithCost, globalRealItems),
-        imageCoveragePct: pct(globalWithImage, globalRealItems),
-        taxCoveragePct: pct(globalWithTax, globalRealItems),
-      };
-
-      let gtinsWithAnyMismatch = 0;
-      let gtinsWithSpreadOver1 = 0;
-      let gtinsWithSpreadOver3 = 0;
-
-      for (const [, mm] of priceMinMaxByGtin) {
-        if (mm.max > mm.min) {
-          gtinsWithAnyMismatch++;
-          const spread = mm.max - mm.min;
-          if (spread >= 1) gtinsWithSpreadOver1++;
-          if (spread >= 3) gtinsWithSpreadOver3++;
-        }
-      }
-
-      pricing = { gtinsWithAnyMismatch, gtinsWithSpreadOver1, gtinsWithSpreadOver3 };
+    if (fullReport) {
+      ({ perMerchant, dataQuality, pricing } = fullReport);
     }
 
     // ---------- 5) Render ----------
@@ -577,9 +509,10 @@ app.get('/reports', requireLogin, async (req, res) => {
         pricing,
       },
       syncRuns,
+      reportJob: reportJob && reportJob.type === 'reports.full' ? reportJob : null,
       activePage: 'reports',
       user: req.user || null,
-      generatedAt: new Date().toISOString(),
+      generatedAt: fullReport ? fullReport.generatedAt : new Date().toISOString(),
     });
   } catch (err) {
     console.error('Error building reports page:', err);
@@ -588,6 +521,781 @@ app.get('/reports', requireLogin, async (req, res) => {
 });
 
 
+// Inventory movement timeline for one item (variation within a merchant, or GTIN)
+app.get('/inventory-history', requireLogin, async (req, res) => {
+  try {
+    const filters = {
+      merchantId: req.query.merchantId || null,
+      variationId: req.query.variationId || null,
+      gtin: req.query.gtin || null,
+      locationId: req.query.locationId || null,
+    };
+    if (!filters.variationId && !filters.gtin) {
+      return res.status(400).send('variationId or gtin is required');
+    }
+
+    const rows = await getItemHistory(filters);
+
+    const allLocationsParams = new URLSearchParams();
+    ['merchantId', 'variationId', 'gtin'].forEach((k) => {
+      if (filters[k]) allLocationsParams.set(k, filters[k]);
+    });
+
+    res.render('inventory_history', {
+      rows,
+      filters,
+      allLocationsUrl: '/inventory-history?' + allLocationsParams.toString(),
+      merchants: [],
+      pageTitle: 'Inventory History',
+      activePage: 'dashboard',
+    });
+  } catch (err) {
+    console.error('Error loading /inventory-history:', err);
+    res.status(500).send('Failed to load inventory history: ' + err.message);
+  }
+});
+
+// Par levels (min / max per GTIN + location)
+app.get('/api/par-levels', requireLogin, async (req, res) => {
+  try {
+    const merchantId = req.query.merchantId || null;
+    if (!merchantId) return res.status(400).json({ error: 'merchantId is required' });
+
+    const parLevels = await listParLevels({ merchantId, locationId: req.query.locationId || null });
+    res.json({ parLevels });
+  } catch (err) {
+    console.error('Error in /api/par-levels', err);
+    res.status(500).json({ error: err.message || 'Failed to load par levels' });
+  }
+});
+
+// Save a par level (empty min and max removes it), then re-check that location
+app.post('/api/par-levels', requireLogin, async (req, res) => {
+  try {
+    const { merchantId, locationId, gtin, minQty, maxQty } = req.body || {};
+
+    const merchantDoc = merchantId ? await firestore.collection('merchants').doc(merchantId).get() : null;
+    if (!merchantDoc || !merchantDoc.exists) {
+      return res.status(404).json({ error: 'Merchant not found' });
+    }
+
+    const parLevel = await setParLevel({
+      merchantId,
+      locationId,
+      gtin,
+      minQty,
+      maxQty,
+      updatedBy: req.user?.email || null,
+    });
+
+    const merchant = merchantDoc.data();
+    const location = (merchant.locations || []).find((l) => l.id === locationId) || { id: locationId };
+    const lowStock = await evaluateLowStock({
+      merchantId,
+      merchantName: merchant.business_name,
+      location,
+    });
+
+    res.json({ success: true, parLevel, lowStock });
+  } catch (err) {
+    console.error('Error in POST /api/par-levels', err);
+    res.status(err.statusCode || 500).json({ error: err.message || 'Failed to save par level' });
+  }
+});
+
+// Low stock alerts (opened / closed by the inventory sync)
+app.get('/low-stock', requireLogin, async (req, res) => {
+  try {
+    const status = req.query.status === 'closed' ? 'closed' : 'open';
+    const merchantId = req.query.merchantId || null;
+
+    const [alerts, merchantsSnap] = await Promise.all([
+      listLowStockAlerts({ status, merchantId }),
+      firestore.collection('merchants').get(),
+    ]);
+    const merchants = merchantsSnap.docs.map(d => ({ id: d.id, ...d.data() }));
+
+    res.render('low_stock', {
+      alerts,
+      status,
+      merchantId,
+      merchantOptions: merchants.map(m => ({ id: m.id, name: m.business_name || m.id })),
+      merchants: [],
+      pageTitle: 'Low Stock',
+      activePage: 'low-stock',
+    });
+  } catch (err) {
+    console.error('Error loading /low-stock:', err);
+    res.status(500).send('Failed to load low stock alerts: ' + err.message);
+  }
+});
+
+const PURCHASE_ORDER_STATUSES = ['draft', 'sent', 'partially_received', 'received', 'cancelled'];
+
+// Purchase orders – list + generate
+app.get('/purchase-orders', requireLogin, async (req, res) => {
+  try {
+    const status = PURCHASE_ORDER_STATUSES.includes(req.query.status) ? req.query.status : null;
+    const merchantId = req.query.merchantId || null;
+
+    const [orders, merchantsSnap] = await Promise.all([
+      listPurchaseOrders({ status, merchantId }),
+      firestore.collection('merchants').get(),
+    ]);
+
+    res.render('purchase_orders', {
+      orders,
+      status,
+      statuses: PURCHASE_ORDER_STATUSES,
+      merchantId,
+      merchantOptions: merchantsSnap.docs.map(d => ({
+        id: d.id,
+        name: d.data().business_name || d.id,
+        locations: d.data().locations || [],
+      })),
+      error: req.query.error || null,
+      merchants: [],
+      pageTitle: 'Purchase Orders',
+      activePage: 'purchase-orders',
+    });
+  } catch (err) {
+    console.error('Error loading /purchase-orders:', err);
+    res.status(500).send('Failed to load purchase orders: ' + err.message);
+  }
+});
+
+// "gtin[,qty]" per line (comma, tab or space separated)
+function parsePurchaseOrderItems(raw) {
+  if (Array.isArray(raw)) return raw;
+  return String(raw || '')
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map(line => {
+      const [gtin, qty] = line.split(/[\s,;]+/);
+      return { gtin, qty: qty !== undefined ? qty : '' };
+    });
+}
+
+// Create draft POs (one per location + vendor) from open low-stock alerts,
+// or from hand-picked items when `items` is given
+app.post('/purchase-orders', requireLogin, async (req, res) => {
+  const wantsJson = req.is('application/json');
+  try {
+    const { merchantId, locationId, notes } = req.body || {};
+    const items = parsePurchaseOrderItems(req.body?.items);
+
+    const created = await createDraftPurchaseOrders({
+      merchantId,
+      locationId: locationId || null,
+      items: items.length ? items : null,
+      notes,
+      createdBy: req.user?.email || null,
+    });
+
+    if (wantsJson) return res.json({ success: true, purchaseOrders: created });
+    if (!created.length) {
+      return res.redirect('/purchase-orders?error=' + encodeURIComponent('Nothing to order for that selection'));
+    }
+    if (created.length === 1) return res.redirect(`/purchase-orders/${created[0].id}`);
+    res.redirect('/purchase-orders?status=draft&merchantId=' + encodeURIComponent(merchantId));
+  } catch (err) {
+    console.error('Error in POST /purchase-orders', err);
+    if (wantsJson) return res.status(err.statusCode || 500).json({ error: err.message });
+    res.redirect('/purchase-orders?error=' + encodeURIComponent(err.message));
+  }
+});
+
+app.get('/purchase-orders/:id', requireLogin, async (req, res) => {
+  try {
+    const po = await getPurchaseOrder(req.params.id);
+    if (!po) return res.status(404).send(`Purchase order ${req.params.id} not found`);
+
+    const receipts = po.status === 'draft' ? [] : await listReceipts({ purchaseOrderId: po.id });
+
+    res.render('purchase_order', {
+      po,
+      receipts,
+      error: req.query.error || null,
+      merchants: [],
+      pageTitle: 'Purchase Order',
+      activePage: 'purchase-orders',
+    });
+  } catch (err) {
+    console.error('Error loading purchase order:', err);
+    res.status(500).send('Failed to load purchase order: ' + err.message);
+  }
+});
+
+// Edit a draft: { lines: [{ gtin, order_qty, unit_cost }], notes, vendorName }
+app.post('/api/purchase-orders/:id', requireLogin, async (req, res) => {
+  try {
+    const po = await updateDraftPurchaseOrder(req.params.id, {
+      lines: req.body?.lines,
+      notes: req.body?.notes,
+      vendorName: req.body?.vendorName,
+    });
+    res.json({ success: true, purchaseOrder: po });
+  } catch (err) {
+    console.error('Error updating purchase order', err);
+    res.status(err.statusCode || 500).json({ error: err.message || 'Failed to update purchase order' });
+  }
+});
+
+// draft -> sent | cancelled
+app.post('/purchase-orders/:id/status', requireLogin, async (req, res) => {
+  try {
+    await setPurchaseOrderStatus(req.params.id, req.body?.status, req.user?.email || null);
+    res.redirect(`/purchase-orders/${req.params.id}`);
+  } catch (err) {
+    console.error('Error changing purchase order status', err);
+    res.redirect(`/purchase-orders/${req.params.id}?error=` + encodeURIComponent(err.message));
+  }
+});
+
+app.get('/purchase-orders/:id/csv', requireLogin, async (req, res) => {
+  try {
+    const po = await getPurchaseOrder(req.params.id);
+    if (!po) return res.status(404).send(`Purchase order ${req.params.id} not found`);
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${po.po_number}.csv"`);
+    res.send(purchaseOrderToCsv(po));
+  } catch (err) {
+    console.error('Error exporting purchase order CSV', err);
+    res.status(500).send('Failed to export purchase order: ' + err.message);
+  }
+});
+
+app.get('/purchase-orders/:id/pdf', requireLogin, async (req, res) => {
+  try {
+    const po = await getPurchaseOrder(req.params.id);
+    if (!po) return res.status(404).send(`Purchase order ${req.params.id} not found`);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${po.po_number}.pdf"`);
+    writePurchaseOrderPdf(po, res);
+  } catch (err) {
+    console.error('Error exporting purchase order PDF', err);
+    res.status(500).send('Failed to export purchase order: ' + err.message);
+  }
+});
+
+// Receiving – recent receipts + ad-hoc delivery form
+app.get('/receiving', requireLogin, async (req, res) => {
+  try {
+    const merchantId = req.query.merchantId || null;
+    const [receipts, merchantsSnap] = await Promise.all([
+      listReceipts({ merchantId }),
+      firestore.collection('merchants').get(),
+    ]);
+
+    res.render('receiving', {
+      receipts,
+      merchantId,
+      merchantOptions: merchantsSnap.docs.map(d => ({
+        id: d.id,
+        name: d.data().business_name || d.id,
+        locations: d.data().locations || [],
+      })),
+      error: req.query.error || null,
+      merchants: [],
+      pageTitle: 'Receiving',
+      activePage: 'receiving',
+    });
+  } catch (err) {
+    console.error('Error loading /receiving:', err);
+    res.status(500).send('Failed to load receiving: ' + err.message);
+  }
+});
+
+// "gtin, qty[, unit cost]" per line (comma, tab or space separated)
+function parseReceiptItems(raw) {
+  if (Array.isArray(raw)) return raw;
+  return String(raw || '')
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map(line => {
+      const [gtin, qty, unitCost] = line.split(/[\s,;]+/);
+      return { gtin, qty, unitCost };
+    });
+}
+
+// Audit entry for a receipt post (POST /receipts, retry)
+function auditReceipt(req, receipt, trail) {
+  return recordAudit({
+    req,
+    action: 'inventory.receive',
+    gtins: (receipt.lines || []).map(l => l.gtin),
+    merchantIds: [receipt.merchant_id],
+    trail,
+    status: receipt.status === 'posted' ? 'success' : 'failed',
+    error: receipt.error || null,
+    summary: { receiptId: receipt.id, purchaseOrderId: receipt.purchase_order_id || null, totalUnits: receipt.total_units },
+  });
+}
+
+// Receive a delivery against a PO ({ purchaseOrderId, items? }) or ad hoc
+// ({ merchantId, locationId, items }) – posts RECEIVE adjustments to Square
+app.post('/receipts', requireLogin, async (req, res) => {
+  const wantsJson = req.is('application/json');
+  const purchaseOrderId = req.body?.purchaseOrderId || null;
+  const trail = createAuditTrail();
+  try {
+    const receipt = await receiveDelivery({
+      merchantId: req.body?.merchantId || null,
+      locationId: req.body?.locationId || null,
+      purchaseOrderId,
+      items: parseReceiptItems(req.body?.items),
+      notes: req.body?.notes || null,
+      receivedBy: req.user?.email || null,
+      trail,
+    });
+    await auditReceipt(req, receipt, trail);
+
+    if (wantsJson) {
+      const code = receipt.status === 'posted' ? 200 : 502;
+      return res.status(code).json({ success: receipt.status === 'posted', receipt, error: receipt.error || undefined });
+    }
+
+    const back = purchaseOrderId ? `/purchase-orders/${purchaseOrderId}` : '/receiving';
+    if (receipt.status !== 'posted') {
+      return res.redirect(back + '?error=' + encodeURIComponent(`Receipt saved but not posted: ${receipt.error}`));
+    }
+    res.redirect(back);
+  } catch (err) {
+    console.error('Error in POST /receipts', err);
+    if (trail.targets.length) await recordAudit({ req, action: 'inventory.receive', trail, status: 'failed', error: err });
+    if (wantsJson) return res.status(err.statusCode || 500).json({ error: err.message });
+    const back = purchaseOrderId ? `/purchase-orders/${purchaseOrderId}` : '/receiving';
+    res.redirect(back + '?error=' + encodeURIComponent(err.message));
+  }
+});
+
+// Retry a receipt that failed to post (same idempotency key, never double-counts)
+app.post('/receipts/:id/retry', requireLogin, async (req, res) => {
+  const trail = createAuditTrail();
+  try {
+    const receipt = await postReceipt(req.params.id, { trail });
+    await auditReceipt(req, receipt, trail);
+    if (receipt.status !== 'posted') {
+      return res.redirect('/receiving?error=' + encodeURIComponent(`Receipt still failing: ${receipt.error}`));
+    }
+    res.redirect('/receiving');
+  } catch (err) {
+    console.error('Error retrying receipt', err);
+    if (trail.targets.length) await recordAudit({ req, action: 'inventory.receive', trail, status: 'failed', error: err });
+    res.redirect('/receiving?error=' + encodeURIComponent(err.message));
+  }
+});
+
+const COUNT_SESSION_STATUSES = ['open', 'submitted', 'failed', 'cancelled'];
+
+// Cycle counts – recent sessions + start form
+app.get('/cycle-counts', requireLogin, async (req, res) => {
+  try {
+    const status = COUNT_SESSION_STATUSES.includes(req.query.status) ? req.query.status : null;
+    const merchantId = req.query.merchantId || null;
+
+    const [sessions, merchantsSnap] = await Promise.all([
+      listCountSessions({ status, merchantId }),
+      firestore.collection('merchants').get(),
+    ]);
+
+    res.render('cycle_counts', {
+      sessions,
+      status,
+      statuses: COUNT_SESSION_STATUSES,
+      merchantId,
+      merchantOptions: merchantsSnap.docs.map(d => ({
+        id: d.id,
+        name: d.data().business_name || d.id,
+        locations: d.data().locations || [],
+      })),
+      error: req.query.error || null,
+      merchants: [],
+      pageTitle: 'Cycle Counts',
+      activePage: 'cycle-counts',
+    });
+  } catch (err) {
+    console.error('Error loading /cycle-counts:', err);
+    res.status(500).send('Failed to load cycle counts: ' + err.message);
+  }
+});
+
+// Start a count session for a location (optionally one category)
+app.post('/cycle-counts', requireLogin, async (req, res) => {
+  try {
+    const session = await startCountSession({
+      merchantId: req.body?.merchantId || null,
+      locationId: req.body?.locationId || null,
+      categoryName: (req.body?.categoryName || '').trim() || null,
+      createdBy: req.user?.email || null,
+    });
+    res.redirect(`/cycle-counts/${session.id}`);
+  } catch (err) {
+    console.error('Error in POST /cycle-counts', err);
+    res.redirect('/cycle-counts?error=' + encodeURIComponent(err.message));
+  }
+});
+
+// Counting screen
+app.get('/cycle-counts/:id', requireLogin, async (req, res) => {
+  try {
+    const session = await getCountSession(req.params.id);
+    if (!session) return res.status(404).send(`Count session ${req.params.id} not found`);
+
+    res.render('cycle_count', {
+      session,
+      error: req.query.error || null,
+      merchants: [],
+      pageTitle: 'Cycle Count',
+      activePage: 'cycle-counts',
+    });
+  } catch (err) {
+    console.error('Error loading count session:', err);
+    res.status(500).send('Failed to load count session: ' + err.message);
+  }
+});
+
+// Save counts: { lines: [{ variation_id, counted_qty }] }
+app.post('/api/cycle-counts/:id', requireLogin, async (req, res) => {
+  try {
+    const session = await saveCounts(req.params.id, {
+      lines: req.body?.lines,
+      countedBy: req.user?.email || null,
+    });
+    res.json({ success: true, session });
+  } catch (err) {
+    console.error('Error saving counts', err);
+    res.status(err.statusCode || 500).json({ error: err.message || 'Failed to save counts' });
+  }
+});
+
+// Approve (or retry a failed submit) – pushes PHYSICAL_COUNT changes to Square
+app.post('/cycle-counts/:id/approve', requireLogin, async (req, res) => {
+  const trail = createAuditTrail();
+  try {
+    const session = await approveCountSession(req.params.id, { approvedBy: req.user?.email || null, trail });
+    await recordAudit({
+      req,
+      action: 'inventory.count',
+      gtins: (session.lines || []).filter(l => l.counted_qty !== null && l.counted_qty !== undefined).map(l => l.gtin),
+      merchantIds: [session.merchant_id],
+      trail,
+      status: session.status === 'submitted' ? 'success' : 'failed',
+      error: session.error || null,
+      summary: { countSessionId: req.params.id, locationId: session.location_id },
+    });
+    if (session.status !== 'submitted') {
+      return res.redirect(
+        `/cycle-counts/${req.params.id}?error=` + encodeURIComponent(`Counts not submitted: ${session.error}`)
+      );
+    }
+    res.redirect(`/cycle-counts/${req.params.id}`);
+  } catch (err) {
+    console.error('Error approving count session', err);
+    if (trail.targets.length) await recordAudit({ req, action: 'inventory.count', trail, status: 'failed', error: err });
+    res.redirect(`/cycle-counts/${req.params.id}?error=` + encodeURIComponent(err.message));
+  }
+});
+
+app.post('/cycle-counts/:id/cancel', requireLogin, async (req, res) => {
+  try {
+    await cancelCountSession(req.params.id);
+    res.redirect(`/cycle-counts/${req.params.id}`);
+  } catch (err) {
+    console.error('Error cancelling count session', err);
+    res.redirect(`/cycle-counts/${req.params.id}?error=` + encodeURIComponent(err.message));
+  }
+});
+
+// Transfers – rebalancing suggestions across all merchants + recent transfers
+app.get('/transfers', requireLogin, async (req, res) => {
+  try {
+    const gtin = (req.query.gtin || '').trim() || null;
+    const merchantId = req.query.merchantId || null;
+
+    const [suggestions, transfers, merchantsSnap] = await Promise.all([
+      suggestTransfers({ gtin, merchantId }),
+      listTransfers(),
+      firestore.collection('merchants').get(),
+    ]);
+
+    res.render('transfers', {
+      suggestions,
+      transfers,
+      gtin,
+      merchantId,
+      merchantOptions: merchantsSnap.docs.map(d => ({ id: d.id, name: d.data().business_name || d.id })),
+      error: req.query.error || null,
+      merchants: [],
+      pageTitle: 'Transfers',
+      activePage: 'transfers',
+    });
+  } catch (err) {
+    console.error('Error loading /transfers:', err);
+    res.status(500).send('Failed to load transfers: ' + err.message);
+  }
+});
+
+// Approve transfers: { transfers: [{ gtin, quantity, from: { merchant_id, location_id }, to: { ... } }] }
+// Audit entry for transfer posts (POST /transfers, retry)
+function auditTransfers(req, transfers, trail) {
+  const failed = transfers.filter(t => t.status !== 'completed');
+  return recordAudit({
+    req,
+    action: 'inventory.transfer',
+    gtins: transfers.map(t => t.gtin),
+    merchantIds: transfers.flatMap(t => [t.from?.merchant_id, t.to?.merchant_id]),
+    trail,
+    status: failed.length ? 'failed' : 'success',
+    error: failed[0]?.error || null,
+    summary: { transferIds: transfers.map(t => t.id), failed: failed.length },
+  });
+}
+
+app.post('/transfers', requireLogin, async (req, res) => {
+  const trail = createAuditTrail();
+  try {
+    const transfers = await createTransfers({
+      transfers: req.body?.transfers,
+      createdBy: req.user?.email || null,
+      trail,
+    });
+    await auditTransfers(req, transfers, trail);
+    const ok = transfers.every(t => t.status === 'completed');
+    res.status(ok ? 200 : 502).json({
+      success: ok,
+      transfers,
+      error: ok ? undefined : transfers.filter(t => t.error).map(t => `${t.gtin}: ${t.error}`).join('; '),
+    });
+  } catch (err) {
+    console.error('Error in POST /transfers', err);
+    if (trail.targets.length) await recordAudit({ req, action: 'inventory.transfer', trail, status: 'failed', error: err });
+    res.status(err.statusCode || 500).json({ error: err.message });
+  }
+});
+
+// Retry a transfer that failed part-way (each leg has its own idempotency key)
+app.post('/transfers/:id/retry', requireLogin, async (req, res) => {
+  const trail = createAuditTrail();
+  try {
+    const transfer = await postTransfer(req.params.id, { trail });
+    await auditTransfers(req, [transfer], trail);
+    if (transfer.status !== 'completed') {
+      return res.redirect('/transfers?error=' + encodeURIComponent(`Transfer still failing: ${transfer.error}`));
+    }
+    res.redirect('/transfers');
+  } catch (err) {
+    console.error('Error retrying transfer', err);
+    if (trail.targets.length) await recordAudit({ req, action: 'inventory.transfer', trail, status: 'failed', error: err });
+    res.redirect('/transfers?error=' + encodeURIComponent(err.message));
+  }
+});
+
+// Pricing rules – rules + suggested vs current price per location
+app.get('/pricing', requireLogin, async (req, res) => {
+  try {
+    const merchantId = req.query.merchantId || null;
+    const q = (req.query.q || '').trim();
+    const showAll = req.query.showAll === '1';
+
+    const [rules, suggestions, merchantsSnap] = await Promise.all([
+      listRules(),
+      suggestPrices({ merchantId, q, onlyChanged: !showAll }),
+      firestore.collection('merchants').get(),
+    ]);
+
+    res.render('pricing', {
+      rules,
+      suggestions,
+      merchantId,
+      q,
+      showAll,
+      scopes: RULE_SCOPES,
+      methods: RULE_METHODS,
+      roundings: RULE_ROUNDINGS,
+      merchantOptions: merchantsSnap.docs.map(d => ({ id: d.id, name: d.data().business_name || d.id })),
+      error: req.query.error || null,
+      merchants: [],
+      pageTitle: 'Pricing Rules',
+      activePage: 'pricing',
+    });
+  } catch (err) {
+    console.error('Error loading /pricing:', err);
+    res.status(500).send('Failed to load pricing: ' + err.message);
+  }
+});
+
+// Create / replace a rule (one per scope + match)
+app.post('/pricing/rules', requireLogin, async (req, res) => {
+  try {
+    await saveRule({
+      scope: req.body?.scope,
+      match: req.body?.match,
+      method: req.body?.method,
+      value: req.body?.value,
+      minPrice: req.body?.minPrice,
+      maxPrice: req.body?.maxPrice,
+      rounding: req.body?.rounding,
+      updatedBy: req.user?.email || null,
+    });
+    res.redirect('/pricing');
+  } catch (err) {
+    console.error('Error saving pricing rule', err);
+    res.redirect('/pricing?error=' + encodeURIComponent(err.message));
+  }
+});
+
+app.post('/pricing/rules/:id/delete', requireLogin, async (req, res) => {
+  try {
+    await deleteRule(req.params.id);
+    res.redirect('/pricing');
+  } catch (err) {
+    console.error('Error deleting pricing rule', err);
+    res.redirect('/pricing?error=' + encodeURIComponent(err.message));
+  }
+});
+
+// Apply approved prices: { changes: [{ merchant_id, variation_id, price, currency }] }
+app.post('/api/pricing/apply', requireLogin, async (req, res) => {
+  try {
+    const changes = Array.isArray(req.body?.changes) ? req.body.changes : [];
+    const trail = createAuditTrail();
+    const result = await applySuggestedPrices(changes, trail);
+    const ok = result.failed.length === 0;
+    await recordAudit({
+      req,
+      action: 'pricing.apply',
+      gtins: changes.map((c) => c.gtin),
+      merchantIds: changes.map((c) => c.merchant_id),
+      trail,
+      status: ok ? 'success' : 'failed',
+      error: ok ? null : result.failed[0].error,
+      summary: { updated: result.updated, failed: result.failed.length },
+    });
+    res.status(ok ? 200 : result.conflicts.length ? 409 : 502).json({
+      success: ok,
+      ...result,
+      error: ok ? undefined : `${result.failed.length} price(s) not updated: ${result.failed[0].error}`,
+    });
+  } catch (err) {
+    console.error('Error applying prices', err);
+    res.status(err.statusCode || 500).json({ error: err.message || 'Failed to apply prices' });
+  }
+});
+
+// Sync history – recent runs
+app.get('/sync-runs', requireLogin, async (req, res) => {
+  try {
+    const limit = Math.min(Number(req.query.limit) || 50, 200);
+    const runs = await listSyncRuns(limit);
+
+    res.render('sync_runs', {
+      runs,
+      merchants: [],
+      pageTitle: 'Sync History',
+      activePage: 'sync-runs',
+    });
+  } catch (err) {
+    console.error('Error loading /sync-runs:', err);
+    res.status(500).send('Failed to load sync history: ' + err.message);
+  }
+});
+
+// Sync history – one run with per-merchant / per-location detail
+app.get('/sync-runs/:runId', requireLogin, async (req, res) => {
+  try {
+    const run = await getSyncRun(req.params.runId);
+    if (!run) return res.status(404).send(`Sync run ${req.params.runId} not found`);
+
+    res.render('sync_run', {
+      run,
+      merchants: [],
+      pageTitle: 'Sync Run',
+      activePage: 'sync-runs',
+    });
+  } catch (err) {
+    console.error('Error loading sync run:', err);
+    res.status(500).send('Failed to load sync run: ' + err.message);
+  }
+});
+
+// Audit log – admin search by GTIN / merchant / user / date (dates are whole UTC days)
+app.get('/admin/audit', requireLogin, requireAdmin, async (req, res) => {
+  try {
+    const filters = {
+      gtin: (req.query.gtin || '').trim(),
+      merchantId: req.query.merchantId || '',
+      user: (req.query.user || '').trim(),
+      from: req.query.from || '',
+      to: req.query.to || '',
+    };
+    const day = (v, plusDays = 0) => {
+      const d = new Date(v);
+      if (!v || Number.isNaN(d.getTime())) return null;
+      d.setUTCDate(d.getUTCDate() + plusDays);
+      return d.toISOString();
+    };
+
+    const [entries, merchantsSnap] = await Promise.all([
+      searchAuditLog({
+        gtin: filters.gtin || null,
+        merchantId: filters.merchantId || null,
+        userEmail: filters.user || null,
+        from: day(filters.from),
+        to: day(filters.to, 1),
+      }),
+      firestore.collection('merchants').get(),
+    ]);
+
+    res.render('audit_log', {
+      entries: entries.map(e => ({ ...e, revertible: canRevert(e) })),
+      filters,
+      merchantOptions: merchantsSnap.docs.map(d => ({ id: d.id, name: d.data().business_name || d.id })),
+      merchants: [],
+      pageTitle: 'Audit Log',
+      activePage: 'audit',
+    });
+  } catch (err) {
+    console.error('Error loading /admin/audit:', err);
+    res.status(500).send('Failed to load audit log: ' + err.message);
+  }
+});
+
+// Revert one audited change; 409 with { conflicts } when Square changed since
+app.post('/api/audit/:id/revert', requireLogin, requireAdmin, async (req, res) => {
+  try {
+    const result = await revertAuditEntry(req.params.id, { req });
+    res.json({ success: true, ...result });
+  } catch (err) {
+    console.error('Error reverting audit entry', err);
+    res.status(err.statusCode || 500).json({
+      error: err.message || 'Failed to revert',
+      conflicts: err.conflicts || undefined,
+    });
+  }
+});
+
+// JSON for a single sync run (used for polling)
+app.get('/api/sync-runs/:runId', requireLogin, async (req, res) => {
+  try {
+    const run = await getSyncRun(req.params.runId);
+    if (!run) return res.status(404).json({ error: 'Sync run not found' });
+    res.json(run);
+  } catch (err) {
+    console.error('Error in /api/sync-runs/:runId:', err);
+    res.status(500).json({ error: err.message || 'Failed to load sync run' });
+  }
+});
+
+// Square API retry / throttle counters for this instance (since process start)
+app.get('/api/square-api-stats', requireLogin, (req, res) => {
+  res.json(getSquareApiStats());
+});
+
 // --- 1) Start Square OAuth – connect a new Square business ---
 app.get('/connect-square', requireLogin, (req, res) => {
   if (!SQUARE_APP_ID) {
@@ -649,15 +1357,10 @@ app.get('/square/oauth/callback', requireLogin, async (req, res) => {
 
     console.log('Token result:', JSON.stringify(result, null, 2));
 
-    const { accessToken, refreshToken, merchantId } = result;
+    const { accessToken, refreshToken, expiresAt, merchantId } = result;
 
     // Now use a client with the merchant's access token to get their profile
-    const merchantClient = new Client({
-      environment: SQUARE_ENV === 'sandbox' ? Environment.Sandbox : Environment.Production,
-      bearerAuthCredentials: {
-        accessToken,
-      },
-    });
+    const merchantClient = createSquareClient(accessToken, SQUARE_ENV);
 
     const merchantRes = await merchantClient.merchantsApi.retrieveMerchant(merchantId);
     console.log('Merchant response:', JSON.stringify(merchantRes.result, null, 2));
@@ -671,8 +1374,13 @@ app.get('/square/oauth/callback', requireLogin, async (req, res) => {
         business_name: merchant.businessName,
         access_token: accessToken,
         refresh_token: refreshToken,
+        token_expires_at: expiresAt || null,
         env: SQUARE_ENV,
         connected_at: new Date().toISOString(),
+        // A fresh authorization clears any failed-refresh flag
+        needs_reconnect: false,
+        reconnect_reason: null,
+        token_refresh_error: null,
       },
       { merge: true }
     );
@@ -725,14 +1433,134 @@ app.get('/debug/firestore-write', requireLogin, async (req, res) => {
   }
 });
 
-// Task endpoint to sync inventory for all merchants
-app.post('/tasks/sync-inventory', async (req, res) => {
+// Task endpoint to sync inventory for all merchants
+// ?fullCatalog=1 forces a full catalog rebuild instead of an incremental fetch.
+// Queues an inventory.syncAll job (one at a time per fullCatalog value) and
+// returns 202; the job's result links the sync run.
+app.post('/tasks/sync-inventory', async (req, res) => {
+  try {
+    const fullCatalog = req.query.fullCatalog === '1' || req.body?.fullCatalog === true;
+    const job = await enqueueJob('inventory.syncAll', { fullCatalog }, { user: req.user, dedupe: true });
+    res.status(202).json({
+      jobId: job.id,
+      status: job.deduped ? 'already_queued' : 'queued',
+      statusUrl: `/api/jobs/${job.id}`,
+      jobUrl: `/jobs/${job.id}`,
+    });
+  } catch (err) {
+    console.error('Error in /tasks/sync-inventory', err);
+    res.status(500).json({ error: err.message || 'Failed to queue inventory sync' });
+  }
+});
+
+// Targeted sync for one merchant (optionally one location). Queues an
+// inventory.syncMerchant job (one at a time per merchant) and returns 202;
+// the job's result links the sync run.
+app.post('/tasks/sync-inventory/:merchantId', requireLogin, async (req, res) => {
+  try {
+    const { merchantId } = req.params;
+    const merchantDoc = await firestore.collection('merchants').doc(merchantId).get();
+    if (!merchantDoc.exists) {
+      return res.status(404).json({ error: 'Merchant not found' });
+    }
+
+    const locationId = req.body?.locationId || req.query.locationId || null;
+    const knownLocations = merchantDoc.data().locations || [];
+    if (locationId && knownLocations.length && !knownLocations.some((l) => l.id === locationId)) {
+      return res.status(400).json({ error: `Unknown location ${locationId} for this merchant` });
+    }
+
+    const fullCatalog = req.query.fullCatalog === '1' || req.body?.fullCatalog === true;
+    const job = await enqueueJob(
+      'inventory.syncMerchant',
+      { merchantId, locationId, fullCatalog },
+      { user: req.user, dedupe: { merchantId } }
+    );
+    res.status(202).json({
+      jobId: job.id,
+      status: job.deduped ? 'already_queued' : 'queued',
+      statusUrl: `/api/jobs/${job.id}`,
+      jobUrl: `/jobs/${job.id}`,
+    });
+  } catch (err) {
+    console.error('Error in /tasks/sync-inventory/:merchantId', err);
+    res.status(500).json({ error: err.message || 'Failed to queue sync' });
+  }
+});
+
+// Task endpoint to recompute sales velocity / days of cover from Square orders
+// ?merchantId=... limits it to one merchant. Queues a salesVelocity.sync job
+// (one at a time per merchant / for all) and returns 202.
+app.post('/tasks/sync-sales-velocity', requireTaskAuth, async (req, res) => {
+  try {
+    const merchantId = req.body?.merchantId || req.query.merchantId || null;
+
+    if (merchantId) {
+      const merchantDoc = await firestore.collection('merchants').doc(merchantId).get();
+      if (!merchantDoc.exists) {
+        return res.status(404).json({ error: 'Merchant not found' });
+      }
+    }
+
+    const job = await enqueueJob('salesVelocity.sync', { merchantId }, { user: req.user, dedupe: true });
+    res.status(202).json({
+      jobId: job.id,
+      status: job.deduped ? 'already_queued' : 'queued',
+      statusUrl: `/api/jobs/${job.id}`,
+      jobUrl: `/jobs/${job.id}`,
+    });
+  } catch (err) {
+    console.error('Error in /tasks/sync-sales-velocity', err);
+    res.status(500).json({ error: err.message || 'Failed to queue sales velocity sync' });
+  }
+});
+
+// Task endpoint to apply due scheduled price changes and revert ended promos
+app.post('/tasks/apply-scheduled-prices', requireTaskAuth, async (req, res) => {
+  try {
+    const result = await runDuePriceChanges();
+    res.json(result);
+  } catch (err) {
+    console.error('Error in /tasks/apply-scheduled-prices', err);
+    res.status(500).json({ error: err.message || 'Scheduled price run failed' });
+  }
+});
+
+// Task endpoint to run queued background jobs until the queue is empty, for
+// deployments where the in-process worker gets no CPU between requests
+app.post('/tasks/run-jobs', async (req, res) => {
   try {
-    await syncAllMerchants();
-    res.status(200).send('Inventory sync completed');
+    const ran = await drainJobs();
+    res.json({ ran });
   } catch (err) {
-    console.error('Error in /tasks/sync-inventory', err);
-    res.status(500).send('Inventory sync failed: ' + err.message);
+    console.error('Error in /tasks/run-jobs', err);
+    res.status(500).json({ error: err.message || 'Job run failed' });
+  }
+});
+
+// Square webhook receiver (inventory.count.updated, catalog.version.updated)
+// Configure SQUARE_WEBHOOK_SIGNATURE_KEY and, if the public URL differs from
+// what this service sees, SQUARE_WEBHOOK_URL (must match the subscription URL).
+app.post('/webhooks/square', async (req, res) => {
+  try {
+    const notificationUrl =
+      process.env.SQUARE_WEBHOOK_URL || `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+    const signature = req.get('x-square-hmacsha256-signature');
+
+    if (!squareWebhooks.isValidSignature(req.rawBody, signature, notificationUrl)) {
+      console.warn('Rejected Square webhook with invalid signature');
+      return res.status(401).json({ error: 'Invalid signature' });
+    }
+
+    const event = req.body || {};
+    const outcome = await squareWebhooks.handleWebhookEvent(event);
+    console.log(`Square webhook ${event.type} ${event.event_id}: ${outcome.status}`);
+
+    res.status(200).json(outcome);
+  } catch (err) {
+    // Non-2xx makes Square retry the delivery
+    console.error('Error in /webhooks/square', err);
+    res.status(500).json({ error: err.message || 'Webhook processing failed' });
   }
 });
 
@@ -748,6 +1576,8 @@ app.get('/dashboard-gtin', requireLogin, async (req, res) => {
       pageTitle: 'Price Mismatch Dashboard',
       activePage: 'dashboard-gtin',   // ✅ must match header.ejs
       // rows/locations NOT passed anymore
+      harmonizeStrategies: HARMONIZE_STRATEGIES,
+      masterLocationKey: MASTER_LOCATION_KEY,
     });
   } catch (err) {
     console.error('Error loading /dashboard-gtin:', err);
@@ -756,9 +1586,15 @@ app.get('/dashboard-gtin', requireLogin, async (req, res) => {
 });
 
 
-app.post('/api/update-price', async (req, res) => {
+// `version` is the variation version the user saw; a stale one gets a 409
+// with the current Square values in `conflicts` and nothing is written.
+app.post('/api/update-price', requireLogin, async (req, res) => {
+  const { gtin, merchantId, variationId, price, currency, version } = req.body;
+  const trail = createAuditTrail();
+  const audit = (status, error = null) =>
+    recordAudit({ req, action: 'price.update', gtins: [gtin], merchantIds: [merchantId], trail, status, error });
+
   try {
-    const { merchantId, variationId, price, currency } = req.body;
 
     if (!merchantId || !variationId || price == null) {
       return res.status(400).json({ error: 'merchantId, variationId, and price are required' });
@@ -769,80 +1605,43 @@ app.post('/api/update-price', async (req, res) => {
       return res.status(404).json({ error: 'Merchant not found' });
     }
 
-    const merchant = merchantDoc.data();
-    const client = createSquareClient(merchant.access_token, merchant.env || 'sandbox');
-
     const numericPrice = Number(price);
     if (Number.isNaN(numericPrice)) {
       return res.status(400).json({ error: 'Invalid price value' });
     }
 
-    // 1) Retrieve the variation from Square
-    const variationRes = await client.catalogApi.retrieveCatalogObject(variationId, true);
-    const variationObj = variationRes.result.object;
-
-    if (!variationObj || variationObj.type !== 'ITEM_VARIATION') {
-      return res.status(400).json({ error: 'Catalog object is not an ITEM_VARIATION' });
-    }
-
-    const variationData = variationObj.itemVariationData || {};
-
-    // 2) Update the base priceMoney
-    variationData.priceMoney = {
-      amount: Math.round(numericPrice * 100),
-      currency: currency || variationData.priceMoney?.currency || 'USD',
-    };
-
-    variationObj.itemVariationData = variationData;
-
-    // 3) Upsert back to Square
-    await client.catalogApi.upsertCatalogObject({
-      idempotencyKey: `price-${variationId}-${Date.now()}`,
-      object: variationObj,
-    });
-
-    // 4) Update Firestore rows for this merchant + variation
-    const invSnapshot = await firestore
-      .collection('inventory')
-      .where('merchant_id', '==', merchantId)
-      .where('variation_id', '==', variationId)
-      .get();
-
-    const batch = firestore.batch();
-    const nowIso = new Date().toISOString();
-
-    invSnapshot.forEach((doc) => {
-      batch.set(
-        doc.ref,
-        { price: numericPrice, currency: variationData.priceMoney.currency, updated_at: nowIso },
-        { merge: true }
-      );
-
-      const merchantInvRef = firestore
-        .collection('merchants')
-        .doc(merchantId)
-        .collection('inventory')
-        .doc(doc.id);
-
-      batch.set(
-        merchantInvRef,
-        { price: numericPrice, currency: variationData.priceMoney.currency, updated_at: nowIso },
-        { merge: true }
-      );
+    const { failed, conflicts, versions } = await applyPriceChanges({
+      merchantDoc,
+      changes: [{ variationId, price: numericPrice, currency, expectedVersion: version }],
+      idempotencyKey: `price-${merchantId}`,
+      trail,
     });
+    if (conflicts.length) {
+      return res.status(409).json({ error: conflicts[0].reason, conflicts });
+    }
+    if (failed.length) {
+      await audit('failed', failed[0].error);
+      return res.status(400).json({ error: failed[0].error });
+    }
 
-    await batch.commit();
-
-    return res.json({ success: true });
+    await audit('success');
+    return res.json({ success: true, version: versions[variationId] || null });
   } catch (err) {
     console.error('Error in /api/update-price', err);
+    await audit('failed', err);
     res.status(500).json({ error: err.message || 'Failed to update price' });
   }
 });
 
-app.post('/api/update-item-name', async (req, res) => {
+// expectedVersions ({ itemId: version }) are the ITEM versions the user saw;
+// if any is stale, nothing is written and a 409 lists the current values.
+app.post('/api/update-item-name', requireLogin, async (req, res) => {
+  const { gtin, itemName, expectedVersions = {} } = req.body;
+  const trail = createAuditTrail();
+  const audit = (status, error = null, summary = null) =>
+    recordAudit({ req, action: 'item.rename', gtins: [gtin], trail, status, error, summary });
+
   try {
-    const { gtin, itemName } = req.body;
 
     if (!gtin || !itemName) {
       return res.status(400).json({ error: 'gtin and itemName are required' });
@@ -855,26 +1654,12 @@ app.post('/api/update-item-name', async (req, res) => {
 
     const nowIso = new Date().toISOString();
 
-    // 1) Save / update master item name
-    await firestore.collection('item_master').doc(gtin).set(
-      {
-        canonical_name: trimmedName,
-        updated_at: nowIso,
-      },
-      { merge: true }
-    );
-
-    // 2) Find all inventory docs with this GTIN (across all merchants & locations)
+    // 1) Find all inventory docs with this GTIN (across all merchants & locations)
     const invSnapshot = await firestore
       .collection('inventory')
       .where('gtin', '==', gtin)
       .get();
 
-    if (invSnapshot.empty) {
-      // nothing to propagate, but master saved fine
-      return res.json({ success: true, updatedItems: 0 });
-    }
-
     // Build unique (merchant_id, item_id) combinations
     const comboMap = new Map(); // key: merchantId|itemId
     invSnapshot.forEach((doc) => {
@@ -890,43 +1675,91 @@ app.post('/api/update-item-name', async (req, res) => {
       }
     });
 
-    // 3) For each merchant + item, update the ITEM name in Square
+    // 2) Load every ITEM from Square and check the versions before writing
+    const squareErrors = [];
+    const conflicts = [];
+    const toUpdate = [];
     for (const { merchantId, itemId } of comboMap.values()) {
       const merchantDoc = await firestore.collection('merchants').doc(merchantId).get();
       if (!merchantDoc.exists) continue;
 
-      const merchant = merchantDoc.data();
-      const client = createSquareClient(merchant.access_token, merchant.env || 'sandbox');
-
       try {
+        const client = await getSquareClientForMerchant(merchantDoc);
         const itemRes = await client.catalogApi.retrieveCatalogObject(itemId, true);
         const itemObj = itemRes.result.object;
 
+        const conflict = checkVersion(merchantId, itemId, itemObj, expectedVersions[itemId]);
+        if (conflict) {
+          conflicts.push(conflict);
+          continue;
+        }
         if (!itemObj || itemObj.type !== 'ITEM') continue;
 
+        toUpdate.push({ merchantId, itemId, client, itemObj });
+      } catch (e) {
+        console.error(`Failed to load item from Square for merchant ${merchantId}, item ${itemId}`, e);
+        squareErrors.push(`${merchantId}/${itemId}: ${e.message || e}`);
+      }
+    }
+
+    if (conflicts.length) {
+      throw conflictError(conflicts);
+    }
+
+    // 3) Save / update master item name
+    const masterRef = firestore.collection('item_master').doc(gtin);
+    const masterBefore = await masterRef.get();
+    trail.firestore(
+      masterRef.path,
+      masterBefore.exists ? { canonical_name: masterBefore.data().canonical_name ?? null } : null,
+      { canonical_name: trimmedName }
+    );
+    await masterRef.set(
+      {
+        canonical_name: trimmedName,
+        updated_at: nowIso,
+      },
+      { merge: true }
+    );
+
+    if (invSnapshot.empty) {
+      // nothing to propagate, but master saved fine
+      await audit('success', null, { updatedItems: 0 });
+      return res.json({ success: true, updatedItems: 0 });
+    }
+
+    // 4) For each merchant + item, update the ITEM name in Square
+    const newVersions = new Map(); // key: merchantId|itemId
+    for (const { merchantId, itemId, client, itemObj } of toUpdate) {
+      try {
+        const before = snapshotCatalogObject(itemObj);
         itemObj.itemData = itemObj.itemData || {};
         itemObj.itemData.name = trimmedName;
 
-        await client.catalogApi.upsertCatalogObject({
-          idempotencyKey: `name-${itemId}-${Date.now()}`,
+        const upsertRes = await client.catalogApi.upsertCatalogObject({
+          idempotencyKey: operationKey('name', merchantId, itemId, before.version, trimmedName),
           object: itemObj,
         });
+        const after = upsertRes.result.catalogObject;
+        newVersions.set(`${merchantId}|${itemId}`, versionOf(after));
+        trail.square(merchantId, 'ITEM', itemId, before, snapshotCatalogObject(after));
       } catch (e) {
         console.error(`Failed to update name in Square for merchant ${merchantId}, item ${itemId}`, e);
+        squareErrors.push(`${merchantId}/${itemId}: ${e.message || e}`);
       }
     }
 
-    // 4) Update Firestore item_name for all inventory docs with this GTIN
+    // 5) Update Firestore item_name (and the new item_version) for all inventory docs with this GTIN
     const batch = firestore.batch();
 
     invSnapshot.forEach((doc) => {
-      batch.set(
-        doc.ref,
-        { item_name: trimmedName, updated_at: nowIso },
-        { merge: true }
-      );
-
       const d = doc.data();
+      const itemVersion = newVersions.get(`${d.merchant_id}|${d.item_id}`);
+      const patch = { item_name: trimmedName, ...(itemVersion ? { item_version: itemVersion } : {}), updated_at: nowIso };
+
+      trail.firestore(doc.ref.path, { item_name: d.item_name ?? null }, { item_name: trimmedName });
+      batch.set(doc.ref, patch, { merge: true });
+
       if (d.merchant_id) {
         const merchantInvRef = firestore
           .collection('merchants')
@@ -934,23 +1767,29 @@ app.post('/api/update-item-name', async (req, res) => {
           .collection('inventory')
           .doc(doc.id);
 
-        batch.set(
-          merchantInvRef,
-          { item_name: trimmedName, updated_at: nowIso },
-          { merge: true }
-        );
+        batch.set(merchantInvRef, patch, { merge: true });
       }
     });
 
     await batch.commit();
 
+    await audit(squareErrors.length ? 'failed' : 'success', squareErrors[0] || null, {
+      updatedItems: comboMap.size,
+      updatedDocs: invSnapshot.size,
+      squareErrors: squareErrors.length,
+    });
     return res.json({
       success: true,
       updatedItems: comboMap.size,
       updatedDocs: invSnapshot.size,
+      versions: Object.fromEntries([...newVersions].map(([key, v]) => [key.split('|')[1], v])),
     });
   } catch (err) {
+    if (err.statusCode === 409) {
+      return res.status(409).json({ error: err.message, conflicts: err.conflicts });
+    }
     console.error('Error in /api/update-item-name', err);
+    await audit('failed', err);
     res.status(500).json({ error: err.message || 'Failed to update item name' });
   }
 });
@@ -1092,201 +1931,41 @@ app.get('/api/gtin-meta', requireLogin, async (req, res) => {
 
 
 // PUT /api/gtin-meta/:gtin
+// expectedVersions ({ objectId: version }) are the ITEM / variation versions
+// the user saw (e.g. from the preview); if any is stale, nothing is written
+// and the job fails with the current values in result.conflicts.
+// Runs as a background job (lib/gtinMetaPropagation.updateGtinMeta): 202 with
+// the job id; the job's result is the update summary.
 app.put('/api/gtin-meta/:gtin', requireLogin, async (req, res) => {
+  const gtin = (req.params.gtin || '').trim();
+
   try {
-    const gtin = (req.params.gtin || '').trim();
     if (!gtin) return res.status(400).json({ error: 'Missing gtin' });
 
-    const sku = req.body.sku != null ? String(req.body.sku).trim() : null;
-    const itemName = req.body.itemName != null ? String(req.body.itemName).trim() : null;
-    const vendorName = req.body.vendorName != null ? String(req.body.vendorName).trim() : null;
-
-    let unitCost = null;
-    if (req.body.unitCost !== undefined) {
-      unitCost = (req.body.unitCost === null || req.body.unitCost === '')
-        ? null
-        : Number(req.body.unitCost);
-      if (unitCost !== null && Number.isNaN(unitCost)) {
-        return res.status(400).json({ error: 'unitCost must be a number or null' });
-      }
-    }
-
-    const nowIso = new Date().toISOString();
-
-    // 1) Save GTIN meta (Firestore)
-    const gtinMetaRef = firestore.collection('gtinMeta').doc(gtin);
-    await gtinMetaRef.set({
-      sku: sku || null,
-      itemName: itemName || null,
-      vendorName: vendorName || null,
-      unitCost: unitCost,
-      updatedAt: nowIso,
-    }, { merge: true });
-
-    // 2) Save canonical name (optional but useful for overlay)
-    if (itemName) {
-      await firestore.collection('item_master').doc(gtin).set({
-        canonical_name: itemName,
-        updated_at: nowIso,
-      }, { merge: true });
-    }
-
-    // 3) Find all inventory docs for this GTIN (paginate to handle big sets)
-    // We will:
-    // - build merchant -> { itemIds, variationIds }
-    // - update Firestore inventory docs with new sku/name fields
-    const merchantToIds = new Map(); // merchantId -> { itemIds:Set, variationIds:Set }
-    const invDocRefs = []; // store refs to update (master + merchant subcollection)
-    const PAGE = 800;
-
-    let last = null;
-    while (true) {
-      let q = firestore.collection('inventory')
-        .where('gtin', '==', gtin)
-        .orderBy('__name__')
-        .limit(PAGE);
-
-      if (last) q = q.startAfter(last);
-
-      const snap = await q.get();
-      if (snap.empty) break;
-
-      snap.docs.forEach(doc => {
-        const d = doc.data();
-        const merchantId = d.merchant_id;
-        const itemId = d.item_id;
-        const variationId = d.variation_id;
-
-        if (merchantId) {
-          if (!merchantToIds.has(merchantId)) {
-            merchantToIds.set(merchantId, { itemIds: new Set(), variationIds: new Set() });
-          }
-          const entry = merchantToIds.get(merchantId);
-          if (itemId) entry.itemIds.add(itemId);
-          if (variationId) entry.variationIds.add(variationId);
-        }
-
-        invDocRefs.push({ masterRef: doc.ref, merchantId: merchantId || null, docId: doc.id });
-      });
-
-      last = snap.docs[snap.docs.length - 1];
-    }
-
-    // 4) Update Square across all merchants that carry this GTIN
-    // NOTE: vendorName/unitCost aren't pushed to Square (no native fields).
-    let squareUpdatedItems = 0;
-    let squareUpdatedVariations = 0;
-    const squareErrors = [];
-
-    for (const [merchantId, ids] of merchantToIds.entries()) {
-      try {
-        const merchantDoc = await firestore.collection('merchants').doc(merchantId).get();
-        if (!merchantDoc.exists) continue;
-
-        const merchant = merchantDoc.data();
-        const client = createSquareClient(merchant.access_token, merchant.env || 'sandbox');
-
-        // Update ITEM name once per itemId
-        if (itemName) {
-          for (const itemId of ids.itemIds) {
-            try {
-              const itemRes = await client.catalogApi.retrieveCatalogObject(itemId, true);
-              const itemObj = itemRes.result.object;
-              if (!itemObj || itemObj.type !== 'ITEM') continue;
-
-              itemObj.itemData = itemObj.itemData || {};
-              itemObj.itemData.name = itemName;
-
-              await client.catalogApi.upsertCatalogObject({
-                idempotencyKey: `meta-name-${merchantId}-${itemId}-${Date.now()}`,
-                object: itemObj,
-              });
-
-              squareUpdatedItems++;
-            } catch (e) {
-              squareErrors.push({ merchantId, itemId, type: 'ITEM_NAME', error: e.message || String(e) });
-            }
-          }
-        }
-
-        // Update VARIATION sku (applied to every variation for this GTIN)
-        if (sku) {
-          for (const variationId of ids.variationIds) {
-            try {
-              const varRes = await client.catalogApi.retrieveCatalogObject(variationId, true);
-              const varObj = varRes.result.object;
-              if (!varObj || varObj.type !== 'ITEM_VARIATION') continue;
-
-              varObj.itemVariationData = varObj.itemVariationData || {};
-              varObj.itemVariationData.sku = sku;
-
-              await client.catalogApi.upsertCatalogObject({
-                idempotencyKey: `meta-sku-${merchantId}-${variationId}-${Date.now()}`,
-                object: varObj,
-              });
-
-              squareUpdatedVariations++;
-            } catch (e) {
-              squareErrors.push({ merchantId, variationId, type: 'SKU', error: e.message || String(e) });
-            }
-          }
-        }
-      } catch (e) {
-        squareErrors.push({ merchantId, type: 'MERCHANT', error: e.message || String(e) });
-      }
-    }
-
-    // 5) Propagate to Firestore inventory docs (master + per-merchant mirror)
-    // Do in batches to avoid 500 writes limit.
-    let updatedInventoryDocs = 0;
-    const chunkSize = 400;
-
-    for (let i = 0; i < invDocRefs.length; i += chunkSize) {
-      const slice = invDocRefs.slice(i, i + chunkSize);
-      const batch = firestore.batch();
-
-      slice.forEach(({ masterRef, merchantId, docId }) => {
-        const patch = {
-          updated_at: nowIso,
-        };
+    // Reject bad input now rather than in the job
+    parseGtinMetaInput(req.body);
 
-        if (itemName != null) {
-          patch.item_name = itemName;
-          patch.item_name_lc = itemName.toLowerCase();
-        }
-        if (sku != null) patch.sku = sku;
-
-        batch.set(masterRef, patch, { merge: true });
-
-        if (merchantId) {
-          const merchantInvRef = firestore.collection('merchants').doc(merchantId).collection('inventory').doc(docId);
-          batch.set(merchantInvRef, patch, { merge: true });
-        }
-
-        updatedInventoryDocs++;
-      });
-
-      await batch.commit();
-    }
-
-    // Return updated meta doc
-    const metaSnap = await gtinMetaRef.get();
+    const job = await enqueueJob(
+      'gtinMeta.update',
+      // requestedBy is for the audit entry the job writes
+      { gtin, body: req.body || {}, requestedBy: { id: req.user?.id || null, email: req.user?.email || null } },
+      { user: req.user }
+    );
+    res.status(202).json({ success: true, gtin, jobId: job.id, statusUrl: `/api/jobs/${job.id}` });
+  } catch (err) {
+    console.error('Error queueing gtin meta update:', err);
+    res.status(err.statusCode || 500).json({ error: err.message || 'Failed to update GTIN meta' });
+  }
+});
 
-    res.json({
-      success: true,
-      gtin,
-      gtinMeta: { id: metaSnap.id, ...metaSnap.data() },
-      affectedMerchants: merchantToIds.size,
-      squareUpdatedItems,
-      squareUpdatedVariations,
-      updatedInventoryDocs,
-      squareErrors: squareErrors.slice(0, 25), // prevent huge payloads
-      squareErrorsCount: squareErrors.length,
-      note: 'vendorName/unitCost saved in Firestore. SKU + Item Name pushed to Square.',
-    });
+// POST /api/gtin-meta/:gtin/preview – same body as the PUT; nothing is written
+app.post('/api/gtin-meta/:gtin/preview', requireLogin, async (req, res) => {
+  try {
+    const preview = await previewGtinMetaUpdate((req.params.gtin || '').trim(), req.body);
+    res.json({ success: true, ...preview });
   } catch (err) {
-    console.error('Error updating gtin meta + square:', err);
-    res.status(500).json({ error: err.message || 'Failed to update GTIN meta' });
+    console.error('Error previewing gtin meta update:', err);
+    res.status(err.statusCode || 500).json({ error: err.message || 'Failed to preview GTIN meta update' });
   }
 });
 
@@ -1302,6 +1981,9 @@ app.get('/dashboard-vendor-costs', requireLogin, async (req, res) => {
   });
 });
 
+// Pages read at most per /api/inventory request while filling a page
+const MAX_INVENTORY_SCAN_PAGES = 5;
+
 // GET /api/inventory?merchantId=...&pageSize=50&cursor=docId
 app.get('/api/inventory', requireLogin, async (req, res) => {
   try {
@@ -1414,14 +2096,36 @@ app.get('/api/inventory', requireLogin, async (req, res) => {
       }
     }
 
-    const rows = snap.docs.map(d => ({ id: d.id, ...d.data() }));
+    // Rows that are not stock (archived, see /trash, or stale tombstones) are skipped; keep reading
+    // until the page is full so pages do not come back short
+    const rows = [];
+    let lastDoc = null;
+    for (let round = 0; ; round++) {
+      for (const doc of snap.docs) {
+        if (rows.length >= pageSize) break;
+        lastDoc = doc;
+        if (isActiveRow(doc.data())) rows.push({ id: doc.id, ...doc.data() });
+      }
+      if (rows.length >= pageSize || snap.size < pageSize || round + 1 >= MAX_INVENTORY_SCAN_PAGES) break;
+      snap = await buildQuery(mode).startAfter(lastDoc).get();
+    }
+
+    // Par levels (min / max per GTIN + location)
+    const pars = await getParLevelsByKeys(
+      rows.map(r => ({ merchantId: r.merchant_id, locationId: r.location_id, gtin: r.gtin }))
+    );
+    rows.forEach(r => {
+      const par = r.gtin ? pars.get(parLevelDocId(r.merchant_id, r.location_id, r.gtin)) : null;
+      r.par_min = par ? par.min_qty : null;
+      r.par_max = par ? par.max_qty : null;
+    });
 
     // -----------------------------
     // Next cursor (ALWAYS base64 JSON with mode)
     // -----------------------------
     let nextCursor = null;
-    if (snap.size > 0) {
-      const last = snap.docs[snap.docs.length - 1];
+    if (lastDoc) {
+      const last = lastDoc;
 
       if (mode === 'item_prefix') {
         const v = String(last.data().item_name_lc || '');
@@ -1498,6 +2202,22 @@ app.get('/api/gtin-matrix', requireLogin, async (req, res) => {
     const snap = await query.get();
     const rows = snap.docs.map(d => ({ gtin: d.id, ...d.data() }));
 
+    // Par levels for each location cell
+    const parKeys = [];
+    rows.forEach(r => {
+      Object.values(r.pricesByLocation || {}).forEach(info => {
+        parKeys.push({ merchantId: info.merchant_id, locationId: info.location_id, gtin: r.gtin });
+      });
+    });
+    const pars = await getParLevelsByKeys(parKeys);
+    rows.forEach(r => {
+      Object.values(r.pricesByLocation || {}).forEach(info => {
+        const par = pars.get(parLevelDocId(info.merchant_id, info.location_id, r.gtin));
+        info.par_min = par ? par.min_qty : null;
+        info.par_max = par ? par.max_qty : null;
+      });
+    });
+
     let nextCursor = null;
     if (snap.size > 0) {
       const last = snap.docs[snap.docs.length - 1];
@@ -1515,6 +2235,85 @@ app.get('/api/gtin-matrix', requireLogin, async (req, res) => {
   }
 });
 
+// Set every location of the given GTINs to one price:
+// { gtins: [...], strategy: 'min' | 'max' | 'mode' | 'master' | 'fixed', price?, versions? }
+// Variations changed in Square since gtin_matrix was read are not written; the
+// response is then a 409 with their current values in `conflicts` (alongside
+// the results for the rest), and `versions: { variationId: version }` retries
+// them against those versions.
+app.post('/api/gtin-matrix/harmonize', requireLogin, async (req, res) => {
+  try {
+    const trail = createAuditTrail();
+    const { results, conflicts, summary } = await harmonizePrices({
+      gtins: req.body?.gtins,
+      strategy: req.body?.strategy,
+      fixedPrice: req.body?.price,
+      expectedVersions: req.body?.versions || {},
+      trail,
+    });
+    if (summary.updated || summary.failed) {
+      await recordAudit({
+        req,
+        action: 'price.harmonize',
+        gtins: results.filter((r) => r.status === 'updated' || r.status === 'failed').map((r) => r.gtin),
+        trail,
+        status: summary.failed ? 'failed' : 'success',
+        error: results.find((r) => r.status === 'failed')?.error || null,
+        summary: { strategy: req.body?.strategy, ...summary },
+      });
+    }
+    if (conflicts.length) {
+      return res.status(409).json({ success: false, error: conflicts[0].reason, conflicts, results, summary });
+    }
+    res.json({ success: summary.failed === 0, results, summary });
+  } catch (err) {
+    console.error('Error in /api/gtin-matrix/harmonize:', err);
+    res.status(err.statusCode || 500).json({ error: err.message || 'Failed to harmonize prices' });
+  }
+});
+
+// Scheduled price changes – queue (?gtin= for one GTIN, ?status= to filter)
+app.get('/api/scheduled-prices', requireLogin, async (req, res) => {
+  try {
+    const changes = await listScheduledPriceChanges({
+      gtin: req.query.gtin || null,
+      status: req.query.status || null,
+    });
+    res.json({ changes });
+  } catch (err) {
+    console.error('Error in GET /api/scheduled-prices:', err);
+    res.status(500).json({ error: err.message || 'Failed to load scheduled prices' });
+  }
+});
+
+// { gtin, locKeys?: [...], price, effectiveAt, endsAt? }
+app.post('/api/scheduled-prices', requireLogin, async (req, res) => {
+  try {
+    const changes = await schedulePriceChange({
+      gtin: req.body?.gtin,
+      locKeys: req.body?.locKeys,
+      price: req.body?.price,
+      effectiveAt: req.body?.effectiveAt,
+      endsAt: req.body?.endsAt,
+      createdBy: req.user?.email || null,
+    });
+    res.json({ success: true, changes });
+  } catch (err) {
+    console.error('Error in POST /api/scheduled-prices:', err);
+    res.status(err.statusCode || 500).json({ error: err.message || 'Failed to schedule price change' });
+  }
+});
+
+app.post('/api/scheduled-prices/:id/cancel', requireLogin, async (req, res) => {
+  try {
+    const change = await cancelScheduledPriceChange(req.params.id, req.user?.email || null);
+    res.json({ success: true, change });
+  } catch (err) {
+    console.error('Error cancelling scheduled price change:', err);
+    res.status(err.statusCode || 500).json({ error: err.message || 'Failed to cancel' });
+  }
+});
+
 // Duplicate GTINs page + API
 app.get('/duplicates-gtin', requireLogin, async (req, res) => {
   try {
@@ -1532,7 +2331,8 @@ app.get('/duplicates-gtin', requireLogin, async (req, res) => {
   }
 });
 
-// Data API
+// Data API – queues the scan as a gtin.duplicates job; poll statusUrl for
+// progress, the job's result has the duplicates
 app.get('/api/gtin-duplicates', requireLogin, async (req, res) => {
   try {
     const merchantId = (req.query.merchantId || '').trim();
@@ -1542,107 +2342,49 @@ app.get('/api/gtin-duplicates', requireLogin, async (req, res) => {
     if (!merchantId) {
       return res.status(400).json({ error: 'merchantId is required' });
     }
+    if (!DUPLICATE_MODES.includes(mode)) {
+      return res.status(400).json({ error: `mode must be one of ${DUPLICATE_MODES.join(', ')}` });
+    }
 
     const merchantDoc = await firestore.collection('merchants').doc(merchantId).get();
     if (!merchantDoc.exists) {
       return res.status(404).json({ error: `Merchant ${merchantId} not found` });
     }
 
-    const invRef = firestore.collection('merchants').doc(merchantId).collection('inventory');
-
-    // Scan in pages (safe for 30K+)
-    const PAGE = 1000;
-    let lastDoc = null;
-
-    const counts = new Map();     // key -> count
-    const samples = new Map();    // key -> sample row (name/sku/category/location)
-    let totalDocs = 0;
-    let withGtin = 0;
-
-    while (true) {
-      let q = invRef.orderBy('__name__').limit(PAGE);
-      if (lastDoc) q = q.startAfter(lastDoc);
-
-      const snap = await q.get();
-      if (snap.empty) break;
-
-      for (const doc of snap.docs) {
-        totalDocs++;
-        const d = doc.data();
-        const gtin = (d.gtin || '').toString().trim();
-        if (!gtin) continue;
-
-        withGtin++;
-
-        const locationId = (d.location_id || '').toString().trim();
-        const key =
-          mode === 'gtin_location'
-            ? `${gtin}|${locationId || 'NO_LOCATION'}`
-            : gtin;
-
-        counts.set(key, (counts.get(key) || 0) + 1);
-
-        if (!samples.has(key)) {
-          samples.set(key, {
-            gtin,
-            location_id: locationId || '',
-            location_name: d.location_name || '',
-            item_name: d.item_name || '',
-            sku: d.sku || '',
-            category_name: d.category_name || '',
-          });
-        }
-      }
-
-      lastDoc = snap.docs[snap.docs.length - 1];
-    }
-
-    const dupes = Array.from(counts.entries())
-      .filter(([, c]) => c > 1)
-      .map(([key, c]) => {
-        const s = samples.get(key) || {};
-        let gtin = s.gtin || key;
-        let location_id = s.location_id || '';
-        if (mode === 'gtin_location') {
-          const parts = key.split('|');
-          gtin = parts[0] || gtin;
-          location_id = parts[1] || location_id;
-        }
-        return {
-          key,
-          gtin,
-          location_id,
-          location_name: s.location_name || '',
-          count: c,
-          item_name: s.item_name || '',
-          sku: s.sku || '',
-          category_name: s.category_name || '',
-        };
-      })
-      .sort((a, b) => b.count - a.count)
-      .slice(0, top);
-
-    res.json({
-      merchantId,
-      merchantName: merchantDoc.data()?.business_name || merchantId,
-      mode,
-      totalDocs,
-      withGtin,
-      duplicateKeys: Array.from(counts.values()).filter(v => v > 1).length,
-      dupes,
-    });
+    const job = await enqueueJob('gtin.duplicates', { merchantId, mode, top }, { user: req.user, dedupe: true });
+    res.status(202).json({ success: true, jobId: job.id, statusUrl: `/api/jobs/${job.id}` });
   } catch (err) {
     console.error('Error in /api/gtin-duplicates:', err);
     res.status(500).json({ error: err.message || 'Failed to compute duplicates' });
   }
 });
 
-// Delete from Square + Firestore (variation by default)
+// Delete an item / variation (variation by default). Archives it to the trash
+// unless `permanent` is set, which deletes from Square + Firestore (admins only).
 app.post('/api/delete-item', requireLogin, async (req, res) => {
+  const { merchantId, variationId, itemId, locationId, mode = 'variation', permanent } = req.body || {};
+  const trail = createAuditTrail();
+  const gtinsOf = () => trail.targets.map(t => t.before?.gtin).filter(Boolean);
+  const action = permanent ? 'item.delete' : 'item.archive';
+  const audit = (status, error = null, summary = null) =>
+    recordAudit({ req, action, gtins: gtinsOf(), merchantIds: [merchantId], trail, status, error, summary });
+
   try {
-    const { merchantId, variationId, itemId, mode } = req.body || {};
-    // mode: 'variation' (default) or 'item'
+    if (!permanent) {
+      const entry = await archiveItem({
+        merchantId,
+        mode,
+        itemId,
+        variationId,
+        locationId: locationId || null,
+        archivedBy: req.user?.email || null,
+        trail,
+      });
+      await audit('success', null, { mode, trashId: entry.id, rows: entry.row_count });
+      return res.json({ success: true, archived: true, trashId: entry.id, mode, rows: entry.row_count });
+    }
 
+    if (!isAdmin(req.user)) return res.status(403).json({ error: 'Only admins can delete permanently' });
     if (!merchantId) return res.status(400).json({ error: 'merchantId is required' });
     if (mode === 'item') {
       if (!itemId) return res.status(400).json({ error: 'itemId is required for mode=item' });
@@ -1650,69 +2392,181 @@ app.post('/api/delete-item', requireLogin, async (req, res) => {
       if (!variationId) return res.status(400).json({ error: 'variationId is required for mode=variation' });
     }
 
-    // 1) Load merchant token
     const merchantDoc = await firestore.collection('merchants').doc(merchantId).get();
     if (!merchantDoc.exists) return res.status(404).json({ error: 'Merchant not found' });
 
-    const merchant = merchantDoc.data();
-    const client = createSquareClient(merchant.access_token, merchant.env || 'sandbox');
-
-    // 2) Delete in Square
+    // NOTE: In Square, delete is irreversible.
     const squareObjectId = (mode === 'item') ? itemId : variationId;
+    const { deletedMaster, deletedMerchant } = await deleteItemPermanently({
+      merchantDoc,
+      mode,
+      itemId,
+      variationId,
+      trail,
+    });
 
-    // NOTE: In Square, delete is irreversible. Consider archive if you want safety.
-    await client.catalogApi.deleteCatalogObject(squareObjectId);
+    await audit('success', null, { mode, deletedMaster, deletedMerchant });
+    return res.json({
+      success: true,
+      mode,
+      squareDeletedObjectId: squareObjectId,
+      deletedMaster,
+      deletedMerchant,
+    });
+  } catch (err) {
+    console.error('Error in /api/delete-item:', err);
+    if (!err.statusCode || trail.targets.length) await audit('failed', err);
+    return res.status(err.statusCode || 500).json({ error: err.message || 'Failed to delete item' });
+  }
+});
 
-    // 3) Delete in Firestore (master + per-merchant)
-    const BATCH_SIZE = 400;
+// Trash – archived items / variations with restore (and purge for admins)
+app.get('/trash', requireLogin, async (req, res) => {
+  try {
+    const status = ['archived', 'restored', 'purged'].includes(req.query.status) ? req.query.status : 'archived';
+    const entries = await listTrash({ status });
+
+    res.render('trash', {
+      entries,
+      status,
+      retentionDays: TRASH_RETENTION_DAYS,
+      canPurge: isAdmin(req.user),
+      now: new Date().toISOString(),
+      merchants: [],
+      pageTitle: 'Trash',
+      activePage: 'trash',
+    });
+  } catch (err) {
+    console.error('Error loading /trash:', err);
+    res.status(500).send('Failed to load trash: ' + err.message);
+  }
+});
 
-    async function deleteQueryInBatches(baseQuery) {
-      let deleted = 0;
-      let query = baseQuery.orderBy('__name__');
+app.post('/api/trash/:id/restore', requireLogin, async (req, res) => {
+  const trail = createAuditTrail();
+  try {
+    const entry = await restoreArchived(req.params.id, { restoredBy: req.user?.email || null, trail });
+    await recordAudit({
+      req,
+      action: 'item.restore',
+      gtins: [entry.gtin],
+      merchantIds: [entry.merchant_id],
+      trail,
+      summary: { trashId: entry.id, rows: entry.rows_restored },
+    });
+    res.json({ success: true, entry });
+  } catch (err) {
+    console.error('Error restoring from trash', err);
+    if (trail.targets.length) await recordAudit({ req, action: 'item.restore', trail, status: 'failed', error: err });
+    res.status(err.statusCode || 500).json({ error: err.message || 'Failed to restore' });
+  }
+});
 
-      while (true) {
-        const snap = await query.limit(BATCH_SIZE).get();
-        if (snap.empty) break;
+app.post('/api/trash/:id/purge', requireLogin, requireAdmin, async (req, res) => {
+  const trail = createAuditTrail();
+  try {
+    const entry = await purgeArchived(req.params.id, { purgedBy: req.user?.email || null, trail });
+    await recordAudit({
+      req,
+      action: 'item.purge',
+      gtins: [entry.gtin],
+      merchantIds: [entry.merchant_id],
+      trail,
+      summary: { trashId: entry.id, deletedMaster: entry.deletedMaster, deletedMerchant: entry.deletedMerchant },
+    });
+    res.json({ success: true, entry });
+  } catch (err) {
+    console.error('Error purging from trash', err);
+    if (trail.targets.length) await recordAudit({ req, action: 'item.purge', trail, status: 'failed', error: err });
+    res.status(err.statusCode || 500).json({ error: err.message || 'Failed to purge' });
+  }
+});
 
-        const batch = firestore.batch();
-        snap.docs.forEach(d => batch.delete(d.ref));
-        await batch.commit();
+// Background jobs – queue with progress, logs, cancel and retry
+const canManageJob = (user, job) =>
+  isAdmin(user) || (!!job.created_by && job.created_by === (user?.email || '').toLowerCase());
 
-        deleted += snap.size;
-        query = baseQuery.orderBy('__name__').startAfter(snap.docs[snap.docs.length - 1]);
-      }
+app.get('/jobs', requireLogin, async (req, res) => {
+  try {
+    const status = JOB_STATUSES.includes(req.query.status) ? req.query.status : null;
+    const jobs = await listJobs({ status, limit: Math.min(Number(req.query.limit) || 100, 500) });
+
+    res.render('jobs', {
+      jobs,
+      status,
+      statuses: JOB_STATUSES,
+      canManage: (job) => canManageJob(req.user, job),
+      merchants: [],
+      pageTitle: 'Jobs',
+      activePage: 'jobs',
+    });
+  } catch (err) {
+    console.error('Error loading /jobs:', err);
+    res.status(500).send('Failed to load jobs: ' + err.message);
+  }
+});
 
-      return deleted;
-    }
+app.get('/jobs/:id', requireLogin, async (req, res) => {
+  try {
+    const job = await getJob(req.params.id);
+    if (!job) return res.status(404).send(`Job ${req.params.id} not found`);
+
+    res.render('job', {
+      job,
+      canManage: canManageJob(req.user, job),
+      merchants: [],
+      pageTitle: 'Job',
+      activePage: 'jobs',
+    });
+  } catch (err) {
+    console.error('Error loading job:', err);
+    res.status(500).send('Failed to load job: ' + err.message);
+  }
+});
 
-    // master inventory deletes
-    let masterQuery = firestore.collection('inventory').where('merchant_id', '==', merchantId);
-    // merchant subcollection deletes
-    let merchantQuery = firestore.collection('merchants').doc(merchantId).collection('inventory');
+app.get('/api/jobs', requireLogin, async (req, res) => {
+  try {
+    const status = JOB_STATUSES.includes(req.query.status) ? req.query.status : null;
+    const type = req.query.type ? String(req.query.type) : null;
+    const jobs = await listJobs({ status, type, limit: Math.min(Number(req.query.limit) || 100, 500) });
+    res.json({ success: true, jobs });
+  } catch (err) {
+    console.error('Error in /api/jobs:', err);
+    res.status(500).json({ error: err.message || 'Failed to load jobs' });
+  }
+});
 
-    if (mode === 'item') {
-      masterQuery = masterQuery.where('item_id', '==', itemId);
-      merchantQuery = merchantQuery.where('item_id', '==', itemId);
-    } else {
-      masterQuery = masterQuery.where('variation_id', '==', variationId);
-      merchantQuery = merchantQuery.where('variation_id', '==', variationId);
-    }
+// JSON for a single job (used for polling, see public/jobs.js)
+app.get('/api/jobs/:id', requireLogin, async (req, res) => {
+  try {
+    const job = await getJob(req.params.id);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    res.json({ success: true, job });
+  } catch (err) {
+    console.error('Error in /api/jobs/:id:', err);
+    res.status(500).json({ error: err.message || 'Failed to load job' });
+  }
+});
 
-    const deletedMaster = await deleteQueryInBatches(masterQuery);
-    const deletedMerchant = await deleteQueryInBatches(merchantQuery);
+// Cancel / retry: the user who queued the job, or an admin
+const manageJob = (action, fn) => async (req, res) => {
+  try {
+    const existing = await getJob(req.params.id);
+    if (!existing) return res.status(404).json({ error: 'Job not found' });
+    if (!canManageJob(req.user, existing)) {
+      return res.status(403).json({ error: 'Only the user who queued this job or an admin can do that' });
+    }
 
-    return res.json({
-      success: true,
-      mode: mode || 'variation',
-      squareDeletedObjectId: squareObjectId,
-      deletedMaster,
-      deletedMerchant,
-    });
+    const job = await fn(req.params.id, { user: req.user });
+    res.json({ success: true, job });
   } catch (err) {
-    console.error('Error in /api/delete-item:', err);
-    return res.status(500).json({ error: err.message || 'Failed to delete item' });
+    console.error(`Error trying to ${action} job ${req.params.id}`, err);
+    res.status(err.statusCode || 500).json({ error: err.message || `Failed to ${action} job` });
   }
-});
+};
+
+app.post('/api/jobs/:id/cancel', requireLogin, manageJob('cancel', cancelJob));
+app.post('/api/jobs/:id/retry', requireLogin, manageJob('retry', retryJob));
 
 // Only start the server if this file is run directly (node app.js / nodemon app.js)
 if (require.main === module) {
@@ -1720,6 +2574,8 @@ if (require.main === module) {
   app.listen(port, () => {
     console.log(`Dev server listening on port ${port}`);
   });
+  // JOB_WORKER=0 leaves jobs to /tasks/run-jobs or scripts/runJobs.js
+  if (process.env.JOB_WORKER !== '0') startJobWorker();
 }
 
 module.exports = app;
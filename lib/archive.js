@@ -0,0 +1,416 @@
+// lib/archive.js
+const { FieldValue } = require('@google-cloud/firestore');
+const firestore = require('./firestore');
+const { getSquareClientForMerchant } = require('./squareAuth');
+const { snapshotCatalogObject } = require('./auditLog');
+
+/**
+ * Soft delete ("trash") for dashboard deletes:
+ *   trash/{autoId}
+ *
+ * { merchant_id, merchant_name, mode: 'item' | 'variation', item_id, variation_id,
+ *   location_id, location_name, gtin, item_name, sku, square_state, row_count,
+ *   status: 'archiving' | 'archived' | 'failed' | 'restored' | 'purged', error,
+ *   archived_at, archived_by, purge_after, restored_at, restored_by, purged_at,
+ *   purged_by }
+ *
+ * Archiving an item sets is_archived in Square; archiving a variation hides it
+ * at one location (or all of them when no location is given). Its inventory
+ * rows (master + merchant copy) get archived / archived_at / trash_id and are
+ * left out of the dashboards. Restore undoes both; purge deletes for good and
+ * is only allowed TRASH_RETENTION_DAYS after archiving.
+ */
+
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS || 30);
+const BATCH_SIZE = 400;
+// Entries whose rows are (being) hidden
+const ACTIVE_STATUSES = ['archiving', 'archived'];
+
+function invalid(message, statusCode = 400) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+/**
+ * Inventory rows of an item / variation (optionally one location) in the
+ * master collection or a merchant's copy.
+ */
+function rowsQuery(col, { merchantId, mode, itemId, variationId, locationId }, withMerchant) {
+  let q = withMerchant ? col.where('merchant_id', '==', merchantId) : col;
+  q = mode === 'item' ? q.where('item_id', '==', itemId) : q.where('variation_id', '==', variationId);
+  if (locationId) q = q.where('location_id', '==', locationId);
+  return q;
+}
+
+/**
+ * Run `fn(batch, doc)` over every doc of a query, one batch per BATCH_SIZE
+ * docs (fn adds at most one write per doc). Returns the docs visited.
+ */
+async function forEachInBatches(baseQuery, fn) {
+  let count = 0;
+  let query = baseQuery.orderBy('__name__');
+
+  while (true) {
+    const snap = await query.limit(BATCH_SIZE).get();
+    if (snap.empty) break;
+
+    const batch = firestore.batch();
+    snap.docs.forEach((d) => fn(batch, d));
+    await batch.commit();
+
+    count += snap.size;
+    if (snap.size < BATCH_SIZE) break;
+    query = baseQuery.orderBy('__name__').startAfter(snap.docs[snap.docs.length - 1]);
+  }
+
+  return count;
+}
+
+/**
+ * Permanently delete an item / variation: Square first, then its inventory
+ * rows. Returns { deletedMaster, deletedMerchant }.
+ */
+async function deleteItemPermanently({ merchantDoc, mode, itemId, variationId, locationId = null, deleteInSquare = true, trail = null }) {
+  const merchantId = merchantDoc.id;
+  const target = { merchantId, mode, itemId, variationId, locationId };
+
+  if (deleteInSquare) {
+    const client = await getSquareClientForMerchant(merchantDoc);
+    const squareObjectId = mode === 'item' ? itemId : variationId;
+
+    // Snapshot first: the audit entry is the only record of what was deleted
+    let before = null;
+    try {
+      const objRes = await client.catalogApi.retrieveCatalogObject(squareObjectId, false);
+      before = snapshotCatalogObject(objRes.result.object);
+    } catch (e) {
+      console.warn(`Could not snapshot ${squareObjectId} before delete`, e.message || e);
+    }
+
+    await client.catalogApi.deleteCatalogObject(squareObjectId);
+    if (trail) trail.square(merchantId, mode === 'item' ? 'ITEM' : 'ITEM_VARIATION', squareObjectId, before, null);
+  }
+
+  const remove = (batch, d) => {
+    if (trail) trail.firestore(d.ref.path, d.data(), null);
+    batch.delete(d.ref);
+  };
+  const deletedMaster = await forEachInBatches(rowsQuery(firestore.collection('inventory'), target, true), remove);
+  const deletedMerchant = await forEachInBatches(
+    rowsQuery(firestore.collection('merchants').doc(merchantId).collection('inventory'), target, false),
+    remove
+  );
+
+  return { deletedMaster, deletedMerchant };
+}
+
+/**
+ * Square presence fields of a variation, as stored in square_state.
+ */
+function presenceOf(obj) {
+  return {
+    present_at_all_locations: obj.presentAtAllLocations !== false,
+    present_at_location_ids: obj.presentAtLocationIds || [],
+    absent_at_location_ids: obj.absentAtLocationIds || [],
+  };
+}
+
+/**
+ * Hide a variation at one location (or everywhere) / restore it.
+ */
+function setPresence(obj, locationId, hidden, saved) {
+  if (!locationId) {
+    const state = hidden
+      ? { present_at_all_locations: false, present_at_location_ids: [], absent_at_location_ids: [] }
+      : saved || { present_at_all_locations: true, present_at_location_ids: [], absent_at_location_ids: [] };
+    obj.presentAtAllLocations = state.present_at_all_locations;
+    obj.presentAtLocationIds = state.present_at_location_ids;
+    obj.absentAtLocationIds = state.absent_at_location_ids;
+    return;
+  }
+
+  if (obj.presentAtAllLocations !== false) {
+    const absent = new Set(obj.absentAtLocationIds || []);
+    if (hidden) absent.add(locationId);
+    else absent.delete(locationId);
+    obj.absentAtLocationIds = [...absent];
+  } else {
+    const present = new Set(obj.presentAtLocationIds || []);
+    if (hidden) present.delete(locationId);
+    else present.add(locationId);
+    obj.presentAtLocationIds = [...present];
+  }
+}
+
+/**
+ * Archive the Square object of a trash entry (hidden = true) or bring it
+ * back. Returns the square_state saved before archiving.
+ */
+async function updateSquare({ merchantDoc, mode, itemId, variationId, locationId, hidden, saved, idempotencyKey, trail }) {
+  const client = await getSquareClientForMerchant(merchantDoc);
+  const objectId = mode === 'item' ? itemId : variationId;
+
+  const res = await client.catalogApi.retrieveCatalogObject(objectId, false);
+  const obj = res.result.object;
+  if (!obj || obj.isDeleted) throw invalid(`Catalog object ${objectId} no longer exists in Square`, 404);
+
+  const before = snapshotCatalogObject(obj);
+  let state;
+  if (mode === 'item') {
+    obj.itemData = obj.itemData || {};
+    state = { is_archived: obj.itemData.isArchived === true };
+    obj.itemData.isArchived = hidden ? true : saved?.is_archived === true;
+  } else {
+    state = presenceOf(obj);
+    setPresence(obj, locationId, hidden, saved);
+  }
+
+  const upsert = await client.catalogApi.upsertCatalogObject({ idempotencyKey, object: obj });
+  if (trail) {
+    const after = upsert.result.catalogObject || obj;
+    const afterState = mode === 'item' ? { is_archived: after.itemData?.isArchived === true } : presenceOf(after);
+    trail.square(merchantDoc.id, obj.type, objectId, { ...before, ...state }, { ...snapshotCatalogObject(after), ...afterState });
+  }
+  return state;
+}
+
+/**
+ * Soft-delete an item (mode 'item') or a variation (mode 'variation',
+ * optionally only at locationId). Returns the trash entry.
+ *
+ * The entry is written first ('archiving') and completed once Square and the
+ * rows are done, so an archive that dies halfway is still listed and can be
+ * restored. Rows already archived by an earlier entry keep its trash_id:
+ * restoring that entry is what brings them back.
+ */
+async function archiveItem({ merchantId, mode = 'variation', itemId, variationId, locationId = null, archivedBy, trail = null }) {
+  if (!merchantId) throw invalid('merchantId is required');
+  if (mode !== 'item' && mode !== 'variation') throw invalid('mode must be item or variation');
+  if (mode === 'item' && !itemId) throw invalid('itemId is required for mode=item');
+  if (mode === 'variation' && !variationId) throw invalid('variationId is required for mode=variation');
+
+  const merchantDoc = await firestore.collection('merchants').doc(merchantId).get();
+  if (!merchantDoc.exists) throw invalid('Merchant not found', 404);
+
+  const ref = firestore.collection('trash').doc();
+  const target = { merchantId, mode, itemId, variationId, locationId: mode === 'item' ? null : locationId };
+
+  const now = new Date();
+  const nowIso = now.toISOString();
+  const entry = {
+    merchant_id: merchantId,
+    merchant_name: merchantDoc.data().business_name || null,
+    mode,
+    item_id: itemId || null,
+    variation_id: mode === 'variation' ? variationId : null,
+    location_id: target.locationId || null,
+    location_name: null,
+    gtin: null,
+    item_name: null,
+    sku: null,
+    square_state: null,
+    row_count: 0,
+    status: 'archiving',
+    archived_at: nowIso,
+    archived_by: archivedBy || null,
+    purge_after: new Date(now.getTime() + TRASH_RETENTION_DAYS * 86400000).toISOString(),
+  };
+  await ref.set(entry);
+
+  let squareState;
+  try {
+    squareState = await updateSquare({
+      merchantDoc,
+      ...target,
+      hidden: true,
+      idempotencyKey: `archive-${ref.id}`,
+      trail,
+    });
+  } catch (err) {
+    await ref.update({ status: 'failed', error: err.message || String(err) });
+    throw err;
+  }
+
+  const patch = { archived: true, archived_at: nowIso, trash_id: ref.id };
+  let sample = null;
+  let rowCount = 0;
+
+  const mark = (batch, d) => {
+    const data = d.data();
+    if (!sample) sample = data;
+    if (data.archived === true) return;
+    rowCount++;
+    if (trail) trail.firestore(d.ref.path, { archived: data.archived ?? null }, { archived: true, trash_id: ref.id });
+    batch.set(d.ref, patch, { merge: true });
+  };
+  await forEachInBatches(rowsQuery(firestore.collection('inventory'), target, true), mark);
+  await forEachInBatches(
+    rowsQuery(firestore.collection('merchants').doc(merchantId).collection('inventory'), target, false),
+    (batch, d) => {
+      if (d.data().archived !== true) batch.set(d.ref, patch, { merge: true });
+    }
+  );
+
+  const finished = {
+    merchant_name: entry.merchant_name || sample?.merchant_name || null,
+    item_id: itemId || sample?.item_id || null,
+    location_name: target.locationId ? sample?.location_name || null : null,
+    gtin: sample?.gtin || null,
+    item_name: sample?.item_name || null,
+    sku: mode === 'variation' ? sample?.sku || null : null,
+    square_state: squareState,
+    row_count: rowCount,
+    status: 'archived',
+  };
+  await ref.update(finished);
+  return { id: ref.id, ...entry, ...finished };
+}
+
+/**
+ * Trash entries of a merchant that still hide rows ('archiving' / 'archived'),
+ * oldest first, for code that writes inventory rows (see archivedStateFor).
+ */
+async function loadActiveTrash(merchantId) {
+  const snap = await firestore.collection('trash').where('merchant_id', '==', merchantId).get();
+  return snap.docs
+    .map((d) => ({ id: d.id, ...d.data() }))
+    .filter((e) => ACTIVE_STATUSES.includes(e.status))
+    .sort((a, b) => (a.archived_at || '').localeCompare(b.archived_at || ''));
+}
+
+/**
+ * Archived fields for a row written after its item / variation was archived
+ * (e.g. a new location or state picked up by the sync), from the oldest
+ * matching entry – the one that owns rows archived more than once. Null when
+ * nothing matches.
+ */
+function archivedStateFor(entries, { itemId, variationId, locationId }) {
+  const entry = entries.find((e) =>
+    e.mode === 'item'
+      ? !!itemId && e.item_id === itemId
+      : !!variationId && e.variation_id === variationId && (!e.location_id || e.location_id === locationId)
+  );
+  return entry ? { archived: true, archived_at: entry.archived_at, trash_id: entry.id } : null;
+}
+
+async function loadArchived(id, statuses = ['archived']) {
+  const ref = firestore.collection('trash').doc(id);
+  const snap = await ref.get();
+  if (!snap.exists) throw invalid('Trash entry not found', 404);
+  const entry = snap.data();
+  if (entry.status === 'archiving' && !statuses.includes('archiving')) {
+    throw invalid('This entry is still being archived', 409);
+  }
+  if (!statuses.includes(entry.status)) throw invalid(`This entry is already ${entry.status}`, 409);
+
+  const merchantDoc = await firestore.collection('merchants').doc(entry.merchant_id).get();
+  if (!merchantDoc.exists) throw invalid('Merchant not found', 404);
+  return { ref, entry, merchantDoc };
+}
+
+/**
+ * Rows archived by a trash entry, master + merchant copy.
+ */
+function archivedRowQueries(entry, id) {
+  return [
+    firestore.collection('inventory').where('trash_id', '==', id),
+    firestore.collection('merchants').doc(entry.merchant_id).collection('inventory').where('trash_id', '==', id),
+  ];
+}
+
+/**
+ * Un-archive in Square and put the rows back on the dashboards. Also undoes an
+ * archive that never finished ('archiving').
+ */
+async function restoreArchived(id, { restoredBy, trail = null } = {}) {
+  const { ref, entry, merchantDoc } = await loadArchived(id, ACTIVE_STATUSES);
+
+  await updateSquare({
+    merchantDoc,
+    mode: entry.mode,
+    itemId: entry.item_id,
+    variationId: entry.variation_id,
+    locationId: entry.location_id,
+    hidden: false,
+    saved: entry.square_state,
+    idempotencyKey: `restore-${id}`,
+    trail,
+  });
+
+  // A row another entry also covers (e.g. its whole item is archived too) moves to that entry
+  const others = (await loadActiveTrash(entry.merchant_id)).filter((e) => e.id !== id);
+  const clear = { archived: FieldValue.delete(), archived_at: FieldValue.delete(), trash_id: FieldValue.delete() };
+  let rows = 0;
+  for (const [i, q] of archivedRowQueries(entry, id).entries()) {
+    await forEachInBatches(q, (batch, d) => {
+      const data = d.data();
+      const still = archivedStateFor(others, {
+        itemId: data.item_id,
+        variationId: data.variation_id,
+        locationId: data.location_id,
+      });
+      if (trail && i === 0) {
+        trail.firestore(d.ref.path, { archived: true, trash_id: id }, still ? { archived: true, trash_id: still.trash_id } : { archived: null });
+      }
+      if (!still && i === 0) rows++;
+      batch.update(d.ref, still || clear);
+    });
+  }
+
+  const update = { status: 'restored', restored_at: new Date().toISOString(), restored_by: restoredBy || null };
+  await ref.update(update);
+  return { id, ...entry, ...update, rows_restored: rows };
+}
+
+/**
+ * Delete an archived entry for good once its retention period has passed.
+ * A variation hidden at one location keeps its Square object (other
+ * locations still sell it); only that location's rows go.
+ */
+async function purgeArchived(id, { purgedBy, trail = null, now = new Date() } = {}) {
+  const { ref, entry, merchantDoc } = await loadArchived(id);
+  if (entry.purge_after && now.toISOString() < entry.purge_after) {
+    throw invalid(`Can be purged after ${entry.purge_after.slice(0, 10)}`, 409);
+  }
+
+  const { deletedMaster, deletedMerchant } = await deleteItemPermanently({
+    merchantDoc,
+    mode: entry.mode,
+    itemId: entry.item_id,
+    variationId: entry.variation_id,
+    locationId: entry.location_id,
+    deleteInSquare: !entry.location_id,
+    trail,
+  });
+
+  const update = { status: 'purged', purged_at: now.toISOString(), purged_by: purgedBy || null };
+  await ref.update(update);
+  return { id, ...entry, ...update, deletedMaster, deletedMerchant };
+}
+
+/**
+ * Newest first; equality filter on status only ('archived' includes entries
+ * still 'archiving').
+ */
+async function listTrash({ status = 'archived', limit = 200 } = {}) {
+  let q = firestore.collection('trash');
+  if (status === 'archived') q = q.where('status', 'in', ACTIVE_STATUSES);
+  else if (status) q = q.where('status', '==', status);
+  const snap = await q.get();
+  return snap.docs
+    .map((d) => ({ id: d.id, ...d.data() }))
+    .sort((a, b) => (b.archived_at || '').localeCompare(a.archived_at || ''))
+    .slice(0, limit);
+}
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  archiveItem,
+  restoreArchived,
+  purgeArchived,
+  deleteItemPermanently,
+  listTrash,
+  loadActiveTrash,
+  archivedStateFor,
+};
@@ -0,0 +1,133 @@
+// lib/auditLog.js
+const firestore = require('./firestore');
+
+/**
+ * Audit trail of writes made from the app:
+ *   auditLog/{autoId}
+ *
+ * { at, user_email, user_id, route, action, gtins[], merchant_ids[],
+ *   targets[]: { kind: 'square' | 'firestore', merchant_id, object_type,
+ *                object_id, before, after },
+ *   targets_truncated, status: 'success' | 'failed', error, summary }
+ *
+ * Square catalog objects are stored as a small snapshot (name / sku / price /
+ * version), inventory counts as { location_id, state, quantity }. Firestore
+ * docs keep only the fields the change touched (or enough to restore them),
+ * not the full doc. At most MAX_TARGETS targets are kept per entry so one bulk
+ * action cannot exceed the document size limit.
+ */
+
+const MAX_TARGETS = 200;
+
+/**
+ * Fields of a catalog object worth auditing (and enough to revert it).
+ */
+function snapshotCatalogObject(obj) {
+  if (!obj) return null;
+  if (obj.type === 'ITEM_VARIATION') {
+    const v = obj.itemVariationData || {};
+    const amount = v.priceMoney?.amount;
+    return {
+      type: obj.type,
+      version: obj.version != null ? String(obj.version) : null,
+      item_id: v.itemId || null,
+      name: v.name || null,
+      sku: v.sku || null,
+      price: amount != null ? Number(amount) / 100 : null,
+      currency: v.priceMoney?.currency || null,
+    };
+  }
+  if (obj.type === 'ITEM') {
+    return {
+      type: obj.type,
+      version: obj.version != null ? String(obj.version) : null,
+      name: obj.itemData?.name || null,
+    };
+  }
+  return { type: obj.type, version: obj.version != null ? String(obj.version) : null };
+}
+
+/**
+ * Collects the targets of one action; libs that write to Square / Firestore
+ * accept an optional trail and add what they changed.
+ */
+function createAuditTrail() {
+  const targets = [];
+  return {
+    targets,
+    square(merchantId, objectType, objectId, before, after) {
+      targets.push({ kind: 'square', merchant_id: merchantId, object_type: objectType, object_id: objectId, before, after });
+    },
+    firestore(path, before, after) {
+      targets.push({ kind: 'firestore', merchant_id: null, object_type: 'doc', object_id: path, before, after });
+    },
+  };
+}
+
+/**
+ * Write one audit entry for a request. Never throws: a failed audit write is
+ * logged rather than failing the change it describes.
+ */
+async function recordAudit({ req, action, gtins = [], merchantIds = [], trail, status = 'success', error = null, summary = null }) {
+  const targets = trail ? trail.targets : [];
+  const entry = {
+    at: new Date().toISOString(),
+    user_email: req?.user?.email ? req.user.email.toLowerCase() : null,
+    user_id: req?.user?.id || null,
+    route: req ? `${req.method} ${(req.originalUrl || req.url || '').split('?')[0]}` : null,
+    action,
+    gtins: [...new Set(gtins.filter(Boolean).map(String))],
+    merchant_ids: [
+      ...new Set([...merchantIds, ...targets.map((t) => t.merchant_id)].filter(Boolean)),
+    ],
+    targets: targets.slice(0, MAX_TARGETS),
+    targets_truncated: targets.length > MAX_TARGETS,
+    status,
+    error: error ? error.message || String(error) : null,
+    summary,
+  };
+
+  try {
+    const ref = await firestore.collection('auditLog').add(entry);
+    return ref.id;
+  } catch (err) {
+    console.error(`Failed to write audit entry for ${action}`, err);
+    return null;
+  }
+}
+
+/**
+ * Search the log, newest first. One filter is pushed to Firestore (GTIN,
+ * then merchant, then user, else the date range); the rest are applied here.
+ */
+async function searchAuditLog({ gtin, merchantId, userEmail, from, to, limit = 200 } = {}) {
+  const col = firestore.collection('auditLog');
+  const email = userEmail ? userEmail.trim().toLowerCase() : null;
+
+  let q;
+  if (gtin) q = col.where('gtins', 'array-contains', String(gtin)).limit(1000);
+  else if (merchantId) q = col.where('merchant_ids', 'array-contains', merchantId).limit(1000);
+  else if (email) q = col.where('user_email', '==', email).limit(1000);
+  else {
+    q = col.orderBy('at', 'desc');
+    if (from) q = q.where('at', '>=', from);
+    if (to) q = q.where('at', '<', to);
+    q = q.limit(limit);
+  }
+
+  const snap = await q.get();
+  return snap.docs
+    .map((d) => ({ id: d.id, ...d.data() }))
+    .filter((e) => !merchantId || (e.merchant_ids || []).includes(merchantId))
+    .filter((e) => !email || e.user_email === email)
+    .filter((e) => (!from || e.at >= from) && (!to || e.at < to))
+    .sort((a, b) => (b.at || '').localeCompare(a.at || ''))
+    .slice(0, limit);
+}
+
+module.exports = {
+  snapshotCatalogObject,
+  createAuditTrail,
+  recordAudit,
+  searchAuditLog,
+};
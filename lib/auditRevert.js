@@ -0,0 +1,389 @@
+// lib/auditRevert.js
+const { FieldValue } = require('@google-cloud/firestore');
+const firestore = require('./firestore');
+const { getSquareClientForMerchant } = require('./squareAuth');
+const { writePricesToFirestore } = require('./priceUpdates');
+const { createAuditTrail, recordAudit, snapshotCatalogObject } = require('./auditLog');
+
+/**
+ * Undo an audited change (lib/auditLog): every Square object goes back to its
+ * `before` snapshot and every Firestore doc to its `before` fields.
+ *
+ * Nothing is written when any Square object has moved on since the change
+ * (its version no longer matches the `after` snapshot); the error carries
+ * `conflicts` instead. Deletes cannot be reverted – Square has no undelete.
+ *
+ * Merchants are reverted one at a time, Square then Firestore. Progress is
+ * kept on the entry (revert_status 'partial', reverted_object_ids,
+ * reverted_merchant_ids), so a revert that fails partway is finished by
+ * reverting again.
+ */
+
+const REVERTIBLE_ACTIONS = [
+  'price.update',
+  'item.rename',
+  'gtinMeta.update',
+  'pricing.apply',
+  'price.harmonize',
+  'price.scheduled',
+  'price.scheduledRevert',
+];
+
+const MAX_OBJECTS_PER_REQUEST = 100;
+const MAX_WRITES_PER_BATCH = 400;
+
+function invalid(message, statusCode = 400) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+function squareError(err) {
+  return err.errors?.[0]?.detail || err.message || String(err);
+}
+
+function canRevert(entry) {
+  return (
+    REVERTIBLE_ACTIONS.includes(entry.action) &&
+    !entry.reverted_at &&
+    !entry.targets_truncated &&
+    (entry.targets || []).length > 0
+  );
+}
+
+/**
+ * Put a retrieved catalog object back to `before` for the fields the change
+ * touched. Returns false when there is nothing to restore.
+ */
+function restoreFields(obj, before, after) {
+  let changed = false;
+
+  if (obj.type === 'ITEM') {
+    if (before.name !== after.name && before.name) {
+      obj.itemData = obj.itemData || {};
+      obj.itemData.name = before.name;
+      changed = true;
+    }
+    return changed;
+  }
+
+  const v = obj.itemVariationData || {};
+  if (before.price !== after.price || before.currency !== after.currency) {
+    if (before.price === null) {
+      delete v.priceMoney;
+      v.pricingType = 'VARIABLE_PRICING';
+    } else {
+      v.priceMoney = { amount: Math.round(before.price * 100), currency: before.currency || after.currency || 'USD' };
+      v.pricingType = 'FIXED_PRICING';
+    }
+    changed = true;
+  }
+  if (before.sku !== after.sku) {
+    v.sku = before.sku || undefined;
+    changed = true;
+  }
+  if (before.name !== after.name && before.name) {
+    v.name = before.name;
+    changed = true;
+  }
+  obj.itemVariationData = v;
+  return changed;
+}
+
+/**
+ * Retrieve the current Square objects of one merchant's targets and compare
+ * versions. Returns { client, current: Map(id -> object), conflicts }.
+ */
+async function checkMerchant(merchantId, targets) {
+  const conflict = (t, reason, current = null) => ({
+    merchant_id: merchantId,
+    object_type: t.object_type,
+    object_id: t.object_id,
+    expected_version: t.after?.version || null,
+    current_version: current?.version != null ? String(current.version) : null,
+    current: snapshotCatalogObject(current),
+    reason,
+  });
+
+  const merchantDoc = await firestore.collection('merchants').doc(merchantId).get();
+  if (!merchantDoc.exists) {
+    return { conflicts: targets.map((t) => conflict(t, 'Merchant not found')) };
+  }
+
+  const client = await getSquareClientForMerchant(merchantDoc);
+  const current = new Map();
+  const ids = targets.map((t) => t.object_id);
+  for (let i = 0; i < ids.length; i += MAX_OBJECTS_PER_REQUEST) {
+    const res = await client.catalogApi.batchRetrieveCatalogObjects({
+      objectIds: ids.slice(i, i + MAX_OBJECTS_PER_REQUEST),
+      includeRelatedObjects: false,
+    });
+    (res.result.objects || []).forEach((o) => current.set(o.id, o));
+  }
+
+  const conflicts = [];
+  targets.forEach((t) => {
+    const obj = current.get(t.object_id);
+    if (!obj || obj.isDeleted) conflicts.push(conflict(t, 'Deleted in Square'));
+    else if (!t.after?.version) conflicts.push(conflict(t, 'No version recorded for this change', obj));
+    else if (String(obj.version) !== t.after.version) conflicts.push(conflict(t, 'Changed in Square since', obj));
+  });
+
+  return { client, current, conflicts };
+}
+
+/**
+ * Which merchant each Firestore target belongs to: inventory rows by their
+ * merchant_id, merchants/{id}/... docs by their path. Docs shared by every
+ * merchant (gtinMeta, gtin_matrix, ...) map to null.
+ */
+async function firestoreMerchants(targets) {
+  const out = new Map();
+  const inventoryRefs = [];
+  targets.forEach((t) => {
+    const [root, id] = t.object_id.split('/');
+    if (root === 'merchants') out.set(t.object_id, id);
+    else if (root === 'inventory') inventoryRefs.push(firestore.doc(t.object_id));
+    else out.set(t.object_id, null);
+  });
+  const snaps = inventoryRefs.length ? await firestore.getAll(...inventoryRefs) : [];
+  snaps.forEach((snap) => out.set(snap.ref.path, snap.exists ? snap.data().merchant_id || null : null));
+  return out;
+}
+
+/**
+ * Prices a merchant's restored variations go back to, for gtin_matrix.
+ */
+function restoredPrices(targets) {
+  return targets
+    .filter((t) => t.object_type === 'ITEM_VARIATION' && t.before.price !== null && t.before.price !== t.after.price)
+    .map((t) => ({
+      variationId: t.object_id,
+      price: t.before.price,
+      currency: t.before.currency || t.after.currency || 'USD',
+    }));
+}
+
+/**
+ * Restore Firestore targets. Fields the change added are removed, docs it
+ * created are deleted, and master inventory rows are mirrored to the
+ * merchant's inventory subcollection (merchantOf from firestoreMerchants).
+ */
+async function restoreFirestore(targets, trail, merchantOf) {
+  const nowIso = new Date().toISOString();
+  let batch = firestore.batch();
+  let writes = 0;
+
+  for (const t of targets) {
+    const ref = firestore.doc(t.object_id);
+    if (t.before === null) {
+      batch.delete(ref);
+      trail.firestore(t.object_id, t.after, null);
+      writes++;
+    } else {
+      const patch = { ...t.before };
+      Object.keys(t.after || {}).forEach((k) => {
+        if (!(k in patch)) patch[k] = FieldValue.delete();
+      });
+      if ('updated_at' in patch) patch.updated_at = nowIso;
+      if ('updatedAt' in patch) patch.updatedAt = nowIso;
+      if (t.object_id.startsWith('inventory/') && 'item_name' in t.before) {
+        patch.item_name_lc = t.before.item_name ? t.before.item_name.toLowerCase() : null;
+      }
+
+      batch.set(ref, patch, { merge: true });
+      trail.firestore(t.object_id, t.after, t.before);
+      writes++;
+
+      if (t.object_id.startsWith('inventory/')) {
+        const merchantId = merchantOf.get(t.object_id);
+        if (merchantId) {
+          batch.set(
+            firestore.collection('merchants').doc(merchantId).collection('inventory').doc(ref.id),
+            patch,
+            { merge: true }
+          );
+          writes++;
+        }
+      }
+    }
+
+    if (writes >= MAX_WRITES_PER_BATCH) {
+      await batch.commit();
+      batch = firestore.batch();
+      writes = 0;
+    }
+  }
+
+  if (writes) await batch.commit();
+}
+
+/**
+ * Revert audit entry `id`. The revert is itself audited (action 'revert') and
+ * the original entry is marked reverted. An entry left 'partial' by an
+ * earlier attempt continues with what that attempt did not revert.
+ *
+ * Returns { revertAuditId, squareObjects, firestoreDocs }; throws 409 with
+ * err.conflicts when Square has changed since.
+ */
+async function revertAuditEntry(id, { req } = {}) {
+  const ref = firestore.collection('auditLog').doc(id);
+  const snap = await ref.get();
+  if (!snap.exists) throw invalid('Audit entry not found', 404);
+  const entry = snap.data();
+
+  if (!REVERTIBLE_ACTIONS.includes(entry.action)) throw invalid(`${entry.action} cannot be reverted`);
+  if (entry.reverted_at) throw invalid(`Already reverted on ${entry.reverted_at}`, 409);
+  if (entry.targets_truncated) throw invalid('Too many objects were changed to revert this entry', 409);
+
+  const squareTargets = (entry.targets || []).filter((t) => t.kind === 'square' && t.before && t.after);
+  const firestoreTargets = (entry.targets || []).filter((t) => t.kind === 'firestore' && t.after);
+  if (!squareTargets.length && !firestoreTargets.length) throw invalid('Nothing to revert');
+
+  // Done by an earlier, partial attempt
+  const revertedObjects = new Set(entry.reverted_object_ids || []);
+  const revertedMerchants = new Set(entry.reverted_merchant_ids || []);
+
+  // 1) Check every merchant before writing anything
+  const byMerchant = new Map();
+  squareTargets.forEach((t) => {
+    if (!byMerchant.has(t.merchant_id)) byMerchant.set(t.merchant_id, []);
+    byMerchant.get(t.merchant_id).push(t);
+  });
+
+  const checked = new Map();
+  const conflicts = [];
+  for (const [merchantId, targets] of byMerchant) {
+    const pending = targets.filter((t) => !revertedObjects.has(t.object_id));
+    if (!pending.length) continue;
+    const result = await checkMerchant(merchantId, pending);
+    checked.set(merchantId, { ...result, pending });
+    conflicts.push(...result.conflicts);
+  }
+
+  if (conflicts.length) {
+    const rest = entry.revert_status === 'partial' ? 'the rest of the revert was not applied' : 'nothing was reverted';
+    const err = invalid(`${conflicts.length} Square object(s) changed since this edit; ${rest}`, 409);
+    err.conflicts = conflicts;
+    throw err;
+  }
+
+  const merchantOf = await firestoreMerchants(firestoreTargets);
+  const firestoreFor = (merchantId) => firestoreTargets.filter((t) => merchantOf.get(t.object_id) === merchantId);
+
+  const trail = createAuditTrail();
+  const summary = { reverted_audit_id: id, reverted_action: entry.action };
+  const markPartial = (patch) =>
+    ref.update({ revert_status: 'partial', revert_updated_at: new Date().toISOString(), ...patch });
+
+  const fail = async (message, statusCode) => {
+    const done = revertedMerchants.size;
+    const fullMessage = done
+      ? `${message}. ${done} of ${byMerchant.size} merchant(s) are reverted; revert again to finish`
+      : message;
+    await recordAudit({ req, action: 'revert', gtins: entry.gtins, trail, status: 'failed', error: fullMessage, summary });
+    return invalid(fullMessage, statusCode);
+  };
+
+  // 2) Per merchant: Square, then its Firestore docs and gtin_matrix prices.
+  // The upsert carries the checked versions, so a change made since the
+  // check is rejected by Square rather than overwritten.
+  for (const [merchantId, targets] of byMerchant) {
+    if (checked.has(merchantId)) {
+      const { client, current, pending } = checked.get(merchantId);
+      const objects = [];
+      const prior = new Map();
+      pending.forEach((t) => {
+        const obj = current.get(t.object_id);
+        prior.set(obj.id, snapshotCatalogObject(obj));
+        if (restoreFields(obj, t.before, t.after)) objects.push(obj);
+      });
+
+      // An ITEM carries its variations; a restored variation of the same item
+      // replaces its embedded copy instead of being sent twice in one batch
+      const standalone = new Map(objects.filter((o) => o.type === 'ITEM_VARIATION').map((o) => [o.id, o]));
+      objects.filter((o) => o.type === 'ITEM' && o.itemData?.variations).forEach((item) => {
+        item.itemData.variations = item.itemData.variations.map((v) => {
+          if (!standalone.has(v.id)) return v;
+          const restored = standalone.get(v.id);
+          standalone.delete(v.id);
+          objects.splice(objects.indexOf(restored), 1);
+          return restored;
+        });
+      });
+
+      for (let i = 0; i < objects.length; i += MAX_OBJECTS_PER_REQUEST) {
+        const chunk = objects.slice(i, i + MAX_OBJECTS_PER_REQUEST);
+        let upsert;
+        try {
+          upsert = await client.catalogApi.batchUpsertCatalogObjects({
+            idempotencyKey: `revert-${id}-${merchantId}:${i / MAX_OBJECTS_PER_REQUEST}`,
+            batches: [{ objects: chunk }],
+          });
+        } catch (err) {
+          throw await fail(`Square update failed for merchant ${merchantId}: ${squareError(err)}`, 502);
+        }
+
+        const doneIds = [];
+        (upsert.result.objects || []).forEach((o) => {
+          [o, ...(o.itemData?.variations || [])]
+            .filter((x) => prior.has(x.id))
+            .forEach((x) => {
+              trail.square(merchantId, x.type, x.id, prior.get(x.id), snapshotCatalogObject(x));
+              doneIds.push(x.id);
+            });
+        });
+        if (doneIds.length) await markPartial({ reverted_object_ids: FieldValue.arrayUnion(...doneIds) });
+      }
+    }
+
+    if (revertedMerchants.has(merchantId)) continue;
+    try {
+      await restoreFirestore(firestoreFor(merchantId), trail, merchantOf);
+      const prices = restoredPrices(targets);
+      if (prices.length) await writePricesToFirestore(merchantId, prices);
+    } catch (err) {
+      throw await fail(`Firestore restore failed for merchant ${merchantId}: ${err.message || err}`, 500);
+    }
+    revertedMerchants.add(merchantId);
+    await markPartial({ reverted_merchant_ids: FieldValue.arrayUnion(merchantId) });
+  }
+
+  // 3) Firestore docs not tied to a reverted merchant (gtinMeta, shared docs)
+  try {
+    await restoreFirestore(
+      firestoreTargets.filter((t) => !byMerchant.has(merchantOf.get(t.object_id))),
+      trail,
+      merchantOf
+    );
+  } catch (err) {
+    throw await fail(`Firestore restore failed: ${err.message || err}`, 500);
+  }
+
+  const revertAuditId = await recordAudit({
+    req,
+    action: 'revert',
+    gtins: entry.gtins,
+    merchantIds: entry.merchant_ids,
+    trail,
+    summary,
+  });
+  await ref.update({
+    revert_status: 'reverted',
+    reverted_at: new Date().toISOString(),
+    reverted_by: req?.user?.email || null,
+    revert_audit_id: revertAuditId,
+  });
+
+  return {
+    revertAuditId,
+    squareObjects: trail.targets.filter((t) => t.kind === 'square').length,
+    firestoreDocs: trail.targets.filter((t) => t.kind === 'firestore').length,
+  };
+}
+
+module.exports = {
+  REVERTIBLE_ACTIONS,
+  canRevert,
+  revertAuditEntry,
+};
@@ -0,0 +1,485 @@
+// lib/catalogCache.js
+const firestore = require('./firestore');
+
+const CATALOG_TYPES = ['ITEM', 'ITEM_VARIATION', 'CATEGORY', 'TAX', 'IMAGE'];
+
+// Firestore limit is 500 writes/batch -> keep well below.
+const MAX_WRITES_PER_BATCH = 400;
+const READ_PAGE_SIZE = 1000;
+
+// merchantId -> { maps, syncedAt, heldAt }: lookup maps matching the cache as
+// of catalog_synced_at, so an incremental sync in the same process applies
+// the delta instead of reading the whole cache again. Least recently used
+// first; at most CATALOG_MAPS_MAX_MERCHANTS are kept, each for
+// CATALOG_MAPS_TTL_MS.
+const mapsInMemory = new Map();
+const MAPS_MAX_MERCHANTS = parseInt(process.env.CATALOG_MAPS_MAX_MERCHANTS || '20', 10);
+const MAPS_TTL_MS = parseInt(process.env.CATALOG_MAPS_TTL_MS || String(60 * 60 * 1000), 10);
+
+/**
+ * Cached catalog snapshot for a merchant:
+ *   merchants/{merchantId}/catalog/{objectId}
+ */
+function catalogCol(merchantId) {
+  return firestore.collection('merchants').doc(merchantId).collection('catalog');
+}
+
+/**
+ * Square SDK objects carry BigInt fields (version, money amounts) which
+ * Firestore cannot store. Round-trip through JSON to get a plain object.
+ */
+function toPlain(obj) {
+  return JSON.parse(
+    JSON.stringify(obj, (key, value) => (typeof value === 'bigint' ? Number(value) : value))
+  );
+}
+
+function emptyMaps() {
+  return {
+    itemsById: {},
+    variationsById: {},
+    categoriesById: {},
+    taxesById: {},
+    imagesById: {},
+  };
+}
+
+function addToMaps(maps, obj) {
+  switch (obj.type) {
+    case 'ITEM':
+      maps.itemsById[obj.id] = obj;
+      break;
+    case 'ITEM_VARIATION':
+      maps.variationsById[obj.id] = obj;
+      break;
+    case 'CATEGORY':
+      maps.categoriesById[obj.id] = obj;
+      break;
+    case 'TAX':
+      maps.taxesById[obj.id] = obj;
+      break;
+    case 'IMAGE':
+      maps.imagesById[obj.id] = obj;
+      break;
+  }
+}
+
+// Copies of the lookup tables (the objects themselves are shared: maps are
+// only ever patched by replacing or deleting entries)
+function copyMaps(maps) {
+  return {
+    itemsById: { ...maps.itemsById },
+    variationsById: { ...maps.variationsById },
+    categoriesById: { ...maps.categoriesById },
+    taxesById: { ...maps.taxesById },
+    imagesById: { ...maps.imagesById },
+  };
+}
+
+function heldMaps(merchantId) {
+  const held = mapsInMemory.get(merchantId);
+  if (!held) return null;
+  mapsInMemory.delete(merchantId);
+  if (Date.now() - held.heldAt > MAPS_TTL_MS) return null;
+  mapsInMemory.set(merchantId, held);
+  return held;
+}
+
+function holdMaps(merchantId, maps, syncedAt) {
+  mapsInMemory.delete(merchantId);
+  if (MAPS_MAX_MERCHANTS <= 0) return;
+  mapsInMemory.set(merchantId, { maps, syncedAt, heldAt: Date.now() });
+  while (mapsInMemory.size > MAPS_MAX_MERCHANTS) {
+    mapsInMemory.delete(mapsInMemory.keys().next().value);
+  }
+}
+
+function removeFromMaps(maps, objectId) {
+  delete maps.itemsById[objectId];
+  delete maps.variationsById[objectId];
+  delete maps.categoriesById[objectId];
+  delete maps.taxesById[objectId];
+  delete maps.imagesById[objectId];
+}
+
+function countMaps(maps) {
+  return (
+    Object.keys(maps.itemsById).length +
+    Object.keys(maps.variationsById).length +
+    Object.keys(maps.categoriesById).length +
+    Object.keys(maps.taxesById).length +
+    Object.keys(maps.imagesById).length
+  );
+}
+
+function describeMaps(maps) {
+  return (
+    `items=${Object.keys(maps.itemsById).length}, ` +
+    `variations=${Object.keys(maps.variationsById).length}, ` +
+    `categories=${Object.keys(maps.categoriesById).length}, ` +
+    `taxes=${Object.keys(maps.taxesById).length}, ` +
+    `images=${Object.keys(maps.imagesById).length}`
+  );
+}
+
+/**
+ * Batched writer: upserts/deletes cache docs, flushing below the batch limit.
+ */
+function createCacheWriter(merchantId) {
+  const col = catalogCol(merchantId);
+  let batch = firestore.batch();
+  let writes = 0;
+  let total = 0;
+
+  async function flush() {
+    if (writes === 0) return;
+    await batch.commit();
+    batch = firestore.batch();
+    writes = 0;
+  }
+
+  async function upsert(obj, nowIso) {
+    batch.set(col.doc(obj.id), {
+      type: obj.type,
+      object: obj,
+      square_updated_at: obj.updatedAt || null,
+      cached_at: nowIso,
+    });
+    writes++;
+    total++;
+    if (writes >= MAX_WRITES_PER_BATCH) await flush();
+  }
+
+  async function remove(objectId) {
+    batch.delete(col.doc(objectId));
+    writes++;
+    total++;
+    if (writes >= MAX_WRITES_PER_BATCH) await flush();
+  }
+
+  return { upsert, remove, flush, get total() { return total; } };
+}
+
+/**
+ * Read the cached catalog snapshot back into lookup maps.
+ */
+async function loadCachedMaps(merchantId) {
+  const maps = emptyMaps();
+  const col = catalogCol(merchantId);
+  let lastDoc = null;
+
+  while (true) {
+    let q = col.orderBy('__name__').limit(READ_PAGE_SIZE);
+    if (lastDoc) q = q.startAfter(lastDoc);
+
+    const snap = await q.get();
+    if (snap.empty) break;
+
+    for (const doc of snap.docs) {
+      const obj = doc.data().object;
+      if (obj) addToMaps(maps, obj);
+    }
+
+    lastDoc = snap.docs[snap.docs.length - 1];
+  }
+
+  return maps;
+}
+
+/**
+ * Load specific cached catalog objects by id (missing ids are skipped).
+ */
+async function loadCachedObjects(merchantId, objectIds) {
+  const ids = Array.from(new Set((objectIds || []).filter(Boolean)));
+  if (!ids.length) return [];
+
+  const col = catalogCol(merchantId);
+  const out = [];
+  const CHUNK = 300;
+
+  for (let i = 0; i < ids.length; i += CHUNK) {
+    const refs = ids.slice(i, i + CHUNK).map((id) => col.doc(id));
+    const snaps = await firestore.getAll(...refs);
+    snaps.forEach((s) => {
+      if (s.exists && s.data().object) out.push(s.data().object);
+    });
+  }
+
+  return out;
+}
+
+/**
+ * Lookup maps straight from Square's listCatalog (SDK objects, BigInt
+ * versions intact), without touching the cache. For scripts that upsert the
+ * objects they read.
+ */
+async function listCatalogMaps(client) {
+  const maps = emptyMaps();
+  let cursor = undefined;
+  let page = 0;
+
+  do {
+    const res = await client.catalogApi.listCatalog(cursor, CATALOG_TYPES.join(','));
+
+    const objects = res.result.objects || [];
+    console.log(`Catalog page ${page}, objects: ${objects.length}`);
+    objects.forEach((obj) => addToMaps(maps, obj));
+
+    cursor = res.result.cursor;
+    page++;
+  } while (cursor);
+
+  console.log(`Catalog maps built: ${describeMaps(maps)}`);
+  return maps;
+}
+
+/**
+ * Full rebuild: page through listCatalog, rewrite the cache, and drop cache
+ * docs for objects Square no longer returns.
+ */
+async function rebuildCatalogCache(merchantId, client) {
+  const maps = emptyMaps();
+  const writer = createCacheWriter(merchantId);
+  const nowIso = new Date().toISOString();
+
+  let cursor = undefined;
+  let page = 0;
+
+  do {
+    const res = await client.catalogApi.listCatalog(cursor, CATALOG_TYPES.join(','));
+
+    const objects = res.result.objects || [];
+    console.log(`Catalog page ${page}, objects: ${objects.length}`);
+
+    for (const raw of objects) {
+      const obj = toPlain(raw);
+      addToMaps(maps, obj);
+      await writer.upsert(obj, nowIso);
+    }
+
+    cursor = res.result.cursor;
+    page++;
+  } while (cursor);
+
+  // Remove cached objects that no longer exist in Square
+  const col = catalogCol(merchantId);
+  let lastDoc = null;
+  let removed = 0;
+
+  while (true) {
+    let q = col.orderBy('__name__').select('type').limit(READ_PAGE_SIZE);
+    if (lastDoc) q = q.startAfter(lastDoc);
+
+    const snap = await q.get();
+    if (snap.empty) break;
+
+    for (const doc of snap.docs) {
+      if (!doc.data().type || !isInMaps(maps, doc.id)) {
+        await writer.remove(doc.id);
+        removed++;
+      }
+    }
+
+    lastDoc = snap.docs[snap.docs.length - 1];
+  }
+
+  await writer.flush();
+
+  console.log(`Catalog cache rebuilt for merchant ${merchantId}: ${describeMaps(maps)}, removed=${removed}`);
+
+  return { maps, removed };
+}
+
+function isInMaps(maps, objectId) {
+  return !!(
+    maps.itemsById[objectId] ||
+    maps.variationsById[objectId] ||
+    maps.categoriesById[objectId] ||
+    maps.taxesById[objectId] ||
+    maps.imagesById[objectId]
+  );
+}
+
+/**
+ * Fetch only objects changed since beginTime (including deletions).
+ */
+async function fetchCatalogChanges(client, beginTime) {
+  const upserted = [];
+  const deletedIds = [];
+  let latestTime = null;
+  let cursor = undefined;
+
+  do {
+    const res = await client.catalogApi.searchCatalogObjects({
+      cursor,
+      objectTypes: CATALOG_TYPES,
+      includeDeletedObjects: true,
+      beginTime,
+      limit: 1000,
+    });
+
+    const objects = res.result.objects || [];
+    for (const raw of objects) {
+      const obj = toPlain(raw);
+      if (obj.isDeleted) deletedIds.push(obj.id);
+      else upserted.push(obj);
+    }
+
+    if (res.result.latestTime) latestTime = res.result.latestTime;
+    cursor = res.result.cursor;
+  } while (cursor);
+
+  return { upserted, deletedIds, latestTime };
+}
+
+/**
+ * Fetch catalog changes since merchants/{id}.catalog_synced_at, write them
+ * into the cache and advance the timestamp.
+ *
+ * Returns null when the merchant has no catalog_synced_at yet (a full
+ * rebuild is needed), otherwise { upserted, deletedIds }.
+ */
+async function applyCatalogChanges(merchantDoc, client) {
+  const merchantId = merchantDoc.id;
+  const lastSyncedAt = merchantDoc.data().catalog_synced_at || null;
+  if (!lastSyncedAt) return null;
+
+  const { upserted, deletedIds, latestTime } = await fetchCatalogChanges(client, lastSyncedAt);
+  const writer = createCacheWriter(merchantId);
+  const nowIso = new Date().toISOString();
+
+  for (const obj of upserted) await writer.upsert(obj, nowIso);
+  for (const id of deletedIds) await writer.remove(id);
+  await writer.flush();
+
+  const syncedAt = latestTime || lastSyncedAt;
+  await firestore.collection('merchants').doc(merchantId).set(
+    {
+      catalog_synced_at: syncedAt,
+      catalog_sync_mode: 'incremental',
+    },
+    { merge: true }
+  );
+
+  // Keep maps held in memory current; ones from an older sync can no longer be patched
+  const held = heldMaps(merchantId);
+  if (held && held.syncedAt === lastSyncedAt) {
+    upserted.forEach((obj) => addToMaps(held.maps, obj));
+    deletedIds.forEach((id) => removeFromMaps(held.maps, id));
+    held.syncedAt = syncedAt;
+  } else if (held) {
+    mapsInMemory.delete(merchantId);
+  }
+
+  console.log(
+    `Catalog cache for merchant ${merchantId}: upserted=${upserted.length}, deleted=${deletedIds.length} since ${lastSyncedAt}`
+  );
+
+  return { upserted, deletedIds };
+}
+
+/**
+ * Bring the cached catalog for one merchant up to date and return lookup maps.
+ *
+ * Uses merchants/{id}.catalog_synced_at to fetch only changes since the last
+ * run. Falls back to a full rebuild when there is no cached snapshot yet or
+ * when options.fullRebuild is set.
+ *
+ * The maps are kept in memory per merchant. The cache is only read in full
+ * when this process has no maps for the stored catalog_synced_at (first
+ * sync, evicted, or another instance synced since). Each caller gets its own
+ * copy, so a sync reading its maps is not affected by a later sync or
+ * webhook patching the held ones.
+ *
+ * Returns { maps, mode, upsertedIds, deletedIds }.
+ */
+async function syncCatalogCache(merchantDoc, client, options = {}) {
+  const merchantId = merchantDoc.id;
+  const syncedAt = merchantDoc.data().catalog_synced_at || null;
+
+  if (!options.fullRebuild && syncedAt) {
+    const held = heldMaps(merchantId);
+    const inMemory = !!held && held.syncedAt === syncedAt;
+    const maps = inMemory ? held.maps : await loadCachedMaps(merchantId);
+
+    if (countMaps(maps) > 0) {
+      // applyCatalogChanges applies the delta to the held maps
+      holdMaps(merchantId, maps, syncedAt);
+      const { upserted, deletedIds } = await applyCatalogChanges(merchantDoc, client);
+      // Also onto the copy: a sync that advanced catalog_synced_at meanwhile drops the held maps unpatched
+      const current = copyMaps(maps);
+      upserted.forEach((obj) => addToMaps(current, obj));
+      deletedIds.forEach((id) => removeFromMaps(current, id));
+
+      console.log(`Catalog maps (incremental${inMemory ? ', in memory' : ''}): ${describeMaps(current)}`);
+
+      return {
+        maps: current,
+        mode: 'incremental',
+        upsertedIds: upserted.map((o) => o.id),
+        deletedIds,
+      };
+    }
+
+    console.log(`Catalog cache for merchant ${merchantId} is empty, doing a full rebuild`);
+  }
+
+  // Capture the start time so changes made during the listing are picked up next run.
+  const startedAt = new Date().toISOString();
+  const { maps } = await rebuildCatalogCache(merchantId, client);
+
+  await firestore.collection('merchants').doc(merchantId).set(
+    {
+      catalog_synced_at: startedAt,
+      catalog_sync_mode: 'full',
+      catalog_rebuilt_at: new Date().toISOString(),
+    },
+    { merge: true }
+  );
+  holdMaps(merchantId, copyMaps(maps), startedAt);
+
+  return { maps, mode: 'full', upsertedIds: null, deletedIds: [] };
+}
+
+/**
+ * Build partial lookup maps (variations + their items, categories, taxes and
+ * images) from the cache, for code paths that only touch a few variations.
+ */
+async function buildMapsForVariations(merchantId, variationIds) {
+  const maps = emptyMaps();
+
+  const variations = await loadCachedObjects(merchantId, variationIds);
+  variations.forEach((obj) => addToMaps(maps, obj));
+
+  const itemIds = variations.map((v) => v.itemVariationData?.itemId);
+  const items = await loadCachedObjects(merchantId, itemIds);
+  items.forEach((obj) => addToMaps(maps, obj));
+
+  const relatedIds = [];
+  for (const item of items) {
+    const itemData = item.itemData || {};
+    if (itemData.categoryId) relatedIds.push(itemData.categoryId);
+    (itemData.categories || []).forEach((c) => relatedIds.push(c.id));
+    (itemData.taxIds || []).forEach((id) => relatedIds.push(id));
+    (itemData.imageIds || []).forEach((id) => relatedIds.push(id));
+  }
+
+  const related = await loadCachedObjects(merchantId, relatedIds);
+  related.forEach((obj) => addToMaps(maps, obj));
+
+  return maps;
+}
+
+module.exports = {
+  CATALOG_TYPES,
+  toPlain,
+  emptyMaps,
+  addToMaps,
+  loadCachedMaps,
+  loadCachedObjects,
+  listCatalogMaps,
+  rebuildCatalogCache,
+  applyCatalogChanges,
+  syncCatalogCache,
+  buildMapsForVariations,
+};
@@ -0,0 +1,76 @@
+// lib/catalogVersions.js
+const crypto = require('crypto');
+const { snapshotCatalogObject } = require('./auditLog');
+
+/**
+ * Optimistic concurrency for catalog writes.
+ *
+ * Write routes accept the version of each object the user was looking at
+ * (inventory rows and gtin_matrix cells carry item_version /
+ * variation_version). When Square's version has moved on, nothing is written
+ * and a 409 comes back with `conflicts`: the current Square values, so the UI
+ * can show them and retry against the new version.
+ *
+ * Idempotency keys are derived from the operation, the objects and the
+ * versions they were read at, so a retried request maps to the same key and a
+ * new edit to a new one.
+ */
+
+function invalid(message, statusCode = 400) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+/**
+ * Deterministic idempotency key: `${operation}-${sha256(parts)}` (≤ 128 chars).
+ */
+function operationKey(operation, ...parts) {
+  const hash = crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex').slice(0, 40);
+  return `${String(operation).slice(0, 80)}-${hash}`;
+}
+
+function versionOf(obj) {
+  return obj && obj.version != null ? String(obj.version) : null;
+}
+
+/**
+ * A conflict record when `expectedVersion` is given and differs from the
+ * object's current version (or the object is gone); null otherwise.
+ */
+function checkVersion(merchantId, objectId, current, expectedVersion) {
+  if (expectedVersion === undefined || expectedVersion === null || expectedVersion === '') return null;
+  const currentVersion = versionOf(current);
+  if (current && !current.isDeleted && currentVersion === String(expectedVersion)) return null;
+
+  return {
+    merchant_id: merchantId,
+    object_id: objectId,
+    object_type: current?.type || null,
+    expected_version: String(expectedVersion),
+    current_version: currentVersion,
+    current: snapshotCatalogObject(current),
+    reason: current && !current.isDeleted ? 'Changed in Square since it was loaded' : 'Deleted in Square',
+  };
+}
+
+/**
+ * Square rejects an upsert whose object version is stale with VERSION_MISMATCH.
+ */
+function isVersionMismatch(err) {
+  return (err?.errors || []).some((e) => e.code === 'VERSION_MISMATCH');
+}
+
+function conflictError(conflicts) {
+  const err = invalid(`${conflicts.length} catalog object(s) changed in Square since they were loaded`, 409);
+  err.conflicts = conflicts;
+  return err;
+}
+
+module.exports = {
+  operationKey,
+  versionOf,
+  checkVersion,
+  isVersionMismatch,
+  conflictError,
+};
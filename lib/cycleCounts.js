@@ -0,0 +1,367 @@
+// lib/cycleCounts.js
+const { FieldValue } = require('@google-cloud/firestore');
+const firestore = require('./firestore');
+const { loadGtinMeta, unitCostOf } = require('./gtinMeta');
+const { buildPhysicalCount, applySquareInventoryChanges } = require('./inventoryAdjustments');
+const { isActiveRow } = require('./inventoryRows');
+
+/**
+ * Cycle count sessions:
+ *   countSessions/{autoId}
+ *   countSessions/{autoId}/lines/{variationId}
+ *
+ * Session: { merchant_id, merchant_name, location_id, location_name, category_name,
+ *   status: 'open' | 'submitted' | 'failed' | 'cancelled',
+ *   totals: { lines, lines_counted, variance_units, variance_value, shrink_value, overage_value },
+ *   created_at, created_by, counted_by[], counted_at, approved_by, approved_at,
+ *   submitted_at, error, counts_written }
+ *
+ * Line: { position, variation_id, gtin, sku, item_name, variation_name, category_name,
+ *         expected_qty, counted_qty, variance, unit_cost, variance_value }
+ *
+ * Lines live in a subcollection so a whole location fits (a session doc is
+ * capped at 1 MiB); saves write only the lines that changed and adjust the
+ * totals by the difference.
+ *
+ * expected_qty is the synced IN_STOCK qty when the session was started.
+ * Variance is valued at gtinMeta.unitCost (snapshot taken at approval).
+ */
+
+function invalid(message, statusCode = 400) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+const MAX_WRITES_PER_BATCH = 400;
+
+function roundMoney(n) {
+  return Math.round(n * 100) / 100;
+}
+
+const sessionRef = (id) => firestore.collection('countSessions').doc(id);
+const linesCol = (id) => sessionRef(id).collection('lines');
+
+/**
+ * One line with its variance filled in.
+ */
+function lineVariance(l) {
+  if (l.counted_qty === null || l.counted_qty === undefined) {
+    return { ...l, variance: null, variance_value: null };
+  }
+  const variance = l.counted_qty - l.expected_qty;
+  const value = l.unit_cost !== null && l.unit_cost !== undefined ? roundMoney(variance * l.unit_cost) : null;
+  return { ...l, variance, variance_value: value };
+}
+
+/**
+ * What one line (already through lineVariance) adds to the session totals.
+ * shrink_value is the value of missing stock (positive number),
+ * overage_value the value of extra stock.
+ */
+function lineTotals(l) {
+  const value = l.variance_value;
+  return {
+    lines: 1,
+    lines_counted: l.variance === null ? 0 : 1,
+    variance_units: l.variance || 0,
+    shrink_value: value !== null && value < 0 ? -value : 0,
+    overage_value: value !== null && value > 0 ? value : 0,
+  };
+}
+
+// Session totals from per-line contributions; sign -1 takes a line back out
+function addTotals(totals, l, sign = 1) {
+  const add = lineTotals(l);
+  const next = { ...totals };
+  Object.keys(add).forEach((k) => { next[k] = (next[k] || 0) + sign * add[k]; });
+  next.shrink_value = roundMoney(next.shrink_value);
+  next.overage_value = roundMoney(next.overage_value);
+  next.variance_value = roundMoney(next.overage_value - next.shrink_value);
+  return next;
+}
+
+const EMPTY_TOTALS = { lines: 0, lines_counted: 0, variance_units: 0, variance_value: 0, shrink_value: 0, overage_value: 0 };
+
+/**
+ * Per-line variance and session totals.
+ */
+function withVariance(lines) {
+  const out = lines.map(lineVariance);
+  return { lines: out, totals: out.reduce((t, l) => addTotals(t, l), EMPTY_TOTALS) };
+}
+
+/**
+ * Write lines to the session's subcollection, in batches.
+ */
+async function writeLines(id, lines, fields = null) {
+  let batch = firestore.batch();
+  let writes = 0;
+  for (const l of lines) {
+    const data = fields ? Object.fromEntries(fields.map((f) => [f, l[f] ?? null])) : l;
+    batch.set(linesCol(id).doc(l.variation_id), data, { merge: !!fields });
+    if (++writes >= MAX_WRITES_PER_BATCH) {
+      await batch.commit();
+      batch = firestore.batch();
+      writes = 0;
+    }
+  }
+  if (writes) await batch.commit();
+}
+
+/**
+ * A session's lines in count order. Sessions started before lines moved to
+ * the subcollection carry them as a `lines` array; those are moved on first
+ * read.
+ */
+async function loadLines(id, session) {
+  if (Array.isArray(session.lines)) {
+    const lines = session.lines.map((l, position) => ({ ...l, position }));
+    await writeLines(id, lines);
+    await sessionRef(id).update({ lines: FieldValue.delete() });
+    return lines;
+  }
+  const snap = await linesCol(id).orderBy('position').get();
+  return snap.docs.map((d) => d.data());
+}
+
+/**
+ * Start a session with the location's IN_STOCK rows (optionally one category).
+ */
+async function startCountSession({ merchantId, locationId, categoryName, createdBy }) {
+  if (!merchantId || !locationId) throw invalid('merchantId and locationId are required');
+
+  const merchantSnap = await firestore.collection('merchants').doc(merchantId).get();
+  if (!merchantSnap.exists) throw invalid('Merchant not found', 404);
+  const merchant = merchantSnap.data();
+  const location = (merchant.locations || []).find((l) => l.id === locationId);
+
+  const snap = await firestore
+    .collection('merchants')
+    .doc(merchantId)
+    .collection('inventory')
+    .where('location_id', '==', locationId)
+    .where('state', '==', 'IN_STOCK')
+    .get();
+
+  const lines = snap.docs
+    .map((d) => d.data())
+    .filter((d) => d.variation_id && d.synthetic !== true && isActiveRow(d))
+    .filter((d) => !categoryName || (d.category_name || '') === categoryName)
+    .map((d) => ({
+      variation_id: d.variation_id,
+      gtin: d.gtin || null,
+      sku: d.sku || null,
+      item_name: d.item_name || null,
+      variation_name: d.variation_name || null,
+      category_name: d.category_name || null,
+      expected_qty: Number(d.qty) || 0,
+      counted_qty: null,
+      unit_cost: null,
+    }))
+    .sort(
+      (a, b) =>
+        (a.category_name || '').localeCompare(b.category_name || '') ||
+        (a.item_name || '').localeCompare(b.item_name || '')
+    )
+    .map((l, position) => ({ position, ...l }));
+
+  if (!lines.length) throw invalid('No items found for that location / category');
+
+  // Costs now so the screen can show variance value while counting
+  const meta = await loadGtinMeta(lines.map((l) => l.gtin));
+  lines.forEach((l) => { l.unit_cost = unitCostOf(meta.get(l.gtin)); });
+
+  const nowIso = new Date().toISOString();
+  const ref = firestore.collection('countSessions').doc();
+  const { lines: priced, totals } = withVariance(lines);
+  // Lines first: the session only shows up once all of them are stored
+  await writeLines(ref.id, priced);
+
+  const session = {
+    merchant_id: merchantId,
+    merchant_name: merchant.business_name || merchantId,
+    location_id: locationId,
+    location_name: (location && location.name) || (snap.docs[0] && snap.docs[0].data().location_name) || locationId,
+    category_name: categoryName || null,
+    status: 'open',
+    totals,
+    created_at: nowIso,
+    created_by: createdBy || null,
+    counted_by: [],
+    counted_at: null,
+    approved_by: null,
+    approved_at: null,
+    submitted_at: null,
+    error: null,
+  };
+  await ref.set(session);
+  return { id: ref.id, ...session, lines: priced };
+}
+
+/**
+ * The session with its lines.
+ */
+async function getCountSession(id) {
+  const snap = await sessionRef(id).get();
+  if (!snap.exists) return null;
+  const session = snap.data();
+  return { id: snap.id, ...session, lines: await loadLines(id, session) };
+}
+
+/**
+ * Newest first; equality filters only.
+ */
+async function listCountSessions({ merchantId, status, limit = 100 } = {}) {
+  let q = firestore.collection('countSessions');
+  if (merchantId) q = q.where('merchant_id', '==', merchantId);
+  if (status) q = q.where('status', '==', status);
+  if (!merchantId && !status) q = q.orderBy('created_at', 'desc').limit(limit);
+
+  const snap = await q.get();
+  const rows = snap.docs.map((d) => {
+    // The list does not need the lines
+    const { lines, ...rest } = d.data();
+    return { id: d.id, ...rest };
+  });
+  rows.sort((a, b) => (b.created_at || '').localeCompare(a.created_at || ''));
+  return rows.slice(0, limit);
+}
+
+/**
+ * Save counted quantities ([{ variation_id, counted_qty }], '' / null clears one)
+ * on an open session and record who counted. Only the given lines are read
+ * and written; the totals move by their difference. Large saves are split
+ * into several transactions.
+ *
+ * Returns the session without its lines.
+ */
+async function saveCounts(id, { lines, countedBy }) {
+  const ref = sessionRef(id);
+  const edits = new Map();
+  (lines || []).forEach((l) => {
+    const raw = l.counted_qty;
+    if (raw === null || raw === undefined || raw === '') return edits.set(l.variation_id, null);
+    const n = Number(raw);
+    if (Number.isNaN(n) || n < 0) throw invalid(`Invalid count for ${l.variation_id}`);
+    edits.set(l.variation_id, n);
+  });
+
+  // Session doc + one write per line per transaction, under Firestore's 500
+  const ids = [...edits.keys()].filter(Boolean);
+  const chunks = [];
+  for (let i = 0; i < ids.length; i += MAX_WRITES_PER_BATCH) chunks.push(ids.slice(i, i + MAX_WRITES_PER_BATCH));
+  if (!chunks.length) chunks.push([]);
+
+  let result = null;
+  for (const chunk of chunks) {
+    result = await firestore.runTransaction(async (tx) => {
+      const snap = await tx.get(ref);
+      if (!snap.exists) throw invalid('Count session not found', 404);
+      const session = snap.data();
+      if (session.status !== 'open') throw invalid(`Count session is ${session.status}`, 409);
+      if (Array.isArray(session.lines)) throw invalid('Reload the session before saving', 409);
+
+      const lineSnaps = chunk.length ? await tx.getAll(...chunk.map((v) => linesCol(id).doc(v))) : [];
+      let totals = session.totals;
+      lineSnaps.forEach((ls) => {
+        if (!ls.exists) return;
+        const line = ls.data();
+        const counted = edits.get(line.variation_id);
+        if (counted === (line.counted_qty ?? null)) return;
+
+        const next = lineVariance({ ...line, counted_qty: counted });
+        totals = addTotals(addTotals(totals, line, -1), next);
+        tx.set(ls.ref, { counted_qty: next.counted_qty, variance: next.variance, variance_value: next.variance_value }, { merge: true });
+      });
+
+      const counters = new Set(session.counted_by || []);
+      if (countedBy) counters.add(countedBy);
+      const update = { totals, counted_by: [...counters], counted_at: new Date().toISOString() };
+      tx.update(ref, update);
+      return { id, ...session, ...update };
+    });
+  }
+  return result;
+}
+
+/**
+ * Approve an open (or previously failed) session: re-price variance at the
+ * current unit cost and push PHYSICAL_COUNT changes for every counted line.
+ * The session id is the idempotency key, so a retry never counts twice.
+ * trail is passed on to applySquareInventoryChanges().
+ */
+async function approveCountSession(id, { approvedBy, trail = null }) {
+  const ref = sessionRef(id);
+  const snap = await ref.get();
+  if (!snap.exists) throw invalid('Count session not found', 404);
+  const { lines: legacyLines, ...session } = snap.data();
+  if (!['open', 'failed'].includes(session.status)) throw invalid(`Count session is ${session.status}`, 409);
+
+  const lines = await loadLines(id, { lines: legacyLines });
+  const counted = lines.filter((l) => l.counted_qty !== null && l.counted_qty !== undefined);
+  if (!counted.length) throw invalid('Nothing has been counted yet');
+
+  const meta = await loadGtinMeta(lines.map((l) => l.gtin));
+  const repriced = withVariance(
+    lines.map((l) => ({ ...l, unit_cost: l.gtin ? unitCostOf(meta.get(l.gtin)) : l.unit_cost }))
+  );
+
+  const nowIso = new Date().toISOString();
+  await writeLines(id, repriced.lines, ['unit_cost', 'variance', 'variance_value']);
+  await ref.update({ totals: repriced.totals, approved_by: approvedBy || null, approved_at: nowIso });
+
+  const occurredAt = session.counted_at || nowIso;
+  const changes = counted.map((l) =>
+    buildPhysicalCount({
+      variationId: l.variation_id,
+      locationId: session.location_id,
+      quantity: l.counted_qty,
+      referenceId: id,
+      occurredAt,
+    })
+  );
+
+  const merchantDoc = await firestore.collection('merchants').doc(session.merchant_id).get();
+  try {
+    const result = await applySquareInventoryChanges({
+      merchantDoc,
+      changes,
+      idempotencyKey: `count-${id}`,
+      historyExtra: { count_session_id: id, source_name: 'Cycle count' },
+      trail,
+    });
+
+    const update = {
+      status: 'submitted',
+      submitted_at: new Date().toISOString(),
+      error: null,
+      counts_written: result.countsWritten,
+    };
+    await ref.update(update);
+    return { id, ...session, ...repriced, ...update };
+  } catch (err) {
+    console.error(`Count session ${id} failed to submit`, err);
+    await ref.update({ status: 'failed', error: err.message || String(err) });
+    return { id, ...session, ...repriced, status: 'failed', error: err.message || String(err) };
+  }
+}
+
+async function cancelCountSession(id) {
+  const ref = sessionRef(id);
+  return firestore.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists) throw invalid('Count session not found', 404);
+    if (snap.data().status !== 'open') throw invalid(`Count session is ${snap.data().status}`, 409);
+    tx.update(ref, { status: 'cancelled', cancelled_at: new Date().toISOString() });
+  });
+}
+
+module.exports = {
+  startCountSession,
+  getCountSession,
+  listCountSessions,
+  saveCounts,
+  approveCountSession,
+  cancelCountSession,
+};
@@ -0,0 +1,124 @@
+// lib/gtinDuplicates.js
+const firestore = require('./firestore');
+const { NO_JOB } = require('./jobs');
+const { isActiveRow } = require('./inventoryRows');
+
+const DUPLICATE_MODES = ['gtin', 'gtin_location'];
+
+function invalid(message, statusCode = 400) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+/**
+ * Inventory rows of one merchant sharing a GTIN (mode 'gtin') or a GTIN at
+ * the same location ('gtin_location'). Scans every row, so it runs as a
+ * `gtin.duplicates` job.
+ *
+ * Returns { merchantId, merchantName, mode, totalDocs, withGtin, duplicateKeys,
+ *   dupes: [{ key, gtin, location_id, location_name, count, item_name, sku, category_name }] }
+ * (the `top` largest groups).
+ */
+async function scanGtinDuplicates({ merchantId, mode = 'gtin', top = 200 }, ctx = NO_JOB) {
+  if (!merchantId) throw invalid('merchantId is required');
+  if (!DUPLICATE_MODES.includes(mode)) throw invalid(`mode must be one of ${DUPLICATE_MODES.join(', ')}`);
+
+  const merchantDoc = await firestore.collection('merchants').doc(merchantId).get();
+  if (!merchantDoc.exists) throw invalid(`Merchant ${merchantId} not found`, 404);
+
+  const invRef = firestore.collection('merchants').doc(merchantId).collection('inventory');
+
+  // Scan in pages (safe for 30K+)
+  const PAGE = 1000;
+  let lastDoc = null;
+
+  // Total for the progress bar (aggregation, no reads)
+  const countSnap = await invRef.count().get();
+  const expected = countSnap.data().count || 0;
+
+  const counts = new Map();     // key -> count
+  const samples = new Map();    // key -> sample row (name/sku/category/location)
+  let totalDocs = 0;
+  let withGtin = 0;
+
+  while (true) {
+    let q = invRef.orderBy('__name__').limit(PAGE);
+    if (lastDoc) q = q.startAfter(lastDoc);
+
+    ctx.throwIfCancelled();
+    const snap = await q.get();
+    if (snap.empty) break;
+
+    for (const doc of snap.docs) {
+      totalDocs++;
+      const d = doc.data();
+      const gtin = (d.gtin || '').toString().trim();
+      if (!gtin || !isActiveRow(d)) continue;
+
+      withGtin++;
+
+      const locationId = (d.location_id || '').toString().trim();
+      const key =
+        mode === 'gtin_location'
+          ? `${gtin}|${locationId || 'NO_LOCATION'}`
+          : gtin;
+
+      counts.set(key, (counts.get(key) || 0) + 1);
+
+      if (!samples.has(key)) {
+        samples.set(key, {
+          gtin,
+          location_id: locationId || '',
+          location_name: d.location_name || '',
+          item_name: d.item_name || '',
+          sku: d.sku || '',
+          category_name: d.category_name || '',
+        });
+      }
+    }
+
+    lastDoc = snap.docs[snap.docs.length - 1];
+    await ctx.progress(expected ? (totalDocs / expected) * 95 : 50, `${totalDocs} of ${expected} rows scanned`);
+  }
+
+  const dupes = Array.from(counts.entries())
+    .filter(([, c]) => c > 1)
+    .map(([key, c]) => {
+      const s = samples.get(key) || {};
+      let gtin = s.gtin || key;
+      let location_id = s.location_id || '';
+      if (mode === 'gtin_location') {
+        const parts = key.split('|');
+        gtin = parts[0] || gtin;
+        location_id = parts[1] || location_id;
+      }
+      return {
+        key,
+        gtin,
+        location_id,
+        location_name: s.location_name || '',
+        count: c,
+        item_name: s.item_name || '',
+        sku: s.sku || '',
+        category_name: s.category_name || '',
+      };
+    })
+    .sort((a, b) => b.count - a.count)
+    .slice(0, top);
+
+  return {
+    merchantId,
+    merchantName: merchantDoc.data()?.business_name || merchantId,
+    mode,
+    totalDocs,
+    withGtin,
+    duplicateKeys: Array.from(counts.values()).filter(v => v > 1).length,
+    dupes,
+  };
+}
+
+module.exports = {
+  DUPLICATE_MODES,
+  scanGtinDuplicates,
+};
@@ -0,0 +1,14 @@
+// lib/gtinMatrix.js
+
+/**
+ * Same "merchant – location" key the gtin_matrix uses for pricesByLocation.
+ */
+function makeLocKey(d) {
+  const merchantName = String(d.merchant_name || d.merchant_id || '').trim();
+  const locationName = String(d.location_name || d.location_id || '').trim();
+  return `${merchantName} – ${locationName}`.trim();
+}
+
+module.exports = {
+  makeLocKey,
+};
@@ -0,0 +1,33 @@
+// lib/gtinMeta.js
+const firestore = require('./firestore');
+
+/**
+ * gtinMeta docs (sku / itemName / vendorName / unitCost) keyed by GTIN.
+ */
+async function loadGtinMeta(gtins) {
+  const unique = [...new Set(gtins.filter(Boolean))];
+  const out = new Map();
+  if (!unique.length) return out;
+
+  const col = firestore.collection('gtinMeta');
+  const snaps = await firestore.getAll(...unique.map((g) => col.doc(g)));
+  snaps.forEach((s) => {
+    if (s.exists) out.set(s.id, s.data());
+  });
+  return out;
+}
+
+/**
+ * unitCost as a number, or null (older docs used unit_cost).
+ */
+function unitCostOf(meta) {
+  const raw = meta ? meta.unitCost ?? meta.unit_cost : null;
+  if (raw === null || raw === undefined || raw === '') return null;
+  const n = Number(raw);
+  return Number.isNaN(n) ? null : n;
+}
+
+module.exports = {
+  loadGtinMeta,
+  unitCostOf,
+};
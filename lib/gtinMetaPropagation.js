@@ -0,0 +1,539 @@
+// lib/gtinMetaPropagation.js
+const firestore = require('./firestore');
+const { getSquareClientForMerchant } = require('./squareAuth');
+const { createAuditTrail, recordAudit, snapshotCatalogObject } = require('./auditLog');
+const { operationKey, versionOf, checkVersion, conflictError } = require('./catalogVersions');
+const { NO_JOB } = require('./jobs');
+
+/**
+ * What PUT /api/gtin-meta/:gtin touches besides the gtinMeta doc: the Square
+ * ITEM name and variation SKU of every merchant carrying the GTIN, and the
+ * item_name / sku of its inventory rows. previewGtinMetaUpdate() reports those
+ * changes (current vs new) without writing anything; loadSquareTargets() and
+ * upsertSquareTargets() make them with batch calls, merchants in parallel.
+ * updateGtinMeta() is the whole update; it runs as a background job
+ * (lib/jobTypes.js) since a GTIN can be carried by many merchants.
+ */
+
+const INVENTORY_PAGE = 800;
+const WRITE_BATCH_SIZE = 400;
+const MAX_OBJECTS_PER_REQUEST = 100;
+// Merchants handled at once (each merchant's calls are limited in lib/squareClient)
+const MERCHANT_CONCURRENCY = parseInt(process.env.GTIN_META_MERCHANT_CONCURRENCY || '4', 10);
+
+function invalid(message, statusCode = 400) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+/**
+ * Body of PUT /api/gtin-meta/:gtin -> { sku, itemName, vendorName, unitCost }
+ * (trimmed strings or null; unitCost a number or null).
+ */
+function parseGtinMetaInput(body = {}) {
+  const sku = body.sku != null ? String(body.sku).trim() : null;
+  const itemName = body.itemName != null ? String(body.itemName).trim() : null;
+  const vendorName = body.vendorName != null ? String(body.vendorName).trim() : null;
+
+  let unitCost = null;
+  if (body.unitCost !== undefined) {
+    unitCost = (body.unitCost === null || body.unitCost === '') ? null : Number(body.unitCost);
+    if (unitCost !== null && Number.isNaN(unitCost)) {
+      throw invalid('unitCost must be a number or null');
+    }
+  }
+
+  return { sku, itemName, vendorName, unitCost };
+}
+
+/**
+ * Every inventory row of a GTIN (master collection, paginated).
+ * Returns { merchantToIds: Map(merchantId -> { itemIds, variationIds }),
+ *           invDocRefs: [{ masterRef, merchantId, docId, itemId, variationId,
+ *                          before: { item_name, sku } }] }.
+ */
+async function collectGtinInventory(gtin) {
+  const merchantToIds = new Map();
+  const invDocRefs = [];
+
+  let last = null;
+  while (true) {
+    let q = firestore.collection('inventory')
+      .where('gtin', '==', gtin)
+      .orderBy('__name__')
+      .limit(INVENTORY_PAGE);
+    if (last) q = q.startAfter(last);
+
+    const snap = await q.get();
+    if (snap.empty) break;
+
+    snap.docs.forEach((doc) => {
+      const d = doc.data();
+      if (d.merchant_id) {
+        if (!merchantToIds.has(d.merchant_id)) {
+          merchantToIds.set(d.merchant_id, { itemIds: new Set(), variationIds: new Set() });
+        }
+        const entry = merchantToIds.get(d.merchant_id);
+        if (d.item_id) entry.itemIds.add(d.item_id);
+        if (d.variation_id) entry.variationIds.add(d.variation_id);
+      }
+
+      invDocRefs.push({
+        masterRef: doc.ref,
+        merchantId: d.merchant_id || null,
+        docId: doc.id,
+        itemId: d.item_id || null,
+        variationId: d.variation_id || null,
+        before: { item_name: d.item_name ?? null, sku: d.sku ?? null },
+      });
+    });
+
+    last = snap.docs[snap.docs.length - 1];
+  }
+
+  return { merchantToIds, invDocRefs };
+}
+
+/**
+ * fn(item) for every item, at most `limit` at a time. Results keep the input order.
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker));
+  return results;
+}
+
+async function retrieveObjects(client, ids) {
+  const found = new Map();
+  for (let i = 0; i < ids.length; i += MAX_OBJECTS_PER_REQUEST) {
+    const res = await client.catalogApi.batchRetrieveCatalogObjects({
+      objectIds: ids.slice(i, i + MAX_OBJECTS_PER_REQUEST),
+      includeRelatedObjects: false,
+    });
+    (res.result.objects || []).forEach((o) => found.set(o.id, o));
+  }
+  return found;
+}
+
+/**
+ * Dry run of PUT /api/gtin-meta/:gtin with the same body.
+ *
+ * Returns { gtin, gtinMeta: { current, next, changedFields },
+ *   merchants: [{ merchant_id, merchant_name, error,
+ *     items: [{ item_id, version, current_name, new_name, changed }],
+ *     variations: [{ variation_id, item_id, version, current_sku, new_sku, changed }] }],
+ *   inventory: { docs, changed }, summary }.
+ * Only items / variations that would be pushed are listed (name / SKU
+ * given); `changed` is false when Square already has the value. Send the
+ * versions back as the PUT's expectedVersions so it refuses to overwrite
+ * anything changed after the preview.
+ */
+async function previewGtinMetaUpdate(gtin, body) {
+  if (!gtin) throw invalid('Missing gtin');
+  const { sku, itemName, vendorName, unitCost } = parseGtinMetaInput(body);
+
+  const metaSnap = await firestore.collection('gtinMeta').doc(gtin).get();
+  const metaData = metaSnap.exists ? metaSnap.data() : null;
+  const current = metaData
+    ? {
+        sku: metaData.sku ?? null,
+        itemName: metaData.itemName ?? null,
+        vendorName: metaData.vendorName ?? null,
+        unitCost: metaData.unitCost ?? null,
+      }
+    : null;
+  const next = { sku: sku || null, itemName: itemName || null, vendorName: vendorName || null, unitCost };
+  const changedFields = Object.keys(next).filter((k) => (current ? current[k] : null) !== next[k]);
+
+  const { merchantToIds, invDocRefs } = await collectGtinInventory(gtin);
+
+  const merchants = await mapWithConcurrency([...merchantToIds], MERCHANT_CONCURRENCY, async ([merchantId, ids]) => {
+    const merchantDoc = await firestore.collection('merchants').doc(merchantId).get();
+    const entry = {
+      merchant_id: merchantId,
+      merchant_name: merchantDoc.exists ? merchantDoc.data().business_name || merchantId : merchantId,
+      error: null,
+      items: [],
+      variations: [],
+    };
+
+    // The PUT skips merchants it cannot load
+    if (!merchantDoc.exists) {
+      entry.error = 'Merchant not found – skipped';
+      return entry;
+    }
+    if (!itemName && !sku) return entry;
+
+    try {
+      const client = await getSquareClientForMerchant(merchantDoc);
+      const found = await retrieveObjects(client, [
+        ...(itemName ? ids.itemIds : []),
+        ...(sku ? ids.variationIds : []),
+      ]);
+
+      if (itemName) {
+        ids.itemIds.forEach((itemId) => {
+          const obj = found.get(itemId);
+          if (!obj || obj.type !== 'ITEM') return;
+          const currentName = obj.itemData?.name ?? null;
+          entry.items.push({
+            item_id: itemId,
+            version: versionOf(obj),
+            current_name: currentName,
+            new_name: itemName,
+            changed: currentName !== itemName,
+          });
+        });
+      }
+      if (sku) {
+        ids.variationIds.forEach((variationId) => {
+          const obj = found.get(variationId);
+          if (!obj || obj.type !== 'ITEM_VARIATION') return;
+          const currentSku = obj.itemVariationData?.sku ?? null;
+          entry.variations.push({
+            variation_id: variationId,
+            item_id: obj.itemVariationData?.itemId || null,
+            version: versionOf(obj),
+            current_sku: currentSku,
+            new_sku: sku,
+            changed: currentSku !== sku,
+          });
+        });
+      }
+    } catch (err) {
+      entry.error = err.message || String(err);
+    }
+    return entry;
+  });
+
+  // Inventory rows get item_name / sku whenever they are sent
+  const inventoryChanged = invDocRefs.filter(
+    ({ before }) => (itemName != null && before.item_name !== itemName) || (sku != null && before.sku !== sku)
+  ).length;
+
+  return {
+    gtin,
+    gtinMeta: { current, next, changedFields },
+    merchants,
+    inventory: { docs: invDocRefs.length, changed: inventoryChanged },
+    summary: {
+      merchants: merchants.length,
+      itemsChanged: merchants.reduce((n, m) => n + m.items.filter((i) => i.changed).length, 0),
+      variationsChanged: merchants.reduce((n, m) => n + m.variations.filter((v) => v.changed).length, 0),
+      inventoryDocsChanged: inventoryChanged,
+      errors: merchants.filter((m) => m.error).length,
+    },
+  };
+}
+
+const errorFor = (merchantId, obj, error) =>
+  obj.type === 'ITEM'
+    ? { merchantId, itemId: obj.id, type: 'ITEM_NAME', error }
+    : { merchantId, variationId: obj.id, type: 'SKU', error };
+
+/**
+ * Load the Square objects a PUT changes: every ITEM of the GTIN when itemName
+ * is given, every variation when sku is. One batch retrieve per 100 objects
+ * and merchant, merchants in parallel. Objects whose expectedVersions entry
+ * is stale come back in `conflicts` (lib/catalogVersions).
+ *
+ * Returns { targets: [{ merchantId, client, items, variations }], conflicts,
+ *   squareErrors: [{ merchantId, itemId | variationId, type, error }] }.
+ */
+async function loadSquareTargets(merchantToIds, { itemName, sku, expectedVersions = {} }) {
+  const conflicts = [];
+  const squareErrors = [];
+  if (!itemName && !sku) return { targets: [], conflicts, squareErrors };
+
+  const targets = await mapWithConcurrency([...merchantToIds], MERCHANT_CONCURRENCY, async ([merchantId, ids]) => {
+    const wanted = [
+      ...(itemName ? [...ids.itemIds].map((id) => ({ id, type: 'ITEM' })) : []),
+      ...(sku ? [...ids.variationIds].map((id) => ({ id, type: 'ITEM_VARIATION' })) : []),
+    ];
+    if (!wanted.length) return null;
+
+    let client;
+    let found;
+    try {
+      const merchantDoc = await firestore.collection('merchants').doc(merchantId).get();
+      if (!merchantDoc.exists) return null;
+
+      client = await getSquareClientForMerchant(merchantDoc);
+      found = await retrieveObjects(client, wanted.map((w) => w.id));
+    } catch (err) {
+      const message = err.errors?.[0]?.detail || err.message || String(err);
+      if (!client) squareErrors.push({ merchantId, type: 'MERCHANT', error: message });
+      else wanted.forEach((w) => squareErrors.push(errorFor(merchantId, w, message)));
+      return null;
+    }
+
+    const target = { merchantId, client, items: [], variations: [] };
+    wanted.forEach((w) => {
+      const obj = found.get(w.id);
+      const conflict = checkVersion(merchantId, w.id, obj, expectedVersions[w.id]);
+      if (conflict) {
+        conflicts.push(conflict);
+      } else if (!obj) {
+        squareErrors.push(errorFor(merchantId, w, 'Catalog object not found'));
+      } else if (obj.type === w.type) {
+        (obj.type === 'ITEM' ? target.items : target.variations).push(obj);
+      }
+    });
+    return target;
+  });
+
+  return { targets: targets.filter(Boolean), conflicts, squareErrors };
+}
+
+/**
+ * Push the new item name / SKU to the objects from loadSquareTargets(): one
+ * batch upsert per 100 objects and merchant, merchants in parallel. A
+ * variation whose ITEM is renamed in the same call rides along inside the
+ * ITEM (Square rejects the same object twice in one batch).
+ *
+ * Returns { squareUpdatedItems, squareUpdatedVariations,
+ *   newVersions: Map('merchantId|objectId' -> version), squareErrors }.
+ */
+async function upsertSquareTargets(targets, { itemName, sku, trail = null }) {
+  let squareUpdatedItems = 0;
+  let squareUpdatedVariations = 0;
+  const newVersions = new Map();
+  const squareErrors = [];
+
+  await mapWithConcurrency(targets, MERCHANT_CONCURRENCY, async ({ merchantId, client, items, variations }) => {
+    const before = new Map();
+    const itemsById = new Map();
+    const objects = [];
+    const carried = new Map(); // itemId -> [variation ids sent inside that ITEM]
+
+    items.forEach((item) => {
+      before.set(item.id, snapshotCatalogObject(item));
+      item.itemData = item.itemData || {};
+      item.itemData.name = itemName;
+      itemsById.set(item.id, item);
+      objects.push(item);
+    });
+
+    variations.forEach((variation) => {
+      before.set(variation.id, snapshotCatalogObject(variation));
+      const parent = itemsById.get(variation.itemVariationData?.itemId);
+      const embedded = parent && (parent.itemData.variations || []).find((v) => v.id === variation.id);
+      if (embedded) {
+        embedded.itemVariationData = embedded.itemVariationData || {};
+        embedded.itemVariationData.sku = sku;
+        if (!carried.has(parent.id)) carried.set(parent.id, []);
+        carried.get(parent.id).push(variation.id);
+        return;
+      }
+      variation.itemVariationData = variation.itemVariationData || {};
+      variation.itemVariationData.sku = sku;
+      objects.push(variation);
+    });
+
+    for (let i = 0; i < objects.length; i += MAX_OBJECTS_PER_REQUEST) {
+      const chunk = objects.slice(i, i + MAX_OBJECTS_PER_REQUEST);
+      // Every variation in the chunk, standalone or inside its ITEM
+      const chunkVariationIds = chunk.flatMap((o) => (o.type === 'ITEM' ? carried.get(o.id) || [] : [o.id]));
+
+      try {
+        const upsert = await client.catalogApi.batchUpsertCatalogObjects({
+          idempotencyKey: operationKey(
+            'gtin-meta',
+            merchantId,
+            chunk.map((o) => [o.id, before.get(o.id).version]),
+            itemName,
+            sku
+          ),
+          batches: [{ objects: chunk }],
+        });
+
+        const after = new Map();
+        (upsert.result.objects || []).forEach((o) => {
+          after.set(o.id, o);
+          (o.itemData?.variations || []).forEach((v) => after.set(v.id, v));
+        });
+
+        const record = (id, type) => {
+          const obj = after.get(id);
+          if (obj) newVersions.set(`${merchantId}|${id}`, versionOf(obj));
+          if (trail) trail.square(merchantId, type, id, before.get(id), snapshotCatalogObject(obj));
+        };
+        chunk.filter((o) => o.type === 'ITEM').forEach((o) => { squareUpdatedItems++; record(o.id, 'ITEM'); });
+        chunkVariationIds.forEach((id) => { squareUpdatedVariations++; record(id, 'ITEM_VARIATION'); });
+      } catch (err) {
+        const message = err.errors?.[0]?.detail || err.message || String(err);
+        chunk.filter((o) => o.type === 'ITEM').forEach((o) => squareErrors.push(errorFor(merchantId, o, message)));
+        chunkVariationIds.forEach((id) => squareErrors.push(errorFor(merchantId, { id, type: 'ITEM_VARIATION' }, message)));
+      }
+    }
+  });
+
+  return { squareUpdatedItems, squareUpdatedVariations, newVersions, squareErrors };
+}
+
+/**
+ * Save the GTIN meta and push item name / SKU to every merchant carrying the
+ * GTIN. expectedVersions ({ objectId: version }) are checked before anything
+ * is written; a stale one throws a 409 with `conflicts`.
+ *
+ * `req` is only used for the audit entry ({ user, method, originalUrl } is
+ * enough). Returns the JSON the PUT route used to send.
+ */
+async function updateGtinMeta(gtin, body = {}, { req = null, ctx = NO_JOB } = {}) {
+  const trail = createAuditTrail();
+  const audit = (status, error = null, summary = null) =>
+    recordAudit({ req, action: 'gtinMeta.update', gtins: [gtin], trail, status, error, summary });
+
+  try {
+    if (!gtin) throw invalid('Missing gtin');
+
+    const { sku, itemName, vendorName, unitCost } = parseGtinMetaInput(body);
+    const expectedVersions = body.expectedVersions || {};
+
+    const nowIso = new Date().toISOString();
+
+    // 1) Find all inventory docs for this GTIN: merchant -> { itemIds, variationIds }
+    // for Square, and the rows to update with the new sku/name fields
+    await ctx.progress(5, 'Finding inventory rows');
+    const { merchantToIds, invDocRefs } = await collectGtinInventory(gtin);
+
+    // 2) Load the Square objects to change and check their versions first
+    // NOTE: vendorName/unitCost aren't pushed to Square (no native fields).
+    await ctx.progress(15, `Loading catalog objects from ${merchantToIds.size} merchant(s)`);
+    const { targets, conflicts, squareErrors } = await loadSquareTargets(merchantToIds, {
+      itemName,
+      sku,
+      expectedVersions,
+    });
+
+    if (conflicts.length) {
+      throw conflictError(conflicts);
+    }
+    // Last point where stopping leaves nothing half-written
+    ctx.throwIfCancelled();
+
+    // 3) Save GTIN meta (Firestore)
+    await ctx.progress(30, 'Saving GTIN meta');
+    const gtinMetaRef = firestore.collection('gtinMeta').doc(gtin);
+    const metaBefore = await gtinMetaRef.get();
+    const metaPatch = {
+      sku: sku || null,
+      itemName: itemName || null,
+      vendorName: vendorName || null,
+      unitCost: unitCost,
+      updatedAt: nowIso,
+    };
+    trail.firestore(gtinMetaRef.path, metaBefore.exists ? metaBefore.data() : null, metaPatch);
+    await gtinMetaRef.set(metaPatch, { merge: true });
+
+    // Save canonical name (optional but useful for overlay)
+    if (itemName) {
+      const masterRef = firestore.collection('item_master').doc(gtin);
+      const masterBefore = await masterRef.get();
+      trail.firestore(
+        masterRef.path,
+        masterBefore.exists ? { canonical_name: masterBefore.data().canonical_name ?? null } : null,
+        { canonical_name: itemName }
+      );
+      await masterRef.set({
+        canonical_name: itemName,
+        updated_at: nowIso,
+      }, { merge: true });
+    }
+
+    // 4) Update Square across all merchants that carry this GTIN (batch upserts)
+    await ctx.progress(40, `Updating Square for ${targets.length} merchant(s)`);
+    const pushed = await upsertSquareTargets(targets, { itemName, sku, trail });
+    const { squareUpdatedItems, squareUpdatedVariations, newVersions } = pushed;
+    squareErrors.push(...pushed.squareErrors);
+    if (squareErrors.length) {
+      await ctx.log(`${squareErrors.length} Square update(s) failed`, 'warn');
+    }
+
+    // 5) Propagate to Firestore inventory docs (master + per-merchant mirror)
+    // Do in batches to avoid 500 writes limit.
+    let updatedInventoryDocs = 0;
+
+    for (let i = 0; i < invDocRefs.length; i += WRITE_BATCH_SIZE) {
+      const slice = invDocRefs.slice(i, i + WRITE_BATCH_SIZE);
+      const batch = firestore.batch();
+
+      slice.forEach(({ masterRef, merchantId, docId, itemId, variationId, before }) => {
+        const patch = {
+          updated_at: nowIso,
+        };
+
+        if (itemName != null) {
+          patch.item_name = itemName;
+          patch.item_name_lc = itemName.toLowerCase();
+        }
+        if (sku != null) patch.sku = sku;
+
+        const itemVersion = newVersions.get(`${merchantId}|${itemId}`);
+        const variationVersion = newVersions.get(`${merchantId}|${variationId}`);
+        if (itemVersion) patch.item_version = itemVersion;
+        if (variationVersion) patch.variation_version = variationVersion;
+
+        trail.firestore(masterRef.path, before, { item_name: patch.item_name ?? before.item_name, sku: patch.sku ?? before.sku });
+        batch.set(masterRef, patch, { merge: true });
+
+        if (merchantId) {
+          const merchantInvRef = firestore.collection('merchants').doc(merchantId).collection('inventory').doc(docId);
+          batch.set(merchantInvRef, patch, { merge: true });
+        }
+
+        updatedInventoryDocs++;
+      });
+
+      await batch.commit();
+      await ctx.progress(
+        70 + Math.round((25 * updatedInventoryDocs) / invDocRefs.length),
+        `Updated ${updatedInventoryDocs} of ${invDocRefs.length} inventory rows`
+      );
+    }
+
+    // Return updated meta doc
+    const metaSnap = await gtinMetaRef.get();
+
+    await audit(squareErrors.length ? 'failed' : 'success', squareErrors[0]?.error || null, {
+      affectedMerchants: merchantToIds.size,
+      squareUpdatedItems,
+      squareUpdatedVariations,
+      updatedInventoryDocs,
+      squareErrors: squareErrors.length,
+    });
+
+    return {
+      success: true,
+      gtin,
+      gtinMeta: { id: metaSnap.id, ...metaSnap.data() },
+      affectedMerchants: merchantToIds.size,
+      squareUpdatedItems,
+      squareUpdatedVariations,
+      updatedInventoryDocs,
+      squareErrors: squareErrors.slice(0, 25), // prevent huge payloads
+      squareErrorsCount: squareErrors.length,
+      note: 'vendorName/unitCost saved in Firestore. SKU + Item Name pushed to Square.',
+    };
+  } catch (err) {
+    if (!err.statusCode && !err.cancelled) await audit('failed', err);
+    throw err;
+  }
+}
+
+module.exports = {
+  parseGtinMetaInput,
+  collectGtinInventory,
+  previewGtinMetaUpdate,
+  loadSquareTargets,
+  upsertSquareTargets,
+  updateGtinMeta,
+};
@@ -0,0 +1,203 @@
+// lib/inventoryAdjustments.js
+const firestore = require('./firestore');
+const { getSquareClientForMerchant } = require('./squareAuth');
+const { buildMapsForVariations } = require('./catalogCache');
+const { applyInventoryCounts } = require('./inventoryCounts');
+const { recordInventoryChanges } = require('./inventoryHistory');
+
+// batchChangeInventory accepts at most 100 changes per request
+const MAX_CHANGES_PER_REQUEST = 100;
+// Catalog object ids per batchRetrieveInventoryCounts request
+const MAX_COUNT_IDS_PER_REQUEST = 100;
+
+const countKey = (c) => `${c.catalogObjectId}|${c.locationId}|${c.state}`;
+
+/**
+ * One InventoryChange moving `quantity` of a variation between states at a
+ * location (NONE -> IN_STOCK is "received").
+ */
+function buildAdjustment({ variationId, locationId, quantity, fromState, toState, referenceId, occurredAt }) {
+  return {
+    type: 'ADJUSTMENT',
+    adjustment: {
+      referenceId: referenceId || undefined,
+      catalogObjectId: variationId,
+      locationId,
+      fromState,
+      toState,
+      quantity: String(quantity),
+      occurredAt: occurredAt || new Date().toISOString(),
+    },
+  };
+}
+
+/**
+ * A PHYSICAL_COUNT setting a variation's quantity in `state` at a location.
+ */
+function buildPhysicalCount({ variationId, locationId, quantity, state = 'IN_STOCK', referenceId, occurredAt }) {
+  return {
+    type: 'PHYSICAL_COUNT',
+    physicalCount: {
+      referenceId: referenceId || undefined,
+      catalogObjectId: variationId,
+      locationId,
+      state,
+      quantity: String(quantity),
+      occurredAt: occurredAt || new Date().toISOString(),
+    },
+  };
+}
+
+/**
+ * A TRANSFER of IN_STOCK quantity between two locations of the same merchant.
+ */
+function buildTransfer({ variationId, fromLocationId, toLocationId, quantity, referenceId, occurredAt }) {
+  return {
+    type: 'TRANSFER',
+    transfer: {
+      referenceId: referenceId || undefined,
+      catalogObjectId: variationId,
+      state: 'IN_STOCK',
+      fromLocationId,
+      toLocationId,
+      quantity: String(quantity),
+      occurredAt: occurredAt || new Date().toISOString(),
+    },
+  };
+}
+
+/**
+ * Variation id per GTIN for one merchant, preferring a variation that already
+ * has inventory at the location. Returns Map(gtin -> variationId).
+ */
+async function resolveVariationsForGtins(merchantId, locationId, gtins) {
+  const invCol = firestore.collection('merchants').doc(merchantId).collection('inventory');
+  const out = new Map();
+
+  for (const gtin of new Set(gtins)) {
+    const snap = await invCol.where('gtin', '==', gtin).get();
+    const rows = snap.docs.map((d) => d.data()).filter((d) => d.variation_id && d.synthetic !== true);
+    const atLocation = rows.find((d) => d.location_id === locationId);
+    const pick = atLocation || rows[0];
+    if (pick) out.set(gtin, pick.variation_id);
+  }
+
+  return out;
+}
+
+/**
+ * Square's current counts for the variations and locations the changes touch,
+ * as Map(`${variationId}|${locationId}|${state}` -> quantity). These are the
+ * audit's before values.
+ */
+async function retrieveCurrentCounts(client, changes) {
+  const variationIds = new Set();
+  const locationIds = new Set();
+  changes.forEach((c) => {
+    const detail = c.adjustment || c.physicalCount || c.transfer;
+    variationIds.add(detail.catalogObjectId);
+    [detail.locationId, detail.fromLocationId, detail.toLocationId].filter(Boolean).forEach((l) => locationIds.add(l));
+  });
+
+  const ids = [...variationIds];
+  const out = new Map();
+  for (let i = 0; i < ids.length; i += MAX_COUNT_IDS_PER_REQUEST) {
+    let cursor;
+    do {
+      const res = await client.inventoryApi.batchRetrieveInventoryCounts({
+        catalogObjectIds: ids.slice(i, i + MAX_COUNT_IDS_PER_REQUEST),
+        locationIds: [...locationIds],
+        cursor,
+      });
+      (res.result.counts || []).forEach((c) => out.set(countKey(c), c.quantity));
+      cursor = res.result.cursor;
+    } while (cursor);
+  }
+  return out;
+}
+
+/**
+ * Post inventory changes to Square, then write the resulting counts into
+ * Firestore and the changes into inventoryHistory.
+ *
+ * idempotencyKey identifies the whole operation (e.g. a receipt id); retrying
+ * with the same key does not apply the changes twice. historyExtra is merged
+ * into every history doc (e.g. { receipt_id }).
+ *
+ * trail (lib/auditLog createAuditTrail) receives every count Square returns,
+ * with the quantity before the change, and the inventory docs written.
+ *
+ * Returns { changes, countsWritten, historyWritten }.
+ */
+async function applySquareInventoryChanges({ merchantDoc, changes, idempotencyKey, historyExtra = {}, trail = null }) {
+  if (!changes.length) return { changes: 0, countsWritten: 0, historyWritten: 0 };
+
+  const merchantId = merchantDoc.id;
+  const merchant = merchantDoc.data();
+  const client = await getSquareClientForMerchant(merchantDoc);
+
+  const counts = [];
+  const created = [];
+  const before = trail ? await retrieveCurrentCounts(client, changes) : null;
+
+  for (let i = 0; i < changes.length; i += MAX_CHANGES_PER_REQUEST) {
+    const res = await client.inventoryApi.batchChangeInventory({
+      idempotencyKey: `${idempotencyKey}:${i / MAX_CHANGES_PER_REQUEST}`,
+      changes: changes.slice(i, i + MAX_CHANGES_PER_REQUEST),
+      ignoreUnchangedCounts: false,
+    });
+
+    (res.result.counts || []).forEach((c) => {
+      counts.push({
+        catalogObjectId: c.catalogObjectId,
+        locationId: c.locationId,
+        state: c.state,
+        quantity: c.quantity,
+        calculatedAt: c.calculatedAt,
+      });
+      if (trail) {
+        const where = { location_id: c.locationId, state: c.state };
+        const previous = before.get(countKey(c));
+        trail.square(
+          merchantId,
+          'INVENTORY_COUNT',
+          c.catalogObjectId,
+          { ...where, quantity: previous != null ? Number(previous) : null },
+          { ...where, quantity: c.quantity != null ? Number(c.quantity) : null }
+        );
+      }
+    });
+    created.push(...(res.result.changes || []));
+  }
+
+  const { written } = await applyInventoryCounts({ merchantDoc, counts, client, trail });
+
+  const variationIds = [
+    ...new Set(
+      created
+        .map((c) => (c.adjustment || c.physicalCount || c.transfer || {}).catalogObjectId)
+        .filter(Boolean)
+    ),
+  ];
+  const maps = await buildMapsForVariations(merchantId, variationIds);
+  const locationNames = Object.fromEntries((merchant.locations || []).map((l) => [l.id, l.name || l.id]));
+
+  const historyWritten = await recordInventoryChanges({
+    merchantId,
+    merchantName: merchant.business_name,
+    changes: created,
+    maps,
+    locationNames,
+    extra: historyExtra,
+  });
+
+  return { changes: changes.length, countsWritten: written, historyWritten };
+}
+
+module.exports = {
+  buildAdjustment,
+  buildPhysicalCount,
+  buildTransfer,
+  resolveVariationsForGtins,
+  applySquareInventoryChanges,
+};
@@ -0,0 +1,151 @@
+// lib/inventoryCounts.js
+const firestore = require('./firestore');
+const { buildInventoryPayload, inventoryDocId } = require('./inventorySync');
+const { getSquareClientForMerchant } = require('./squareAuth');
+const { addToMaps, emptyMaps, toPlain, buildMapsForVariations } = require('./catalogCache');
+const { loadActiveTrash, archivedStateFor } = require('./archive');
+
+function masterInvRef(docId) {
+  return firestore.collection('inventory').doc(docId);
+}
+
+function merchantInvRef(merchantId, docId) {
+  return firestore.collection('merchants').doc(merchantId).collection('inventory').doc(docId);
+}
+
+// What the audit keeps of an inventory doc
+const countFields = (d) => ({ qty: d.qty ?? null, state: d.state ?? null, calculated_at: d.calculated_at ?? null });
+
+/**
+ * Catalog maps for one variation: cache first, Square as fallback
+ * (the variation may be newer than the last catalog sync).
+ */
+async function resolveVariationMaps(merchantId, client, variationId) {
+  const maps = await buildMapsForVariations(merchantId, [variationId]);
+  if (maps.variationsById[variationId]) return maps;
+
+  const res = await client.catalogApi.retrieveCatalogObject(variationId, true);
+  const fallback = emptyMaps();
+  if (res.result.object) addToMaps(fallback, toPlain(res.result.object));
+  (res.result.relatedObjects || []).forEach((o) => addToMaps(fallback, toPlain(o)));
+  return fallback;
+}
+
+/**
+ * Write individual Square counts into both inventory docs, without a full sync.
+ * Used by the inventory.count.updated webhook and after our own inventory writes.
+ *
+ * counts: [{ catalogObjectId, locationId, state, quantity, calculatedAt }]
+ *
+ * A count older than the stored calculated_at is ignored, so counts that
+ * arrive out of order never roll a quantity back. Docs that do not exist yet
+ * are built in full from the catalog.
+ *
+ * trail (lib/auditLog createAuditTrail), when given, receives each master
+ * doc's qty / state / calculated_at before and after.
+ *
+ * Returns { written, skippedStale, locations: [{ locationId, locationName, countsProcessed, docsWritten }] }.
+ */
+async function applyInventoryCounts({ merchantDoc, counts, client = null, trail = null }) {
+  const merchantId = merchantDoc.id;
+  const merchant = merchantDoc.data();
+
+  const getClient = async () => {
+    if (!client) client = await getSquareClientForMerchant(merchantDoc);
+    return client;
+  };
+
+  const locationNames = new Map();
+  async function getLocation(locationId) {
+    if (!locationNames.has(locationId)) {
+      const squareClient = await getClient();
+      const res = await squareClient.locationsApi.retrieveLocation(locationId);
+      locationNames.set(locationId, res.result.location?.name || locationId);
+    }
+    return { id: locationId, name: locationNames.get(locationId) };
+  }
+
+  let trash = null; // active trash entries, loaded for the first new doc
+  let written = 0;
+  let skippedStale = 0;
+  const byLocation = new Map(); // locationId -> { locationId, locationName, countsProcessed, docsWritten }
+
+  for (const count of counts) {
+    const docId = inventoryDocId(merchantId, count.locationId, count.catalogObjectId, count.state);
+    const masterRef = masterInvRef(docId);
+
+    // Only needed when the doc does not exist yet
+    const existing = await masterRef.get();
+    let fullPayload = null;
+    if (!existing.exists) {
+      const maps = await resolveVariationMaps(merchantId, await getClient(), count.catalogObjectId);
+      fullPayload = buildInventoryPayload({
+        merchantId,
+        merchantName: merchant.business_name,
+        location: await getLocation(count.locationId),
+        count,
+        maps,
+      });
+      // A new doc of an archived item / variation starts out archived
+      if (!trash) trash = await loadActiveTrash(merchantId);
+      const archivedState = archivedStateFor(trash, {
+        itemId: fullPayload.item_id,
+        variationId: fullPayload.variation_id,
+        locationId: count.locationId,
+      });
+      if (archivedState) Object.assign(fullPayload, archivedState);
+    }
+
+    let audited = null;
+    const applied = await firestore.runTransaction(async (t) => {
+      const snap = await t.get(masterRef);
+      const prev = snap.exists ? snap.data() : null;
+
+      if (prev?.calculated_at && count.calculatedAt && prev.calculated_at > count.calculatedAt) {
+        return false;
+      }
+
+      const nowIso = new Date().toISOString();
+      const patch = prev || !fullPayload
+        ? {
+            qty: count.quantity != null ? parseFloat(count.quantity) : 0,
+            state: count.state,
+            calculated_at: count.calculatedAt,
+            updated_at: nowIso,
+            stale: false,
+          }
+        : fullPayload;
+
+      t.set(masterRef, patch, { merge: true });
+      t.set(merchantInvRef(merchantId, docId), patch, { merge: true });
+      audited = { before: prev ? countFields(prev) : null, after: countFields(patch) };
+      return true;
+    });
+
+    if (applied) {
+      written++;
+      if (trail) trail.firestore(masterRef.path, audited.before, audited.after);
+      const tally = byLocation.get(count.locationId) || {
+        locationId: count.locationId,
+        locationName: existing.exists ? existing.data().location_name : fullPayload?.location_name,
+        countsProcessed: 0,
+        docsWritten: 0,
+      };
+      tally.countsProcessed++;
+      tally.docsWritten += 2;
+      byLocation.set(count.locationId, tally);
+    } else {
+      skippedStale++;
+    }
+  }
+
+  return {
+    written,
+    skippedStale,
+    locations: Array.from(byLocation.values()),
+  };
+}
+
+module.exports = {
+  applyInventoryCounts,
+};
@@ -0,0 +1,249 @@
+// lib/inventoryHistory.js
+const firestore = require('./firestore');
+const { toPlain } = require('./catalogCache');
+
+const MAX_WRITES_PER_BATCH = 400;
+
+// First ingest for a location looks back this far
+const DEFAULT_LOOKBACK_DAYS = parseInt(process.env.INVENTORY_HISTORY_LOOKBACK_DAYS || '30', 10);
+
+// batchRetrieveInventoryChanges only filters on PHYSICAL_COUNT / ADJUSTMENT;
+// TRANSFER changes are stored when Square returns them.
+const CHANGE_TYPES = ['PHYSICAL_COUNT', 'ADJUSTMENT'];
+
+/**
+ * Movement history:
+ *   inventoryHistory/{merchantId}_{changeId}
+ *
+ * { merchant_id, merchant_name, change_id, type, location_id, location_name,
+ *   location_ids[], from_location_id, to_location_id, catalog_object_id,
+ *   variation_id, item_id, item_name, variation_name, sku, gtin,
+ *   from_state, to_state, state, quantity, in_stock_delta, occurred_at,
+ *   created_at, reference_id, source_name, team_member_id, ... }
+ */
+function historyDocId(merchantId, changeId) {
+  return `${merchantId}_${changeId}`;
+}
+
+/**
+ * Signed change to IN_STOCK for an adjustment (NONE -> IN_STOCK is +q,
+ * IN_STOCK -> SOLD / WASTE is -q, anything else 0).
+ */
+function inStockDelta(fromState, toState, quantity) {
+  if (toState === 'IN_STOCK' && fromState !== 'IN_STOCK') return quantity;
+  if (fromState === 'IN_STOCK' && toState !== 'IN_STOCK') return -quantity;
+  return 0;
+}
+
+/**
+ * Flatten one Square InventoryChange into a history doc payload.
+ * Returns null for change types we do not store.
+ */
+function buildHistoryPayload({ merchantId, merchantName, change, maps, locationNames }) {
+  const c = toPlain(change);
+  const detail = c.adjustment || c.physicalCount || c.transfer;
+  if (!detail || !detail.id) return null;
+
+  const variation = maps.variationsById[detail.catalogObjectId];
+  const itemId = variation?.itemVariationData?.itemId || null;
+  const item = itemId ? maps.itemsById[itemId] : null;
+  const quantity = detail.quantity != null ? parseFloat(detail.quantity) : 0;
+
+  const payload = {
+    merchant_id: merchantId,
+    merchant_name: merchantName,
+    change_id: detail.id,
+    type: c.type,
+
+    catalog_object_id: detail.catalogObjectId || null,
+    variation_id: variation?.id || detail.catalogObjectId || null,
+    item_id: itemId,
+    item_name: item?.itemData?.name || null,
+    variation_name: variation?.itemVariationData?.name || null,
+    sku: variation?.itemVariationData?.sku || null,
+    gtin: variation?.itemVariationData?.upc || null,
+
+    quantity,
+    occurred_at: detail.occurredAt || detail.createdAt || null,
+    created_at: detail.createdAt || null,
+    reference_id: detail.referenceId || null,
+    source_name: detail.source?.name || detail.source?.product || null,
+    team_member_id: detail.teamMemberId || detail.employeeId || null,
+    ingested_at: new Date().toISOString(),
+  };
+
+  if (c.type === 'ADJUSTMENT') {
+    Object.assign(payload, {
+      location_id: detail.locationId,
+      location_ids: [detail.locationId],
+      from_state: detail.fromState || null,
+      to_state: detail.toState || null,
+      state: detail.toState || null,
+      in_stock_delta: inStockDelta(detail.fromState, detail.toState, quantity),
+      transaction_id: detail.transactionId || null,
+      refund_id: detail.refundId || null,
+      purchase_order_id: detail.purchaseOrderId || null,
+      goods_receipt_id: detail.goodsReceiptId || null,
+    });
+  } else if (c.type === 'PHYSICAL_COUNT') {
+    Object.assign(payload, {
+      location_id: detail.locationId,
+      location_ids: [detail.locationId],
+      state: detail.state || null,
+      // A physical count sets the quantity; the delta is not known from the change alone
+      in_stock_delta: null,
+    });
+  } else if (c.type === 'TRANSFER') {
+    Object.assign(payload, {
+      location_id: detail.fromLocationId,
+      location_ids: [detail.fromLocationId, detail.toLocationId].filter(Boolean),
+      from_location_id: detail.fromLocationId || null,
+      to_location_id: detail.toLocationId || null,
+      state: detail.state || null,
+      in_stock_delta: null,
+    });
+  } else {
+    return null;
+  }
+
+  payload.location_name = locationNames[payload.location_id] || payload.location_id || null;
+  if (payload.to_location_id) {
+    payload.to_location_name = locationNames[payload.to_location_id] || payload.to_location_id;
+  }
+
+  return payload;
+}
+
+/**
+ * Ingest inventory changes for one location since the last ingest.
+ *
+ * The high-water mark is merchants/{merchantId}/syncState/{locationId}.history_synced_at
+ * (first run looks back INVENTORY_HISTORY_LOOKBACK_DAYS). Docs are keyed by
+ * Square's change id, so re-reading an overlap is harmless.
+ *
+ * Returns the number of history docs written.
+ */
+async function syncLocationHistory({ client, merchantId, merchantName, location, maps, locationNames }) {
+  const stateRef = firestore
+    .collection('merchants')
+    .doc(merchantId)
+    .collection('syncState')
+    .doc(location.id);
+
+  const stateSnap = await stateRef.get();
+  const since =
+    (stateSnap.exists && stateSnap.data().history_synced_at) ||
+    new Date(Date.now() - DEFAULT_LOOKBACK_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+  // Changes created while we page are picked up next time
+  const startedAt = new Date().toISOString();
+  const names = { [location.id]: location.name, ...(locationNames || {}) };
+
+  let cursor = undefined;
+  let written = 0;
+  let batch = firestore.batch();
+  let writes = 0;
+
+  do {
+    const res = await client.inventoryApi.batchRetrieveInventoryChanges({
+      locationIds: [location.id],
+      types: CHANGE_TYPES,
+      updatedAfter: since,
+      cursor,
+    });
+
+    for (const change of res.result.changes || []) {
+      const payload = buildHistoryPayload({ merchantId, merchantName, change, maps, locationNames: names });
+      if (!payload) continue;
+
+      batch.set(
+        firestore.collection('inventoryHistory').doc(historyDocId(merchantId, payload.change_id)),
+        payload,
+        { merge: true }
+      );
+      writes++;
+      written++;
+
+      if (writes >= MAX_WRITES_PER_BATCH) {
+        await batch.commit();
+        batch = firestore.batch();
+        writes = 0;
+      }
+    }
+
+    cursor = res.result.cursor;
+  } while (cursor);
+
+  if (writes) await batch.commit();
+
+  await stateRef.set({ location_id: location.id, history_synced_at: startedAt }, { merge: true });
+
+  console.log(`Inventory history for location ${location.id}: ${written} changes since ${since}`);
+  return written;
+}
+
+/**
+ * Store changes we just made in Square (receiving, counts, transfers) so the
+ * timeline shows them before the next sync ingests the same change ids.
+ *
+ * Returns the number of history docs written.
+ */
+async function recordInventoryChanges({ merchantId, merchantName, changes, maps, locationNames = {}, extra = {} }) {
+  let batch = firestore.batch();
+  let writes = 0;
+  let written = 0;
+
+  for (const change of changes || []) {
+    const payload = buildHistoryPayload({ merchantId, merchantName, change, maps, locationNames });
+    if (!payload) continue;
+
+    batch.set(
+      firestore.collection('inventoryHistory').doc(historyDocId(merchantId, payload.change_id)),
+      { ...payload, ...extra },
+      { merge: true }
+    );
+    writes++;
+    written++;
+
+    if (writes >= MAX_WRITES_PER_BATCH) {
+      await batch.commit();
+      batch = firestore.batch();
+      writes = 0;
+    }
+  }
+
+  if (writes) await batch.commit();
+  return written;
+}
+
+/**
+ * Timeline for one item: history docs for a variation (within a merchant) or
+ * for a GTIN (across merchants), newest first.
+ *
+ * Uses equality filters only (no composite index) and sorts in memory.
+ */
+async function getItemHistory({ merchantId, variationId, gtin, locationId, limit = 500 }) {
+  let q = firestore.collection('inventoryHistory');
+  if (variationId) {
+    q = q.where('variation_id', '==', variationId);
+    if (merchantId) q = q.where('merchant_id', '==', merchantId);
+  } else if (gtin) {
+    q = q.where('gtin', '==', gtin);
+  } else {
+    throw new Error('variationId or gtin is required');
+  }
+
+  const snap = await q.get();
+  let rows = snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+
+  if (locationId) rows = rows.filter((r) => (r.location_ids || []).includes(locationId));
+
+  rows.sort((a, b) => (b.occurred_at || '').localeCompare(a.occurred_at || ''));
+  return rows.slice(0, limit);
+}
+
+module.exports = {
+  syncLocationHistory,
+  recordInventoryChanges,
+  getItemHistory,
+};
@@ -0,0 +1,119 @@
+// lib/inventoryReconcile.js
+const firestore = require('./firestore');
+
+const READ_PAGE_SIZE = 1000;
+const BATCH_LIMIT = 400;
+
+// How many stale doc ids to keep in the report (the count is always exact)
+const REPORT_SAMPLE = 50;
+
+const MODES = ['delete', 'tombstone', 'off'];
+
+/**
+ * Reconcile options from env (used by the CLI / task endpoint defaults):
+ *   RECONCILE_MODE=delete|tombstone|off   (default delete)
+ *   RECONCILE_DRY_RUN=true                (report only, no writes)
+ */
+function reconcileOptionsFromEnv() {
+  const mode = (process.env.RECONCILE_MODE || 'delete').toLowerCase();
+  return {
+    mode: MODES.includes(mode) ? mode : 'delete',
+    dryRun: (process.env.RECONCILE_DRY_RUN || '').toLowerCase() === 'true',
+  };
+}
+
+/**
+ * After a location has been fully synced, find inventory docs for that
+ * location that were not written by this pass (variation deleted in Square,
+ * or the count moved to another `state`, which changes the doc id).
+ *
+ * A doc is stale when its sync_pass_id differs from passId and it was not
+ * updated after the pass started (so a webhook write during the pass is kept).
+ * Synthetic placeholder docs (syncInventoryCoverage) are never touched, and in
+ * tombstone mode neither are docs already tombstoned (stale: true), so they
+ * are not rewritten or counted again on every pass.
+ *
+ * mode 'delete' removes the master + merchant docs; 'tombstone' keeps them
+ * with qty 0 and stale: true. dryRun only reports.
+ *
+ * Returns { mode, dryRun, staleCount, staleDocIds (sample) }.
+ */
+async function reconcileLocation({ merchantId, locationId, passId, passStartedAt, mode = 'delete', dryRun = false }) {
+  const report = { mode, dryRun, staleCount: 0, staleDocIds: [] };
+  if (mode === 'off') return report;
+
+  const merchantInv = firestore.collection('merchants').doc(merchantId).collection('inventory');
+  const baseQuery = merchantInv
+    .where('location_id', '==', locationId)
+    .select('sync_pass_id', 'synthetic', 'stale', 'updated_at');
+
+  const stale = [];
+  let lastDoc = null;
+
+  while (true) {
+    let q = baseQuery.orderBy('__name__').limit(READ_PAGE_SIZE);
+    if (lastDoc) q = q.startAfter(lastDoc);
+
+    const snap = await q.get();
+    if (snap.empty) break;
+
+    for (const doc of snap.docs) {
+      const d = doc.data();
+      if (d.synthetic === true) continue;
+      if (mode === 'tombstone' && d.stale === true) continue;
+      if (d.sync_pass_id === passId) continue;
+      if (d.updated_at && passStartedAt && d.updated_at >= passStartedAt) continue;
+      stale.push(doc.id);
+    }
+
+    lastDoc = snap.docs[snap.docs.length - 1];
+  }
+
+  report.staleCount = stale.length;
+  report.staleDocIds = stale.slice(0, REPORT_SAMPLE);
+
+  if (!stale.length) return report;
+
+  console.log(
+    `Reconcile ${merchantId}/${locationId}: ${stale.length} stale docs ` +
+      `(${dryRun ? 'dry run, no changes' : mode})`
+  );
+
+  if (dryRun) return report;
+
+  const nowIso = new Date().toISOString();
+  const tombstone = {
+    stale: true,
+    qty: 0,
+    removed_at: nowIso,
+    removed_reason: 'not_in_square',
+    updated_at: nowIso,
+  };
+
+  // Each stale id touches TWO docs (master + merchant subcollection)
+  for (let i = 0; i < stale.length; i += BATCH_LIMIT / 2) {
+    const batch = firestore.batch();
+
+    stale.slice(i, i + BATCH_LIMIT / 2).forEach((docId) => {
+      const masterRef = firestore.collection('inventory').doc(docId);
+      const merchantRef = merchantInv.doc(docId);
+
+      if (mode === 'tombstone') {
+        batch.set(masterRef, tombstone, { merge: true });
+        batch.set(merchantRef, tombstone, { merge: true });
+      } else {
+        batch.delete(masterRef);
+        batch.delete(merchantRef);
+      }
+    });
+
+    await batch.commit();
+  }
+
+  return report;
+}
+
+module.exports = {
+  reconcileLocation,
+  reconcileOptionsFromEnv,
+};
@@ -0,0 +1,14 @@
+// lib/inventoryRows.js
+
+/**
+ * Whether an inventory row (master or merchant copy) is live stock. Archived
+ * rows (lib/archive.js) stay in Firestore until restored or purged, and
+ * RECONCILE_MODE=tombstone keeps rows Square no longer returns as
+ * `stale: true` (lib/inventoryReconcile.js), so every reader that lists,
+ * counts or prices stock skips both.
+ */
+function isActiveRow(d) {
+  return d.archived !== true && d.stale !== true;
+}
+
+module.exports = { isActiveRow };
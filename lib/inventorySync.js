@@ -1,16 +1,21 @@
 // lib/inventorySync.js
-const { Client, Environment } = require('square/legacy');
+const { ApiError } = require('square/legacy');
 const firestore = require('../lib/firestore');
-
-/**
- * Create a Square client for a given merchant access token + env.
- */
-function createSquareClient(accessToken, env) {
-  return new Client({
-    environment: env === 'sandbox' ? Environment.Sandbox : Environment.Production,
-    bearerAuthCredentials: { accessToken },
-  });
-}
+const { createSquareClient } = require('./squareClient');
+const { getSquareClientForMerchant } = require('./squareAuth');
+const { syncCatalogCache } = require('./catalogCache');
+const { startSyncRun } = require('./syncRuns');
+const { reconcileLocation, reconcileOptionsFromEnv } = require('./inventoryReconcile');
+const { syncLocationHistory } = require('./inventoryHistory');
+const { evaluateLowStock } = require('./lowStock');
+const { loadActiveTrash, archivedStateFor } = require('./archive');
+const {
+  loadCheckpoints,
+  saveCheckpoint,
+  isResumable,
+  orderLocationsForSync,
+  resolveTimeBudgetMs,
+} = require('./syncState');
 
 /**
  * Lowercase helper (returns null if empty)
@@ -21,262 +26,569 @@ function toLowerOrNull(v) {
 }
 
 /**
- * Build full catalog lookup maps.
+ * Firestore doc id for one inventory count (same id in master + merchant subcollection).
  */
-async function buildCatalogMaps(client) {
-  const itemsById = {};
-  const variationsById = {};
-  const categoriesById = {};
-  const taxesById = {};
-  const imagesById = {};
+function inventoryDocId(merchantId, locationId, catalogObjectId, state) {
+  return `${merchantId}_${locationId}_${catalogObjectId}_${state}`;
+}
 
-  let cursor = undefined;
-  let page = 0;
+/**
+ * Build the inventory doc payload for one Square inventory count.
+ *
+ * count:    { catalogObjectId, state, quantity, calculatedAt }
+ * location: { id, name }
+ * maps:     catalog lookup maps (itemsById, variationsById, ...)
+ */
+function buildInventoryPayload({ merchantId, merchantName, location: loc, count: c, maps }) {
+  const { itemsById, variationsById, categoriesById, taxesById, imagesById } = maps;
 
-  do {
-    const res = await client.catalogApi.listCatalog(
-      cursor,
-      'ITEM,ITEM_VARIATION,CATEGORY,TAX,IMAGE'
-    );
+  const variation = variationsById[c.catalogObjectId];
+  const parentItemId = variation?.itemVariationData?.itemId;
+  const parentItem = parentItemId ? itemsById[parentItemId] : null;
 
-    const objects = res.result.objects || [];
-    console.log(`Catalog page ${page}, objects: ${objects.length}`);
-
-    for (const obj of objects) {
-      switch (obj.type) {
-        case 'ITEM':
-          itemsById[obj.id] = obj;
-          break;
-        case 'ITEM_VARIATION':
-          variationsById[obj.id] = obj;
-          break;
-        case 'CATEGORY':
-          categoriesById[obj.id] = obj;
-          break;
-        case 'TAX':
-          taxesById[obj.id] = obj;
-          break;
-        case 'IMAGE':
-          imagesById[obj.id] = obj;
-          break;
-      }
-    }
+  const sku = variation?.itemVariationData?.sku || null;
 
-    cursor = res.result.cursor;
-    page++;
-  } while (cursor);
+  // Square calls it "upc" in itemVariationData; you store as gtin.
+  const gtin = variation?.itemVariationData?.upc || null;
 
-  console.log(
-    `Catalog maps built: items=${Object.keys(itemsById).length}, ` +
-      `variations=${Object.keys(variationsById).length}, ` +
-      `categories=${Object.keys(categoriesById).length}, ` +
-      `taxes=${Object.keys(taxesById).length}, ` +
-      `images=${Object.keys(imagesById).length}`
-  );
+  const itemName = parentItem?.itemData?.name || 'Unknown';
+  const variationName = variation?.itemVariationData?.name || null;
+
+  // CATEGORY RESOLUTION
+  let primaryCategoryId = parentItem?.itemData?.categoryId || null;
+  if (!primaryCategoryId && parentItem?.itemData?.categories?.length) {
+    primaryCategoryId = parentItem.itemData.categories[0].id;
+  }
 
-  return { itemsById, variationsById, categoriesById, taxesById, imagesById };
+  const categoryId = primaryCategoryId;
+  const categoryName =
+    categoryId && categoriesById[categoryId]
+      ? categoriesById[categoryId].categoryData?.name || null
+      : null;
+
+  // Taxes
+  const taxIds = parentItem?.itemData?.taxIds || [];
+  const taxNames = taxIds
+    .map((id) => taxesById[id]?.taxData?.name)
+    .filter(Boolean);
+  const taxPercentages = taxIds
+    .map((id) => taxesById[id]?.taxData?.percentage)
+    .filter(Boolean);
+
+  // Price
+  const priceMoney = variation?.itemVariationData?.priceMoney || null;
+  const price = priceMoney ? Number(priceMoney.amount) / 100 : null;
+  const currency = priceMoney?.currency || null;
+
+  // Images
+  const imageIds = parentItem?.itemData?.imageIds || [];
+  const imageUrls = imageIds
+    .map((id) => imagesById[id]?.imageData?.url || null)
+    .filter(Boolean);
+
+  const nowIso = new Date().toISOString();
+
+  return {
+    merchant_id: merchantId,
+    merchant_name: merchantName,
+    merchant_name_lc: toLowerOrNull(merchantName),
+
+    location_id: loc.id,
+    location_name: loc.name,
+    location_name_lc: toLowerOrNull(loc.name),
+
+    catalog_object_id: c.catalogObjectId,
+    item_id: parentItemId || null,
+    variation_id: variation?.id || null,
+    // Catalog versions, for version-checked writes from the dashboards
+    item_version: parentItem?.version != null ? String(parentItem.version) : null,
+    variation_version: variation?.version != null ? String(variation.version) : null,
+
+    item_name: itemName,
+    item_name_lc: toLowerOrNull(itemName),
+
+    variation_name: variationName,
+
+    sku,
+    sku_lc: toLowerOrNull(sku),
+
+    gtin,
+
+    category_id: categoryId,
+    category_name: categoryName,
+    category_name_lc: toLowerOrNull(categoryName),
+
+    tax_ids: taxIds,
+    tax_names: taxNames,
+    tax_percentages: taxPercentages,
+
+    price,
+    currency,
+
+    image_ids: imageIds,
+    image_urls: imageUrls,
+
+    qty: c.quantity != null ? parseFloat(c.quantity) : 0,
+    state: c.state,
+    calculated_at: c.calculatedAt,
+    updated_at: nowIso,
+  };
 }
 
 /**
  * Sync inventory for a single merchant document.
+ *
+ * options.fullCatalog forces a full catalog rebuild instead of fetching only
+ * objects changed since the last run.
+ * options.run is the syncRuns recorder to report into; when omitted a run is
+ * started (trigger options.trigger, default 'cli') and finished here.
+ * options.locationIds limits the sync to those Square location ids.
+ * options.reconcile { mode: 'delete' | 'tombstone' | 'off', dryRun } controls
+ * removal of docs not seen in this pass (defaults from RECONCILE_MODE /
+ * RECONCILE_DRY_RUN).
+ * options.history (default INVENTORY_HISTORY, on) also ingests inventory
+ * changes into inventoryHistory after each completed location.
+ * options.timeBudgetMs (or SYNC_TIME_BUDGET_MS) / options.deadline bound the
+ * run; unfinished locations keep a checkpoint in merchants/{id}/syncState and
+ * the next sync resumes there.
+ *
+ * Returns { countsProcessed, docsWritten, locations[], complete }.
  */
-async function syncMerchantInventory(merchantDoc) {
+async function syncMerchantInventory(merchantDoc, options = {}) {
+  const data = merchantDoc.data();
+  const merchantId = merchantDoc.id;
+
+  const ownRun = !options.run;
+  const run = options.run || (await startSyncRun({
+    trigger: options.trigger || 'cli',
+    scope: { merchantId },
+  }));
+  run.startMerchant(merchantId, data.business_name);
+
+  try {
+    const stats = await syncMerchantLocations(merchantDoc, options, run);
+    await run.finishMerchant(merchantId);
+    if (ownRun) await run.finish();
+    return stats;
+  } catch (err) {
+    await run.finishMerchant(merchantId, err);
+    if (ownRun) await run.finish();
+    throw err;
+  }
+}
+
+async function syncMerchantLocations(merchantDoc, options, run) {
   const data = merchantDoc.data();
   const merchantId = merchantDoc.id;
 
   console.log(`Syncing inventory for merchant ${merchantId} (${data.business_name})`);
 
-  const client = createSquareClient(data.access_token, data.env || 'sandbox');
+  const client = await getSquareClientForMerchant(merchantDoc);
 
-  // 1) Catalog lookup tables
-  const { itemsById, variationsById, categoriesById, taxesById, imagesById } =
-    await buildCatalogMaps(client);
+  // 1) Catalog lookup tables (cached in Firestore, refreshed incrementally)
+  const { maps } = await syncCatalogCache(merchantDoc, client, {
+    fullRebuild: !!options.fullCatalog,
+  });
 
   // 2) Locations
   const locationsRes = await client.locationsApi.listLocations();
-  const locations = locationsRes.result.locations || [];
-  console.log(`Found ${locations.length} locations for merchant ${merchantId}`);
+  const allLocations = locationsRes.result.locations || [];
+  console.log(`Found ${allLocations.length} locations for merchant ${merchantId}`);
+
+  // Keep the location list on the merchant doc (dashboard location picker)
+  await firestore.collection('merchants').doc(merchantId).set(
+    {
+      locations: allLocations.map((l) => ({ id: l.id, name: l.name || l.id })),
+      locations_synced_at: new Date().toISOString(),
+    },
+    { merge: true }
+  );
+
+  let locations = allLocations;
+  if (options.locationIds && options.locationIds.length) {
+    locations = allLocations.filter((l) => options.locationIds.includes(l.id));
+    if (!locations.length) {
+      throw new Error(`Location(s) ${options.locationIds.join(', ')} not found for merchant ${merchantId}`);
+    }
+    console.log(`Limiting sync to ${locations.length} location(s)`);
+  }
+
+  const checkpoints = await loadCheckpoints(merchantId);
+  locations = orderLocationsForSync(locations, checkpoints);
+
+  const reconcile = { ...reconcileOptionsFromEnv(), ...(options.reconcile || {}) };
+  const trash = await loadActiveTrash(merchantId);
+  const syncHistory =
+    options.history !== undefined
+      ? !!options.history
+      : (process.env.INVENTORY_HISTORY || 'true').toLowerCase() !== 'false';
+  const locationNames = Object.fromEntries(allLocations.map((l) => [l.id, l.name || l.id]));
+  const deadline = options.deadline || Date.now() + resolveTimeBudgetMs(options);
+
+  const stats = { countsProcessed: 0, docsWritten: 0, locations: [], complete: true };
+
+  for (const loc of locations) {
+    if (Date.now() >= deadline) {
+      console.warn(`Time budget reached before location ${loc.id} for merchant ${merchantId}`);
+      stats.complete = false;
+      break;
+    }
+
+    const locStats = await syncLocation({
+      client,
+      merchantId,
+      merchantName: data.business_name,
+      loc,
+      maps,
+      trash,
+      run,
+      checkpoint: checkpoints[loc.id],
+      reconcile,
+      deadline,
+    });
+
+    // Movement history (adjustments / physical counts) once the counts are in
+    if (locStats.complete && syncHistory && Date.now() < deadline) {
+      try {
+        locStats.historyChanges = await syncLocationHistory({
+          client,
+          merchantId,
+          merchantName: data.business_name,
+          location: loc,
+          maps,
+          locationNames,
+        });
+      } catch (err) {
+        console.error(`Inventory history failed for location ${loc.id}`, err);
+        run.recordError(merchantId, `Inventory history: ${err.message || err}`, { locationId: loc.id });
+      }
+    }
+
+    // Par levels vs. fresh IN_STOCK counts
+    if (locStats.complete) {
+      try {
+        locStats.lowStock = await evaluateLowStock({
+          merchantId,
+          merchantName: data.business_name,
+          location: loc,
+        });
+      } catch (err) {
+        console.error(`Low-stock evaluation failed for location ${loc.id}`, err);
+        run.recordError(merchantId, `Low stock: ${err.message || err}`, { locationId: loc.id });
+      }
+    }
+
+    run.recordLocation(merchantId, locStats);
+    stats.locations.push(locStats);
+    stats.countsProcessed += locStats.countsProcessed;
+    stats.docsWritten += locStats.docsWritten;
+
+    if (!locStats.complete) {
+      stats.complete = false;
+      break;
+    }
+  }
+
+  const allLocationsSynced = !(options.locationIds && options.locationIds.length);
+  if (stats.complete && allLocationsSynced) {
+    await firestore.collection('merchants').doc(merchantId).set(
+      { inventory_synced_at: new Date().toISOString() },
+      { merge: true }
+    );
+  } else if (!stats.complete) {
+    run.recordError(merchantId, 'Time budget reached; the next sync resumes from the saved checkpoint', {
+      resumable: true,
+    });
+  }
+
+  console.log(`Done syncing inventory for merchant ${merchantId}`);
+  return stats;
+}
 
+/**
+ * Page through batchRetrieveInventoryCounts for one location, saving the
+ * cursor after every page. A resumable checkpoint continues the earlier pass
+ * (same pass id, so reconciliation still sees the docs it wrote). Stops at
+ * the deadline with the checkpoint left in progress.
+ *
+ * Returns location stats for syncRuns, with complete: false when cut short.
+ */
+async function syncLocation({ client, merchantId, merchantName, loc, maps, trash, run, checkpoint, reconcile, deadline }) {
   // Firestore batch safety:
   // Each "count" writes TWO docs (master + merchant subcollection).
   // Firestore limit is 500 writes/batch -> keep well below.
   const MAX_WRITES_PER_BATCH = 450;
 
-  for (const loc of locations) {
+  const locStartedAt = Date.now();
+  const resumed = isResumable(checkpoint);
+
+  let passId = run.id;
+  let passStartedAt = new Date(locStartedAt).toISOString();
+  let cursor = undefined;
+  let countsProcessed = 0;
+  let docsWritten = 0;
+  let pages = 0;
+
+  if (resumed) {
+    passId = checkpoint.pass_id;
+    passStartedAt = checkpoint.pass_started_at;
+    cursor = checkpoint.cursor;
+    console.log(
+      `Resuming location ${loc.id} (${loc.name}) from checkpoint ` +
+        `(pass ${passId}, ${checkpoint.pages || 0} pages done)`
+    );
+  } else {
     console.log(`Syncing inventory for location ${loc.id} (${loc.name})`);
+    await saveCheckpoint(merchantId, loc.id, {
+      status: 'in_progress',
+      cursor: null,
+      pass_id: passId,
+      pass_started_at: passStartedAt,
+      counts_processed: 0,
+      docs_written: 0,
+      pages: 0,
+      run_id: run.id,
+      completed_at: null,
+    });
+  }
 
-    let cursor = undefined;
-    let loops = 0;
+  const totals = {
+    counts: (resumed && checkpoint.counts_processed) || 0,
+    docs: (resumed && checkpoint.docs_written) || 0,
+    pages: (resumed && checkpoint.pages) || 0,
+  };
 
-    do {
-      const invRes = await client.inventoryApi.batchRetrieveInventoryCounts({
+  do {
+    let invRes;
+    try {
+      invRes = await client.inventoryApi.batchRetrieveInventoryCounts({
         locationIds: [loc.id],
         cursor,
       });
+    } catch (err) {
+      // A saved cursor Square no longer accepts: start this location over
+      if (resumed && pages === 0 && err instanceof ApiError && err.statusCode === 400) {
+        console.warn(`Checkpoint cursor rejected for location ${loc.id}, restarting the pass`);
+        return syncLocation({
+          client, merchantId, merchantName, loc, maps, trash, run, checkpoint: null, reconcile, deadline,
+        });
+      }
+      throw err;
+    }
 
-      const counts = invRes.result.counts || [];
-      cursor = invRes.result.cursor;
+    const counts = invRes.result.counts || [];
+    cursor = invRes.result.cursor;
 
-      console.log(`Fetched ${counts.length} counts for location ${loc.id}, cursor=${cursor}`);
+    console.log(`Fetched ${counts.length} counts for location ${loc.id}, cursor=${cursor}`);
 
-      let batch = firestore.batch();
-      let writes = 0;
+    let batch = firestore.batch();
+    let writes = 0;
 
-      async function flush() {
-        if (writes === 0) return;
-        await batch.commit();
-        batch = firestore.batch();
-        writes = 0;
-      }
+    async function flush() {
+      if (writes === 0) return;
+      await batch.commit();
+      docsWritten += writes;
+      batch = firestore.batch();
+      writes = 0;
+    }
 
-      for (const c of counts) {
-        const variation = variationsById[c.catalogObjectId];
-        const parentItemId = variation?.itemVariationData?.itemId;
-        const parentItem = parentItemId ? itemsById[parentItemId] : null;
+    for (const c of counts) {
+      const docId = inventoryDocId(merchantId, loc.id, c.catalogObjectId, c.state);
+      const payload = buildInventoryPayload({
+        merchantId,
+        merchantName,
+        location: loc,
+        count: c,
+        maps,
+      });
+      // Every doc seen in this pass is stamped; reconciliation removes the rest
+      payload.sync_pass_id = passId;
+      payload.stale = false;
+      // Rows of an archived item / variation stay in the trash, new ones included
+      const archivedState = archivedStateFor(trash, {
+        itemId: payload.item_id,
+        variationId: payload.variation_id,
+        locationId: loc.id,
+      });
+      if (archivedState) Object.assign(payload, archivedState);
 
-        const sku = variation?.itemVariationData?.sku || null;
+      // Master inventory
+      const masterRef = firestore.collection('inventory').doc(docId);
+      batch.set(masterRef, payload, { merge: true });
+      writes++;
 
-        // Square calls it "upc" in itemVariationData; you store as gtin.
-        const gtin = variation?.itemVariationData?.upc || null;
+      // Per-merchant inventory
+      const merchantInvRef = firestore
+        .collection('merchants')
+        .doc(merchantId)
+        .collection('inventory')
+        .doc(docId);
 
-        const itemName = parentItem?.itemData?.name || 'Unknown';
-        const variationName = variation?.itemVariationData?.name || null;
-
-        // CATEGORY RESOLUTION
-        let primaryCategoryId = parentItem?.itemData?.categoryId || null;
-        if (!primaryCategoryId && parentItem?.itemData?.categories?.length) {
-          primaryCategoryId = parentItem.itemData.categories[0].id;
-        }
-
-        const categoryId = primaryCategoryId;
-        const categoryName =
-          categoryId && categoriesById[categoryId]
-            ? categoriesById[categoryId].categoryData?.name || null
-            : null;
-
-        // Taxes
-        const taxIds = parentItem?.itemData?.taxIds || [];
-        const taxNames = taxIds
-          .map((id) => taxesById[id]?.taxData?.name)
-          .filter(Boolean);
-        const taxPercentages = taxIds
-          .map((id) => taxesById[id]?.taxData?.percentage)
-          .filter(Boolean);
-
-        // Price
-        const priceMoney = variation?.itemVariationData?.priceMoney || null;
-        const price = priceMoney ? Number(priceMoney.amount) / 100 : null;
-        const currency = priceMoney?.currency || null;
-
-        // Images
-        const imageIds = parentItem?.itemData?.imageIds || [];
-        const imageUrls = imageIds
-          .map((id) => imagesById[id]?.imageData?.url || null)
-          .filter(Boolean);
-
-        const docId = `${merchantId}_${loc.id}_${c.catalogObjectId}_${c.state}`;
-
-        const nowIso = new Date().toISOString();
-
-        const payload = {
-          merchant_id: merchantId,
-          merchant_name: data.business_name,
-          merchant_name_lc: toLowerOrNull(data.business_name),
-
-          location_id: loc.id,
-          location_name: loc.name,
-          location_name_lc: toLowerOrNull(loc.name),
-
-          catalog_object_id: c.catalogObjectId,
-          item_id: parentItemId || null,
-          variation_id: variation?.id || null,
-
-          item_name: itemName,
-          item_name_lc: toLowerOrNull(itemName),
-
-          variation_name: variationName,
-
-          sku,
-          sku_lc: toLowerOrNull(sku),
-
-          gtin,
-
-          category_id: categoryId,
-          category_name: categoryName,
-          category_name_lc: toLowerOrNull(categoryName),
-
-          tax_ids: taxIds,
-          tax_names: taxNames,
-          tax_percentages: taxPercentages,
-
-          price,
-          currency,
-
-          image_ids: imageIds,
-          image_urls: imageUrls,
-
-          qty: c.quantity != null ? parseFloat(c.quantity) : 0,
-          state: c.state,
-          calculated_at: c.calculatedAt,
-          updated_at: nowIso,
-        };
-
-        // Master inventory
-        const masterRef = firestore.collection('inventory').doc(docId);
-        batch.set(masterRef, payload, { merge: true });
-        writes++;
-
-        // Per-merchant inventory
-        const merchantInvRef = firestore
-          .collection('merchants')
-          .doc(merchantId)
-          .collection('inventory')
-          .doc(docId);
-
-        batch.set(merchantInvRef, payload, { merge: true });
-        writes++;
-
-        // Flush if near batch limit
-        if (writes >= MAX_WRITES_PER_BATCH) {
-          await flush();
-        }
-      }
+      batch.set(merchantInvRef, payload, { merge: true });
+      writes++;
 
-      // final flush for this page
-      await flush();
+      countsProcessed++;
 
-      loops++;
-    } while (cursor && loops < 50);
+      // Flush if near batch limit
+      if (writes >= MAX_WRITES_PER_BATCH) {
+        await flush();
+      }
+    }
 
-    console.log(`Finished location ${loc.id} for merchant ${merchantId}`);
+    // final flush for this page
+    await flush();
+    pages++;
+
+    // Checkpoint after every page so a crash or timeout resumes here
+    await saveCheckpoint(merchantId, loc.id, {
+      status: cursor ? 'in_progress' : 'complete',
+      cursor: cursor || null,
+      counts_processed: totals.counts + countsProcessed,
+      docs_written: totals.docs + docsWritten,
+      pages: totals.pages + pages,
+      run_id: run.id,
+      completed_at: cursor ? null : new Date().toISOString(),
+    });
+  } while (cursor && Date.now() < deadline);
+
+  const complete = !cursor;
+
+  // An unfinished pass has not seen every count, so nothing can be called stale yet.
+  let reconciled = null;
+  if (!complete) {
+    console.warn(
+      `Time budget reached in location ${loc.id} after ${pages} pages; checkpoint saved, ` +
+        'reconciliation runs when the pass completes'
+    );
+  } else {
+    reconciled = await reconcileLocation({
+      merchantId,
+      locationId: loc.id,
+      passId,
+      passStartedAt,
+      ...reconcile,
+    });
   }
 
-  console.log(`Done syncing inventory for merchant ${merchantId}`);
+  console.log(`${complete ? 'Finished' : 'Paused'} location ${loc.id} for merchant ${merchantId}`);
+
+  return {
+    locationId: loc.id,
+    locationName: loc.name,
+    countsProcessed,
+    docsWritten,
+    pages,
+    durationMs: Date.now() - locStartedAt,
+    resumed,
+    complete,
+    reconciled,
+  };
+}
+
+/**
+ * Targeted sync (one merchant, optionally some locations) with its own
+ * syncRuns doc. Runs as the inventory.syncMerchant job (lib/jobTypes.js).
+ *
+ * options: { locationIds, fullCatalog, trigger, requestedBy, onRunStarted }
+ * options.onRunStarted(run) is awaited once the syncRuns doc exists.
+ * Returns the finished run record; a failed sync is recorded on the run
+ * rather than thrown.
+ */
+async function syncMerchant(merchantDoc, options = {}) {
+  const merchantId = merchantDoc.id;
+  const locationIds = options.locationIds || [];
+  const run = await startSyncRun({
+    trigger: options.trigger || 'task',
+    scope: {
+      merchantId,
+      locationIds: locationIds.length ? locationIds : null,
+      requestedBy: options.requestedBy || null,
+    },
+  });
+  if (options.onRunStarted) await options.onRunStarted(run);
+
+  try {
+    await syncMerchantInventory(merchantDoc, { ...options, run });
+  } catch (err) {
+    console.error(`Targeted sync failed for merchant ${merchantId}`, err);
+  }
+  return run.finish();
 }
 
 /**
  * Sync inventory for all merchants currently in Firestore.
+ *
+ * options.trigger ('task' | 'cli' | 'webhook') is recorded on the syncRuns doc.
+ * The whole run shares one time budget (options.timeBudgetMs /
+ * SYNC_TIME_BUDGET_MS). Merchants synced longest ago go first, so a run that
+ * runs out of time is continued by the next one.
+ * options.onProgress({ done, total, merchantName }) is awaited before each
+ * merchant and once at the end; options.isCancelled() is checked before each
+ * merchant and stops the run early (as the time budget does).
+ * Returns the finished run record.
  */
-async function syncAllMerchants() {
-  console.log('Starting syncAllMerchants()');
+async function syncAllMerchants(options = {}) {
+  console.log(`Starting syncAllMerchants() (fullCatalog=${!!options.fullCatalog})`);
 
-  const snapshot = await firestore.collection('merchants').get();
-  console.log(`Found ${snapshot.size} merchants`);
+  const run = await startSyncRun({ trigger: options.trigger || 'cli', scope: { allMerchants: true } });
+  const deadline = Date.now() + resolveTimeBudgetMs(options);
 
-  for (const doc of snapshot.docs) {
-    try {
-      await syncMerchantInventory(doc);
-    } catch (err) {
-      console.error(`Failed to sync merchant ${doc.id}`, err);
+  try {
+    const snapshot = await firestore.collection('merchants').get();
+    console.log(`Found ${snapshot.size} merchants`);
+
+    const merchantDocs = snapshot.docs.slice().sort((a, b) =>
+      (a.data().inventory_synced_at || '').localeCompare(b.data().inventory_synced_at || '')
+    );
+
+    for (let i = 0; i < merchantDocs.length; i++) {
+      if (options.isCancelled && options.isCancelled()) {
+        const skipped = merchantDocs.slice(i).map((d) => d.id);
+        console.warn(`Cancelled; ${skipped.length} merchant(s) not synced`);
+        run.recordError(null, `Cancelled before ${skipped.length} merchant(s)`, {
+          skippedMerchantIds: skipped,
+          resumable: true,
+        });
+        break;
+      }
+
+      if (Date.now() >= deadline) {
+        const skipped = merchantDocs.slice(i).map((d) => d.id);
+        console.warn(`Time budget reached; ${skipped.length} merchant(s) left for the next run`);
+        run.recordError(null, `Time budget reached before ${skipped.length} merchant(s)`, {
+          skippedMerchantIds: skipped,
+          resumable: true,
+        });
+        break;
+      }
+
+      const doc = merchantDocs[i];
+      if (options.onProgress) {
+        await options.onProgress({ done: i, total: merchantDocs.length, merchantName: doc.data().business_name || doc.id });
+      }
+      try {
+        await syncMerchantInventory(doc, { ...options, run, deadline });
+      } catch (err) {
+        console.error(`Failed to sync merchant ${doc.id}`, err);
+      }
+    }
+    if (options.onProgress) {
+      await options.onProgress({ done: merchantDocs.length, total: merchantDocs.length, merchantName: null });
     }
+  } catch (err) {
+    await run.finish(err);
+    throw err;
   }
 
   console.log('Finished syncAllMerchants()');
+  return run.finish();
 }
 
 module.exports = {
   syncAllMerchants,
   syncMerchantInventory,
+  syncMerchant,
   createSquareClient,
-  buildCatalogMaps,
+  buildInventoryPayload,
+  inventoryDocId,
 };
@@ -0,0 +1,131 @@
+// lib/jobTypes.js
+const firestore = require('./firestore');
+const { registerJobType } = require('./jobs');
+const { buildFullReport } = require('./reports');
+const { scanGtinDuplicates } = require('./gtinDuplicates');
+const { updateGtinMeta } = require('./gtinMetaPropagation');
+const { syncAllMerchants, syncMerchant } = require('./inventorySync');
+const { syncAllSalesVelocity, syncMerchantSalesVelocity } = require('./salesVelocity');
+
+function invalid(message, statusCode = 400) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+/**
+ * The background job types (lib/jobs.js). Required once by whatever runs or
+ * enqueues jobs: app.js and scripts/runJobs.js.
+ *
+ * Params are what the enqueuing route stored on the job; the handler's
+ * return value is the job's result.
+ */
+
+// GET /reports?full=1 -> { perMerchant, dataQuality, pricing, generatedAt }
+registerJobType(
+  'reports.full',
+  async (params, ctx) => {
+    const snap = await firestore.collection('merchants').get();
+    const merchants = snap.docs.map((d) => ({ id: d.id, business_name: d.data().business_name }));
+    return buildFullReport(merchants, ctx);
+  },
+  { label: 'Full report scan', maxAttempts: 2 }
+);
+
+// POST /api/gtin-duplicates -> the scan's JSON
+registerJobType(
+  'gtin.duplicates',
+  (params, ctx) => scanGtinDuplicates(params, ctx),
+  { label: 'Duplicate GTIN scan', maxAttempts: 2 }
+);
+
+// PUT /api/gtin-meta/:gtin. Not retried: a partial Square push is reported in
+// the result (squareErrors) rather than pushed again.
+registerJobType(
+  'gtinMeta.update',
+  ({ gtin, body, requestedBy }, ctx) => {
+    const req = {
+      user: requestedBy || null,
+      method: 'PUT',
+      originalUrl: `/api/gtin-meta/${encodeURIComponent(gtin)}`,
+    };
+    return updateGtinMeta(gtin, body || {}, { req, ctx });
+  },
+  { label: 'GTIN meta update', maxAttempts: 1 }
+);
+
+// POST /tasks/sync-inventory -> { runId, status, runUrl }
+registerJobType(
+  'inventory.syncAll',
+  async ({ fullCatalog = false }, ctx) => {
+    const run = await syncAllMerchants({
+      fullCatalog,
+      trigger: 'job',
+      async onProgress({ done, total, merchantName }) {
+        const pct = total ? (100 * done) / total : 100;
+        await ctx.progress(pct, merchantName ? `Syncing ${merchantName} (${done + 1}/${total})` : `Synced ${total} merchant(s)`);
+      },
+      // Stops between merchants, so the sync run is still finished and recorded
+      isCancelled: ctx.isCancelled,
+    });
+
+    await ctx.log(`Sync run ${run.id} finished with status ${run.status}`);
+    ctx.throwIfCancelled();
+    return { runId: run.id, status: run.status, runUrl: `/sync-runs/${run.id}` };
+  },
+  { label: 'Full inventory sync', maxAttempts: 2 }
+);
+
+// POST /tasks/sync-inventory/:merchantId -> { runId, status, runUrl }
+registerJobType(
+  'inventory.syncMerchant',
+  async ({ merchantId, locationId = null, fullCatalog = false }, ctx) => {
+    const merchantDoc = await firestore.collection('merchants').doc(merchantId).get();
+    if (!merchantDoc.exists) throw invalid(`Merchant ${merchantId} not found`, 404);
+    const merchantName = merchantDoc.data().business_name || merchantId;
+
+    const run = await syncMerchant(merchantDoc, {
+      locationIds: locationId ? [locationId] : [],
+      fullCatalog,
+      trigger: 'manual',
+      requestedBy: ctx.createdBy,
+      async onRunStarted(started) {
+        await ctx.log(`Sync run ${started.id} started`);
+        await ctx.progress(10, `Syncing ${merchantName}`);
+      },
+    });
+
+    await ctx.log(`Sync run ${run.id} finished with status ${run.status}`);
+    return {
+      runId: run.id,
+      status: run.status,
+      itemsProcessed: run.itemsProcessed || 0,
+      runUrl: `/sync-runs/${run.id}`,
+    };
+  },
+  { label: 'Merchant inventory sync', maxAttempts: 2 }
+);
+
+// POST /tasks/sync-sales-velocity -> { results: [{ merchantId, status, locations | error }] }
+registerJobType(
+  'salesVelocity.sync',
+  async ({ merchantId = null }, ctx) => {
+    if (merchantId) {
+      const merchantDoc = await firestore.collection('merchants').doc(merchantId).get();
+      if (!merchantDoc.exists) throw invalid(`Merchant ${merchantId} not found`, 404);
+      await ctx.progress(10, `Reading orders for ${merchantDoc.data().business_name || merchantId}`);
+      const { locations } = await syncMerchantSalesVelocity(merchantDoc);
+      return { results: [{ merchantId, status: 'success', locations }] };
+    }
+
+    const results = await syncAllSalesVelocity({
+      async onProgress({ done, total, merchantName }) {
+        await ctx.progress(total ? (100 * done) / total : 100, `Reading orders for ${merchantName} (${done + 1}/${total})`);
+      },
+      isCancelled: ctx.isCancelled,
+    });
+    ctx.throwIfCancelled();
+    return { results };
+  },
+  { label: 'Sales velocity sync', maxAttempts: 2 }
+);
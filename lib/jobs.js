@@ -0,0 +1,551 @@
+// lib/jobs.js
+const crypto = require('crypto');
+const os = require('os');
+const firestore = require('./firestore');
+
+/**
+ * Firestore-backed background jobs, for work that outlives an HTTP request
+ * (Cloud Run ends requests at its timeout): full report scans, duplicate GTIN
+ * scans, GTIN meta propagation, full inventory syncs.
+ *
+ * Types are registered with registerJobType() (lib/jobTypes.js). A handler
+ * gets (params, ctx) and its return value becomes the job's result:
+ *   ctx.progress(pct, message)  – 0–100, saved every few seconds
+ *   ctx.log(message, level)     – appended to the job's logs
+ *   ctx.throwIfCancelled()      – throws once a cancel was requested
+ *   ctx.isCancelled()           – the same check, for code that stops by itself
+ *   ctx.createdBy               – email of the user who queued the job, or null
+ *
+ * Jobs are run by startJobWorker() inside the web process, by
+ * POST /tasks/run-jobs, or by scripts/runJobs.js.
+ *
+ * A running job is leased to one worker (worker_id + attempts). Every save,
+ * including ctx.progress / ctx.log and a timer, renews the lease
+ * (heartbeat_at); a job whose lease is older than STALE_AFTER_MS is queued
+ * again. A worker that has lost its lease stops at the handler's next
+ * checkpoint and does not write a result.
+ *
+ * Doc shape (jobs/{jobId}):
+ *   type, label, params, status: queued | running | succeeded | failed | cancelled,
+ *   progress, progress_message, logs[]: { at, level, message }, result,
+ *   error, error_status, attempts, max_attempts, dedupe_key, cancel_requested,
+ *   cancel_requested_by, created_at, created_by, started_at, finished_at, updated_at,
+ *   heartbeat_at, worker_id, run_after
+ */
+
+const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed', 'cancelled'];
+
+// Keep the job doc well below Firestore's 1 MiB limit
+const MAX_LOGS = 200;
+const PROGRESS_SAVE_MS = 2000;
+const HEARTBEAT_MS = 30 * 1000;
+// A running job whose worker has not saved for this long is picked up again
+const STALE_AFTER_MS = 5 * 60 * 1000;
+const RETRY_DELAY_MS = 30 * 1000;
+
+const POLL_MS = parseInt(process.env.JOB_POLL_MS || '5000', 10);
+// Jobs run at once by one process
+const WORKER_CONCURRENCY = parseInt(process.env.JOB_WORKER_CONCURRENCY || '2', 10);
+const WORKER_ID = `${os.hostname()}-${process.pid}`;
+
+const handlers = new Map();
+
+// Context for job handler code called outside a job (scripts, tests)
+const NO_JOB = Object.freeze({
+  jobId: null,
+  progress: async () => {},
+  log: async () => {},
+  throwIfCancelled: () => {},
+  isCancelled: () => false,
+  createdBy: null,
+});
+
+function invalid(message, statusCode = 400) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+function cancelledError() {
+  const err = new Error('Cancelled');
+  err.cancelled = true;
+  return err;
+}
+
+function leaseLostError() {
+  return new Error('Lease lost; the job was picked up by another worker');
+}
+
+// The job is still running under this worker's claim (not re-queued or taken over)
+const ownsJob = (data, job) =>
+  !!data && data.status === 'running' && data.worker_id === WORKER_ID && (data.attempts || 0) === job.attempts;
+
+const jobsCol = () => firestore.collection('jobs');
+const toJob = (doc) => ({ id: doc.id, ...doc.data() });
+const byUser = (user) => (user?.email ? user.email.toLowerCase() : null);
+const logEntry = (message, level = 'info') => ({ at: new Date().toISOString(), level, message: String(message) });
+// Firestore rejects undefined; results and params are plain JSON anyway
+const plain = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+/**
+ * handler(params, ctx) runs one job of this type.
+ * options.maxAttempts: runs allowed when the handler throws an unexpected
+ * error (errors with a statusCode, and cancellations, are never retried).
+ */
+function registerJobType(type, handler, { label = type, maxAttempts = 1 } = {}) {
+  handlers.set(type, { handler, label, maxAttempts });
+}
+
+/**
+ * Queue a job. With `dedupe`, a queued or running job of the same type and
+ * params is returned instead (with `deduped: true`). `dedupe` can also be an
+ * object of the values that identify the job (e.g. { merchantId }), so jobs
+ * that differ only in other params still count as the same one.
+ */
+async function enqueueJob(type, params = {}, { user = null, dedupe = false } = {}) {
+  const def = handlers.get(type);
+  if (!def) throw invalid(`Unknown job type ${type}`);
+
+  const cleanParams = plain(params) || {};
+  const dedupeOn = dedupe && typeof dedupe === 'object' ? plain(dedupe) : cleanParams;
+  const dedupeKey = dedupe
+    ? `${type}:${crypto.createHash('sha256').update(JSON.stringify(dedupeOn)).digest('hex').slice(0, 32)}`
+    : null;
+
+  if (dedupeKey) {
+    const snap = await jobsCol().where('dedupe_key', '==', dedupeKey).get();
+    const active = snap.docs.map(toJob).find((j) => j.status === 'queued' || j.status === 'running');
+    if (active) return { ...active, deduped: true };
+  }
+
+  const nowIso = new Date().toISOString();
+  const job = {
+    type,
+    label: def.label,
+    params: cleanParams,
+    status: 'queued',
+    progress: 0,
+    progress_message: null,
+    logs: [logEntry(`Queued${byUser(user) ? ` by ${byUser(user)}` : ''}`)],
+    result: null,
+    error: null,
+    error_status: null,
+    attempts: 0,
+    max_attempts: def.maxAttempts,
+    dedupe_key: dedupeKey,
+    cancel_requested: false,
+    cancel_requested_by: null,
+    created_at: nowIso,
+    created_by: byUser(user),
+    started_at: null,
+    finished_at: null,
+    updated_at: nowIso,
+    heartbeat_at: null,
+    worker_id: null,
+    run_after: nowIso,
+  };
+
+  const ref = jobsCol().doc();
+  await ref.set(job);
+  kickWorker();
+  return { id: ref.id, ...job };
+}
+
+async function getJob(jobId) {
+  const snap = await jobsCol().doc(jobId).get();
+  return snap.exists ? toJob(snap) : null;
+}
+
+/**
+ * Newest first. Status / type filters are equality filters; sorting happens
+ * here so no composite index is needed.
+ */
+async function listJobs({ status, type, limit = 100 } = {}) {
+  let q = jobsCol();
+  if (status) q = q.where('status', '==', status);
+  if (type) q = q.where('type', '==', type);
+
+  const snap = status || type
+    ? await q.limit(1000).get()
+    : await q.orderBy('created_at', 'desc').limit(limit).get();
+
+  return snap.docs
+    .map(toJob)
+    .sort((a, b) => (b.created_at || '').localeCompare(a.created_at || ''))
+    .slice(0, limit);
+}
+
+/**
+ * A queued job is cancelled right away; a running one is flagged and stops
+ * at its handler's next throwIfCancelled().
+ */
+async function cancelJob(jobId, { user = null } = {}) {
+  const ref = jobsCol().doc(jobId);
+  return firestore.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists) throw invalid('Job not found', 404);
+    const job = snap.data();
+    const nowIso = new Date().toISOString();
+    const by = byUser(user);
+
+    let patch;
+    if (job.status === 'queued') {
+      patch = {
+        status: 'cancelled',
+        finished_at: nowIso,
+        logs: [...(job.logs || []), logEntry(`Cancelled${by ? ` by ${by}` : ''}`)].slice(-MAX_LOGS),
+      };
+    } else if (job.status === 'running') {
+      // The worker owns `logs` while it runs; it logs the cancel when it sees it
+      patch = {};
+    } else {
+      throw invalid(`Job is already ${job.status}`, 409);
+    }
+
+    Object.assign(patch, { cancel_requested: true, cancel_requested_by: by, updated_at: nowIso });
+    tx.update(ref, patch);
+    return { id: ref.id, ...job, ...patch };
+  });
+}
+
+/**
+ * Queue a failed or cancelled job again, with the same params.
+ */
+async function retryJob(jobId, { user = null } = {}) {
+  const ref = jobsCol().doc(jobId);
+  const job = await firestore.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists) throw invalid('Job not found', 404);
+    const current = snap.data();
+    if (current.status !== 'failed' && current.status !== 'cancelled') {
+      throw invalid(`Only failed or cancelled jobs can be retried (this one is ${current.status})`, 409);
+    }
+
+    const nowIso = new Date().toISOString();
+    const patch = {
+      status: 'queued',
+      progress: 0,
+      progress_message: null,
+      result: null,
+      error: null,
+      error_status: null,
+      attempts: 0,
+      cancel_requested: false,
+      cancel_requested_by: null,
+      started_at: null,
+      finished_at: null,
+      heartbeat_at: null,
+      worker_id: null,
+      run_after: nowIso,
+      updated_at: nowIso,
+      logs: [...(current.logs || []), logEntry(`Retried${byUser(user) ? ` by ${byUser(user)}` : ''}`)].slice(-MAX_LOGS),
+    };
+    tx.update(ref, patch);
+    return { id: ref.id, ...current, ...patch };
+  });
+
+  kickWorker();
+  return job;
+}
+
+// ---------- Worker ----------
+
+/**
+ * Claim the oldest runnable queued job (transaction, so two workers never
+ * take the same one). Returns the job or null.
+ */
+async function claimNextJob() {
+  const nowIso = new Date().toISOString();
+  const snap = await jobsCol().where('status', '==', 'queued').get();
+  const candidates = snap.docs
+    .map(toJob)
+    .filter((j) => handlers.has(j.type) && (!j.run_after || j.run_after <= nowIso))
+    .sort((a, b) => (a.created_at || '').localeCompare(b.created_at || ''));
+
+  for (const candidate of candidates) {
+    const ref = jobsCol().doc(candidate.id);
+    const claimed = await firestore.runTransaction(async (tx) => {
+      const current = await tx.get(ref);
+      if (!current.exists || current.data().status !== 'queued') return null;
+
+      const data = current.data();
+      const patch = {
+        status: 'running',
+        attempts: (data.attempts || 0) + 1,
+        started_at: nowIso,
+        heartbeat_at: nowIso,
+        updated_at: nowIso,
+        worker_id: WORKER_ID,
+      };
+      tx.update(ref, patch);
+      return { id: ref.id, ...data, ...patch };
+    });
+    if (claimed) return claimed;
+  }
+  return null;
+}
+
+/**
+ * Running jobs whose worker went away (instance stopped, crash) go back to
+ * the queue, or fail once they are out of attempts.
+ */
+let lastStaleCheck = 0;
+async function requeueStaleJobs() {
+  if (Date.now() - lastStaleCheck < STALE_AFTER_MS / 5) return 0;
+  lastStaleCheck = Date.now();
+
+  const cutoff = new Date(Date.now() - STALE_AFTER_MS).toISOString();
+  const snap = await jobsCol().where('status', '==', 'running').get();
+  const stale = snap.docs.filter((d) => (d.data().heartbeat_at || '') < cutoff);
+
+  let requeued = 0;
+  for (const doc of stale) {
+    // Re-checked in the transaction: the worker may have renewed its lease since the query
+    const done = await firestore.runTransaction(async (tx) => {
+      const current = await tx.get(doc.ref);
+      const job = current.data();
+      if (!current.exists || job.status !== 'running' || (job.heartbeat_at || '') >= cutoff) return false;
+
+      const nowIso = new Date().toISOString();
+      const canRetry = !job.cancel_requested && (job.attempts || 0) < (job.max_attempts || 1);
+      tx.update(doc.ref, {
+        ...(canRetry
+          ? { status: 'queued', run_after: nowIso }
+          : {
+              status: job.cancel_requested ? 'cancelled' : 'failed',
+              error: job.cancel_requested ? null : 'Worker stopped responding',
+              finished_at: nowIso,
+            }),
+        worker_id: null,
+        updated_at: nowIso,
+        logs: [
+          ...(job.logs || []),
+          logEntry(`Worker ${job.worker_id || '?'} stopped responding${canRetry ? '; re-queued' : ''}`, 'warn'),
+        ].slice(-MAX_LOGS),
+      });
+      return true;
+    });
+    if (done) requeued++;
+  }
+  return requeued;
+}
+
+async function runJob(job) {
+  const ref = jobsCol().doc(job.id);
+  const { handler } = handlers.get(job.type);
+
+  const state = {
+    progress: job.progress || 0,
+    progress_message: job.progress_message || null,
+    logs: [...(job.logs || []), logEntry(`Started (attempt ${job.attempts})`)],
+  };
+  let cancelRequested = !!job.cancel_requested;
+  let leaseLost = false;
+  let lastSave = 0;
+
+  // Renews the lease; stops renewing (and flags leaseLost) once the job is no longer ours
+  const save = async (force = false) => {
+    if (leaseLost || (!force && Date.now() - lastSave < PROGRESS_SAVE_MS)) return;
+    lastSave = Date.now();
+    const current = await firestore.runTransaction(async (tx) => {
+      const snap = await tx.get(ref);
+      const data = snap.data();
+      if (!ownsJob(data, job)) return null;
+
+      const nowIso = new Date().toISOString();
+      tx.update(ref, {
+        progress: state.progress,
+        progress_message: state.progress_message,
+        logs: state.logs.slice(-MAX_LOGS),
+        heartbeat_at: nowIso,
+        updated_at: nowIso,
+      });
+      return data;
+    });
+
+    if (!current) {
+      leaseLost = true;
+      console.warn(`Job ${job.id} (attempt ${job.attempts}) lost its lease on worker ${WORKER_ID}`);
+      return;
+    }
+    if (current.cancel_requested && !cancelRequested) {
+      cancelRequested = true;
+      state.logs.push(logEntry(`Cancel requested${current.cancel_requested_by ? ` by ${current.cancel_requested_by}` : ''}`));
+    }
+  };
+
+  const ctx = {
+    jobId: job.id,
+    async progress(pct, message) {
+      state.progress = Math.max(0, Math.min(100, Math.round(Number(pct) || 0)));
+      if (message !== undefined) state.progress_message = message;
+      await save();
+    },
+    async log(message, level = 'info') {
+      state.logs.push(logEntry(message, level));
+      await save();
+    },
+    throwIfCancelled() {
+      if (leaseLost) throw leaseLostError();
+      if (cancelRequested) throw cancelledError();
+    },
+    isCancelled: () => cancelRequested || leaseLost,
+    createdBy: job.created_by || null,
+  };
+
+  const heartbeat = setInterval(() => {
+    save(true).catch((err) => console.error(`Job ${job.id} heartbeat failed`, err));
+  }, HEARTBEAT_MS);
+
+  let patch;
+  try {
+    await save(true);
+    ctx.throwIfCancelled();
+    const result = await handler(job.params || {}, ctx);
+    state.logs.push(logEntry('Finished'));
+    patch = { status: 'succeeded', progress: 100, result: plain(result) ?? null, error: null, error_status: null };
+  } catch (err) {
+    if (leaseLost) {
+      patch = null;
+    } else if (err.cancelled) {
+      state.logs.push(logEntry('Cancelled', 'warn'));
+      patch = { status: 'cancelled' };
+    } else {
+      const message = err.message || String(err);
+      const canRetry = !err.statusCode && job.attempts < (job.max_attempts || 1);
+      state.logs.push(logEntry(canRetry ? `Failed: ${message}; will retry` : `Failed: ${message}`, 'error'));
+      if (!err.statusCode) console.error(`Job ${job.id} (${job.type}) failed`, err);
+
+      patch = canRetry
+        ? { status: 'queued', run_after: new Date(Date.now() + RETRY_DELAY_MS * job.attempts).toISOString() }
+        : {
+            status: 'failed',
+            error: message,
+            error_status: err.statusCode || null,
+            // e.g. version conflicts (lib/catalogVersions), for the caller to show
+            result: err.conflicts ? plain({ conflicts: err.conflicts }) : null,
+          };
+    }
+  } finally {
+    clearInterval(heartbeat);
+  }
+
+  // Another worker owns the job now (it was re-queued while this one ran); its result wins
+  const written = !leaseLost && await firestore.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (!ownsJob(snap.data(), job)) return false;
+
+    const nowIso = new Date().toISOString();
+    tx.update(ref, {
+      ...patch,
+      progress: patch.progress ?? state.progress,
+      progress_message: state.progress_message,
+      logs: state.logs.slice(-MAX_LOGS),
+      finished_at: patch.status === 'queued' ? null : nowIso,
+      worker_id: null,
+      heartbeat_at: nowIso,
+      updated_at: nowIso,
+    });
+    return true;
+  });
+  if (!written) console.warn(`Job ${job.id} (attempt ${job.attempts}) finished after losing its lease; result dropped`);
+}
+
+const activeRuns = new Set();
+let filling = null;
+let workerTimer = null;
+let workerStarted = false;
+
+/**
+ * Claim and start jobs until the worker is busy or the queue is empty.
+ * Resolves with how many were started; a call made while a fill is already
+ * running waits for that fill and gets its count.
+ */
+function fillSlots() {
+  if (!filling) {
+    filling = claimIntoSlots().finally(() => {
+      filling = null;
+    });
+  }
+  return filling;
+}
+
+async function claimIntoSlots() {
+  let started = 0;
+  await requeueStaleJobs();
+  while (activeRuns.size < WORKER_CONCURRENCY) {
+    const job = await claimNextJob();
+    if (!job) break;
+
+    started++;
+    const run = runJob(job)
+      .catch((err) => console.error(`Job ${job.id} could not be finished`, err))
+      .finally(() => {
+        activeRuns.delete(run);
+        kickWorker();
+      });
+    activeRuns.add(run);
+  }
+  return started;
+}
+
+/**
+ * Run queued jobs until none are left (scripts/runJobs.js, /tasks/run-jobs).
+ * Returns the number of jobs run.
+ */
+async function drainJobs() {
+  let total = 0;
+  while (true) {
+    total += await fillSlots();
+    if (!activeRuns.size) break;
+    await Promise.race(activeRuns);
+  }
+  return total;
+}
+
+function schedule(delayMs) {
+  clearTimeout(workerTimer);
+  workerTimer = setTimeout(async () => {
+    try {
+      await fillSlots();
+    } catch (err) {
+      console.error('Job worker poll failed', err);
+    }
+    if (workerStarted) schedule(POLL_MS);
+  }, delayMs);
+}
+
+/**
+ * Poll for queued jobs in this process (JOB_POLL_MS) and run up to
+ * JOB_WORKER_CONCURRENCY of them at a time.
+ */
+function startJobWorker() {
+  if (workerStarted) return;
+  workerStarted = true;
+  console.log(`Job worker ${WORKER_ID} started (concurrency ${WORKER_CONCURRENCY})`);
+  schedule(0);
+}
+
+function stopJobWorker() {
+  workerStarted = false;
+  clearTimeout(workerTimer);
+}
+
+// A new or retried job should not wait for the next poll
+function kickWorker() {
+  if (workerStarted) schedule(0);
+}
+
+module.exports = {
+  JOB_STATUSES,
+  NO_JOB,
+  registerJobType,
+  enqueueJob,
+  getJob,
+  listJobs,
+  cancelJob,
+  retryJob,
+  drainJobs,
+  startJobWorker,
+  stopJobWorker,
+};
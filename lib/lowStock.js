@@ -0,0 +1,181 @@
+// lib/lowStock.js
+const firestore = require('./firestore');
+const { listParLevels } = require('./parLevels');
+const { isActiveRow } = require('./inventoryRows');
+
+const MAX_WRITES_PER_BATCH = 400;
+
+/**
+ * Low-stock alerts:
+ *   lowStockAlerts/{autoId}
+ *
+ * { merchant_id, merchant_name, location_id, location_name, gtin, item_name,
+ *   variation_name, sku, variation_id, qty, min_qty, max_qty, reorder_qty,
+ *   status: 'open' | 'closed', opened_at, updated_at, closed_at, close_reason }
+ *
+ * At most one open alert exists per merchant / location / GTIN. Closed alerts
+ * are kept as history.
+ */
+
+/**
+ * Compare IN_STOCK quantity against par levels for one location: open alerts
+ * for GTINs below min_qty, refresh the ones still low, and close the ones that
+ * recovered (or whose par level was removed).
+ *
+ * Returns { checked, opened, closed, open }.
+ */
+async function evaluateLowStock({ merchantId, merchantName, location }) {
+  const pars = (await listParLevels({ merchantId, locationId: location.id })).filter(
+    (p) => p.min_qty !== null && p.min_qty !== undefined
+  );
+
+  const openSnap = await firestore
+    .collection('lowStockAlerts')
+    .where('merchant_id', '==', merchantId)
+    .where('location_id', '==', location.id)
+    .where('status', '==', 'open')
+    .get();
+
+  if (!pars.length && openSnap.empty) return { checked: 0, opened: 0, closed: 0, open: 0 };
+
+  // IN_STOCK quantity per GTIN (duplicate variations of a GTIN are summed)
+  const stockSnap = await firestore
+    .collection('merchants')
+    .doc(merchantId)
+    .collection('inventory')
+    .where('location_id', '==', location.id)
+    .where('state', '==', 'IN_STOCK')
+    .get();
+
+  const stockByGtin = new Map();
+  stockSnap.docs.forEach((doc) => {
+    const d = doc.data();
+    if (!d.gtin || d.synthetic === true || !isActiveRow(d)) return;
+    const entry = stockByGtin.get(d.gtin) || {
+      qty: 0,
+      item_name: d.item_name || null,
+      variation_name: d.variation_name || null,
+      sku: d.sku || null,
+      variation_id: d.variation_id || null,
+      location_name: d.location_name || null,
+    };
+    entry.qty += Number(d.qty) || 0;
+    stockByGtin.set(d.gtin, entry);
+  });
+
+  const openByGtin = new Map(openSnap.docs.map((d) => [d.data().gtin, d]));
+  const nowIso = new Date().toISOString();
+  const locationName = location.name || location.id;
+
+  let batch = firestore.batch();
+  let writes = 0;
+  const flushIfNeeded = async () => {
+    if (writes < MAX_WRITES_PER_BATCH) return;
+    await batch.commit();
+    batch = firestore.batch();
+    writes = 0;
+  };
+
+  let opened = 0;
+  let closed = 0;
+  let open = 0;
+
+  for (const par of pars) {
+    const stock = stockByGtin.get(par.gtin) || { qty: 0 };
+    const existing = openByGtin.get(par.gtin);
+    openByGtin.delete(par.gtin);
+
+    const reorderQty =
+      par.max_qty !== null && par.max_qty !== undefined ? Math.max(par.max_qty - stock.qty, 0) : null;
+
+    if (stock.qty < par.min_qty) {
+      open++;
+      const fields = {
+        qty: stock.qty,
+        min_qty: par.min_qty,
+        max_qty: par.max_qty ?? null,
+        reorder_qty: reorderQty,
+        updated_at: nowIso,
+      };
+
+      if (existing) {
+        batch.update(existing.ref, fields);
+      } else {
+        opened++;
+        batch.set(firestore.collection('lowStockAlerts').doc(), {
+          merchant_id: merchantId,
+          merchant_name: merchantName || null,
+          location_id: location.id,
+          location_name: stock.location_name || locationName,
+          gtin: par.gtin,
+          item_name: stock.item_name || null,
+          variation_name: stock.variation_name || null,
+          sku: stock.sku || null,
+          variation_id: stock.variation_id || null,
+          ...fields,
+          status: 'open',
+          opened_at: nowIso,
+          closed_at: null,
+          close_reason: null,
+        });
+      }
+      writes++;
+    } else if (existing) {
+      closed++;
+      batch.update(existing.ref, {
+        qty: stock.qty,
+        status: 'closed',
+        closed_at: nowIso,
+        close_reason: 'recovered',
+        updated_at: nowIso,
+      });
+      writes++;
+    }
+
+    await flushIfNeeded();
+  }
+
+  // Open alerts without a par level any more
+  for (const doc of openByGtin.values()) {
+    closed++;
+    batch.update(doc.ref, {
+      status: 'closed',
+      closed_at: nowIso,
+      close_reason: 'par_removed',
+      updated_at: nowIso,
+    });
+    writes++;
+    await flushIfNeeded();
+  }
+
+  if (writes) await batch.commit();
+
+  if (opened || closed) {
+    console.log(
+      `Low stock for location ${location.id}: ${opened} opened, ${closed} closed, ${open} open`
+    );
+  }
+
+  return { checked: pars.length, opened, closed, open };
+}
+
+/**
+ * Alerts for the Low stock page, newest first. Equality filters only; sorted in memory.
+ */
+async function listLowStockAlerts({ status = 'open', merchantId, locationId, limit = 500 } = {}) {
+  let q = firestore.collection('lowStockAlerts').where('status', '==', status);
+  if (merchantId) q = q.where('merchant_id', '==', merchantId);
+  if (locationId) q = q.where('location_id', '==', locationId);
+
+  const snap = await q.get();
+  const rows = snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+
+  const sortKey = status === 'closed' ? 'closed_at' : 'opened_at';
+  rows.sort((a, b) => (b[sortKey] || '').localeCompare(a[sortKey] || ''));
+  return rows.slice(0, limit);
+}
+
+module.exports = {
+  evaluateLowStock,
+  listLowStockAlerts,
+};
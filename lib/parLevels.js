@@ -0,0 +1,104 @@
+// lib/parLevels.js
+const firestore = require('./firestore');
+
+/**
+ * Par level per GTIN and location:
+ *   parLevels/{merchantId}_{locationId}_{gtin}
+ *
+ * { merchant_id, location_id, gtin, min_qty, max_qty, updated_at, updated_by }
+ *
+ * min_qty is the reorder point (IN_STOCK below it opens a low-stock alert);
+ * max_qty is the level to order up to. Either may be null.
+ */
+function parLevelDocId(merchantId, locationId, gtin) {
+  return `${merchantId}_${locationId}_${gtin}`;
+}
+
+// Validation errors carry statusCode 400 so routes can pass the message through
+function invalid(message) {
+  const err = new Error(message);
+  err.statusCode = 400;
+  return err;
+}
+
+function parseQty(v, field) {
+  if (v === undefined || v === null || v === '') return null;
+  const n = Number(v);
+  if (Number.isNaN(n) || n < 0) throw invalid(`${field} must be a non-negative number or empty`);
+  return n;
+}
+
+/**
+ * Create, update or (when both levels are empty) remove a par level.
+ * Returns the stored record, or null when removed.
+ */
+async function setParLevel({ merchantId, locationId, gtin, minQty, maxQty, updatedBy }) {
+  if (!merchantId || !locationId || !gtin) throw invalid('merchantId, locationId and gtin are required');
+
+  const min = parseQty(minQty, 'minQty');
+  const max = parseQty(maxQty, 'maxQty');
+  if (min !== null && max !== null && max < min) {
+    throw invalid('maxQty must be greater than or equal to minQty');
+  }
+
+  const ref = firestore.collection('parLevels').doc(parLevelDocId(merchantId, locationId, gtin));
+
+  if (min === null && max === null) {
+    await ref.delete();
+    return null;
+  }
+
+  const record = {
+    merchant_id: merchantId,
+    location_id: locationId,
+    gtin: String(gtin),
+    min_qty: min,
+    max_qty: max,
+    updated_at: new Date().toISOString(),
+    updated_by: updatedBy || null,
+  };
+  await ref.set(record);
+  return record;
+}
+
+/**
+ * All par levels for a merchant, optionally one location.
+ */
+async function listParLevels({ merchantId, locationId }) {
+  let q = firestore.collection('parLevels').where('merchant_id', '==', merchantId);
+  if (locationId) q = q.where('location_id', '==', locationId);
+
+  const snap = await q.get();
+  return snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+}
+
+/**
+ * Look up par levels for a set of (merchantId, locationId, gtin) keys.
+ * Returns Map(docId -> record) for the keys that have one.
+ */
+async function getParLevelsByKeys(keys) {
+  const ids = [
+    ...new Set(
+      keys
+        .filter((k) => k.merchantId && k.locationId && k.gtin)
+        .map((k) => parLevelDocId(k.merchantId, k.locationId, k.gtin))
+    ),
+  ];
+
+  const out = new Map();
+  if (!ids.length) return out;
+
+  const col = firestore.collection('parLevels');
+  const snaps = await firestore.getAll(...ids.map((id) => col.doc(id)));
+  snaps.forEach((s) => {
+    if (s.exists) out.set(s.id, s.data());
+  });
+  return out;
+}
+
+module.exports = {
+  parLevelDocId,
+  setParLevel,
+  listParLevels,
+  getParLevelsByKeys,
+};
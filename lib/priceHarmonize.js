@@ -0,0 +1,180 @@
+// lib/priceHarmonize.js
+const firestore = require('./firestore');
+const { applyPriceChanges } = require('./priceUpdates');
+
+/**
+ * Bring every location of a GTIN (gtin_matrix.pricesByLocation) to one price.
+ *
+ * Strategies: 'min' / 'max' / 'mode' (most common price, lower wins a tie)
+ * of the current prices, 'master' (the price at MASTER_LOCATION_KEY, a
+ * "merchant – location" key) or 'fixed' (an explicit price).
+ *
+ * Square prices live on the variation, so a variation shared by several
+ * locations of a merchant is updated once and every one of its cells reports
+ * the same result.
+ */
+
+const HARMONIZE_STRATEGIES = ['min', 'max', 'mode', 'master', 'fixed'];
+const MASTER_LOCATION_KEY = process.env.MASTER_LOCATION_KEY || null;
+
+function invalid(message, statusCode = 400) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+function pricedCells(pricesByLocation) {
+  return Object.entries(pricesByLocation || {})
+    .filter(([, info]) => typeof info.price === 'number' && Number.isFinite(info.price))
+    .map(([locKey, info]) => ({ locKey, price: info.price }));
+}
+
+/**
+ * Target price for one GTIN, or { price: null, reason } when there is none.
+ */
+function targetPrice(pricesByLocation, strategy, fixedPrice) {
+  const cells = pricedCells(pricesByLocation);
+
+  if (strategy === 'fixed') return { price: fixedPrice };
+  if (strategy === 'master') {
+    if (!MASTER_LOCATION_KEY) return { price: null, reason: 'MASTER_LOCATION_KEY is not set' };
+    const master = cells.find((c) => c.locKey === MASTER_LOCATION_KEY);
+    return master ? { price: master.price } : { price: null, reason: 'No price at the master location' };
+  }
+
+  if (!cells.length) return { price: null, reason: 'No location has a price' };
+  const prices = cells.map((c) => c.price);
+  if (strategy === 'min') return { price: Math.min(...prices) };
+  if (strategy === 'max') return { price: Math.max(...prices) };
+
+  const counts = new Map();
+  prices.forEach((p) => {
+    const key = p.toFixed(2);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+  const [mode] = [...counts.entries()].sort((a, b) => b[1] - a[1] || Number(a[0]) - Number(b[0]))[0];
+  return { price: Number(mode) };
+}
+
+/**
+ * Harmonize a set of GTINs with one strategy (fixedPrice for 'fixed').
+ * An audit trail, when given, is passed on to applyPriceChanges.
+ *
+ * Each variation is written only at the variation_version its gtin_matrix
+ * cell was read with (or expectedVersions[variationId], to retry against the
+ * version a conflict reported); one changed in Square since is left alone and
+ * its cells come back as 'conflict' with the current Square values.
+ *
+ * Returns { results: [{ gtin, locKey, merchant_id, variation_id, from, to,
+ *   status: 'updated' | 'unchanged' | 'skipped' | 'conflict' | 'failed',
+ *   error, version, conflict }], conflicts, summary } (version: the
+ * variation's new Square version when updated).
+ */
+async function harmonizePrices({ gtins, strategy, fixedPrice, expectedVersions = {}, trail = null }) {
+  if (!HARMONIZE_STRATEGIES.includes(strategy)) {
+    throw invalid(`strategy must be one of ${HARMONIZE_STRATEGIES.join(', ')}`);
+  }
+  const unique = [...new Set((gtins || []).map((g) => String(g).trim()).filter(Boolean))];
+  if (!unique.length) throw invalid('No GTINs selected');
+
+  let fixed = null;
+  if (strategy === 'fixed') {
+    fixed = Number(fixedPrice);
+    if (fixedPrice === '' || fixedPrice === null || fixedPrice === undefined || Number.isNaN(fixed) || fixed < 0) {
+      throw invalid('A valid non-negative price is required');
+    }
+  }
+
+  const col = firestore.collection('gtin_matrix');
+  const snaps = await firestore.getAll(...unique.map((g) => col.doc(g)));
+
+  const results = [];
+  const byMerchant = new Map(); // merchantId -> Map(variationId -> { price, currency, expectedVersion })
+
+  for (const snap of snaps) {
+    if (!snap.exists) {
+      results.push({ gtin: snap.id, locKey: null, status: 'skipped', error: 'GTIN not in gtin_matrix' });
+      continue;
+    }
+
+    const pricesByLocation = snap.data().pricesByLocation || {};
+    const target = targetPrice(pricesByLocation, strategy, fixed);
+
+    for (const [locKey, info] of Object.entries(pricesByLocation)) {
+      const cell = {
+        gtin: snap.id,
+        locKey,
+        merchant_id: info.merchant_id || null,
+        variation_id: info.variation_id || null,
+        from: info.price ?? null,
+        to: target.price,
+      };
+
+      if (target.price === null) {
+        results.push({ ...cell, status: 'skipped', error: target.reason });
+      } else if (!cell.merchant_id || !cell.variation_id) {
+        results.push({ ...cell, status: 'skipped', error: 'No variation for this location' });
+      } else if (cell.from !== null && Math.abs(cell.from - target.price) < 0.005) {
+        results.push({ ...cell, status: 'unchanged' });
+      } else {
+        if (!byMerchant.has(cell.merchant_id)) byMerchant.set(cell.merchant_id, new Map());
+        byMerchant.get(cell.merchant_id).set(cell.variation_id, {
+          price: target.price,
+          currency: info.currency || null,
+          expectedVersion: expectedVersions[cell.variation_id] ?? info.variation_version ?? null,
+        });
+        results.push({ ...cell, status: 'pending' });
+      }
+    }
+  }
+
+  for (const [merchantId, variations] of byMerchant) {
+    const pending = results.filter((r) => r.status === 'pending' && r.merchant_id === merchantId);
+    const fail = (error) => pending.forEach((r) => Object.assign(r, { status: 'failed', error }));
+
+    const merchantDoc = await firestore.collection('merchants').doc(merchantId).get();
+    if (!merchantDoc.exists) {
+      fail('Merchant not found');
+      continue;
+    }
+
+    try {
+      const { failed, versions } = await applyPriceChanges({
+        merchantDoc,
+        changes: [...variations].map(([variationId, c]) => ({
+          variationId,
+          price: c.price,
+          currency: c.currency,
+          expectedVersion: c.expectedVersion,
+        })),
+        idempotencyKey: `harmonize-${merchantId}`,
+        trail,
+      });
+      const failedById = new Map(failed.map((f) => [f.variationId, f]));
+      pending.forEach((r) => {
+        const f = failedById.get(r.variation_id);
+        if (f && f.conflict) Object.assign(r, { status: 'conflict', error: f.error, conflict: f.conflict });
+        else if (f) Object.assign(r, { status: 'failed', error: f.error });
+        else Object.assign(r, { status: 'updated', version: versions[r.variation_id] });
+      });
+    } catch (err) {
+      console.error(`Harmonize failed for merchant ${merchantId}`, err);
+      fail(err.message || String(err));
+    }
+  }
+
+  const summary = { updated: 0, unchanged: 0, skipped: 0, conflict: 0, failed: 0 };
+  results.forEach((r) => { summary[r.status]++; });
+  // One per variation, however many of its cells were harmonized
+  const conflicts = [...new Map(
+    results.filter((r) => r.conflict).map((r) => [`${r.merchant_id}|${r.variation_id}`, r.conflict])
+  ).values()];
+  return { results, conflicts, summary };
+}
+
+module.exports = {
+  HARMONIZE_STRATEGIES,
+  MASTER_LOCATION_KEY,
+  targetPrice,
+  harmonizePrices,
+};
@@ -0,0 +1,208 @@
+// lib/priceUpdates.js
+const firestore = require('./firestore');
+const { getSquareClientForMerchant } = require('./squareAuth');
+const { makeLocKey } = require('./gtinMatrix');
+const { isActiveRow } = require('./inventoryRows');
+const { snapshotCatalogObject } = require('./auditLog');
+const { operationKey, versionOf, checkVersion, isVersionMismatch } = require('./catalogVersions');
+
+// batchRetrieveCatalogObjects / batchUpsertCatalogObjects chunk size
+const MAX_OBJECTS_PER_REQUEST = 100;
+const MAX_WRITES_PER_BATCH = 400;
+
+/**
+ * Set the base price of variations in one merchant's Square catalog, then
+ * update the matching inventory rows (master + merchant copy) and the
+ * gtin_matrix entries.
+ *
+ * changes: [{ variationId, price, currency?, expectedVersion?, expectedPrice? }]
+ * (prices in major units). A change whose expectedVersion no longer matches
+ * Square is not written and comes back in `conflicts` (lib/catalogVersions);
+ * one whose expectedPrice is not Square's current price is not written and
+ * comes back in `failed` with `priceChanged` and `currentPrice`.
+ * idempotencyKey names the operation; each chunk's key also covers the
+ * variations, their versions and the new prices, so a retry reuses it.
+ * trail (lib/auditLog createAuditTrail) receives the before / after of every
+ * variation and inventory row changed.
+ *
+ * Returns { updated, versions: { variationId: newVersion }, failed:
+ *   [{ variationId, error, conflict? }], conflicts, rowsWritten }.
+ */
+async function applyPriceChanges({ merchantDoc, changes, idempotencyKey, trail = null }) {
+  const merchantId = merchantDoc.id;
+  const client = await getSquareClientForMerchant(merchantDoc);
+
+  const byVariation = new Map(changes.map((c) => [c.variationId, c]));
+  const applied = []; // [{ variationId, price, currency, version }]
+  const failed = [];
+  const conflicts = [];
+
+  const ids = [...byVariation.keys()];
+  for (let i = 0; i < ids.length; i += MAX_OBJECTS_PER_REQUEST) {
+    const chunk = ids.slice(i, i + MAX_OBJECTS_PER_REQUEST);
+
+    const res = await client.catalogApi.batchRetrieveCatalogObjects({
+      objectIds: chunk,
+      includeRelatedObjects: false,
+    });
+    const found = new Map((res.result.objects || []).map((o) => [o.id, o]));
+
+    const objects = [];
+    const pending = [];
+    const before = new Map();
+    for (const variationId of chunk) {
+      const obj = found.get(variationId);
+      if (!obj || obj.type !== 'ITEM_VARIATION') {
+        failed.push({ variationId, error: 'Catalog object is not an ITEM_VARIATION' });
+        continue;
+      }
+
+      const change = byVariation.get(variationId);
+      const conflict = checkVersion(merchantId, variationId, obj, change.expectedVersion);
+      if (conflict) {
+        conflicts.push(conflict);
+        failed.push({ variationId, error: conflict.reason, conflict });
+        continue;
+      }
+
+      const variationData = obj.itemVariationData || {};
+      if (change.expectedPrice !== undefined && change.expectedPrice !== null) {
+        const amount = variationData.priceMoney?.amount;
+        const currentPrice = amount === undefined || amount === null ? null : Number(amount) / 100;
+        if (currentPrice === null || Math.round(currentPrice * 100) !== Math.round(Number(change.expectedPrice) * 100)) {
+          failed.push({ variationId, error: 'Price changed in Square since it was set', priceChanged: true, currentPrice });
+          continue;
+        }
+      }
+
+      before.set(variationId, snapshotCatalogObject(obj));
+      const currency = change.currency || variationData.priceMoney?.currency || 'USD';
+
+      variationData.priceMoney = { amount: Math.round(Number(change.price) * 100), currency };
+      // A variation without a price is VARIABLE_PRICING; a price makes it FIXED
+      variationData.pricingType = 'FIXED_PRICING';
+      obj.itemVariationData = variationData;
+
+      objects.push(obj);
+      pending.push({ variationId, price: Number(change.price), currency });
+    }
+
+    if (!objects.length) continue;
+
+    try {
+      const upsert = await client.catalogApi.batchUpsertCatalogObjects({
+        idempotencyKey: operationKey(
+          idempotencyKey,
+          objects.map((o) => [o.id, versionOf(o), o.itemVariationData.priceMoney.amount])
+        ),
+        batches: [{ objects }],
+      });
+      const after = new Map((upsert.result.objects || []).map((o) => [o.id, o]));
+      pending.forEach((p) => { p.version = versionOf(after.get(p.variationId)); });
+      applied.push(...pending);
+
+      if (trail) {
+        pending.forEach((p) =>
+          trail.square(
+            merchantId,
+            'ITEM_VARIATION',
+            p.variationId,
+            before.get(p.variationId),
+            snapshotCatalogObject(after.get(p.variationId)) || { price: p.price, currency: p.currency }
+          )
+        );
+      }
+    } catch (err) {
+      const message = err.errors?.[0]?.detail || err.message || String(err);
+      // Changed between our read and the upsert: report what Square has now
+      let latest = null;
+      if (isVersionMismatch(err)) {
+        const again = await client.catalogApi.batchRetrieveCatalogObjects({
+          objectIds: pending.map((p) => p.variationId),
+          includeRelatedObjects: false,
+        }).catch(() => null);
+        latest = new Map((again?.result.objects || []).map((o) => [o.id, o]));
+      }
+      pending.forEach((p) => {
+        const conflict = latest
+          ? checkVersion(merchantId, p.variationId, latest.get(p.variationId), before.get(p.variationId)?.version)
+          : null;
+        if (conflict) conflicts.push(conflict);
+        failed.push({ variationId: p.variationId, error: message, ...(conflict ? { conflict } : {}) });
+      });
+    }
+  }
+
+  const rowsWritten = await writePricesToFirestore(merchantId, applied, trail);
+  const versions = Object.fromEntries(applied.map((p) => [p.variationId, p.version]));
+  return { updated: applied.length, versions, failed, conflicts, rowsWritten };
+}
+
+/**
+ * Store new prices on every inventory row of the variations and on their
+ * gtin_matrix location entries.
+ */
+async function writePricesToFirestore(merchantId, applied, trail = null) {
+  if (!applied.length) return 0;
+
+  const nowIso = new Date().toISOString();
+  let batch = firestore.batch();
+  let writes = 0;
+  let rowsWritten = 0;
+  const flushIfNeeded = async () => {
+    if (writes < MAX_WRITES_PER_BATCH) return;
+    await batch.commit();
+    batch = firestore.batch();
+    writes = 0;
+  };
+
+  for (const { variationId, price, currency, version = null } of applied) {
+    const invSnap = await firestore
+      .collection('inventory')
+      .where('merchant_id', '==', merchantId)
+      .where('variation_id', '==', variationId)
+      .get();
+
+    const patch = { price, currency, ...(version ? { variation_version: version } : {}), updated_at: nowIso };
+    const matrixDone = new Set();
+
+    for (const doc of invSnap.docs) {
+      const d = doc.data();
+      if (trail) {
+        trail.firestore(
+          doc.ref.path,
+          { price: d.price ?? null, currency: d.currency || null },
+          { price, currency }
+        );
+      }
+      batch.set(doc.ref, patch, { merge: true });
+      batch.set(
+        firestore.collection('merchants').doc(merchantId).collection('inventory').doc(doc.id),
+        patch,
+        { merge: true }
+      );
+      writes += 2;
+      rowsWritten++;
+
+      const locKey = makeLocKey(d);
+      if (d.gtin && isActiveRow(d) && !matrixDone.has(locKey)) {
+        matrixDone.add(locKey);
+        batch.set(
+          firestore.collection('gtin_matrix').doc(d.gtin),
+          { pricesByLocation: { [locKey]: { price, currency, ...(version ? { variation_version: version } : {}) } } },
+          { merge: true }
+        );
+        writes++;
+      }
+      await flushIfNeeded();
+    }
+  }
+
+  if (writes) await batch.commit();
+  return rowsWritten;
+}
+
+module.exports = {
+  applyPriceChanges,
+  writePricesToFirestore,
+};
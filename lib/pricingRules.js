@@ -0,0 +1,307 @@
+// lib/pricingRules.js
+const firestore = require('./firestore');
+const { loadGtinMeta, unitCostOf } = require('./gtinMeta');
+const { applyPriceChanges } = require('./priceUpdates');
+
+/**
+ * Cost-plus pricing rules:
+ *   pricingRules/{scope}_{match}
+ *
+ * { scope: 'gtin' | 'vendor' | 'category', match, method: 'margin' | 'markup',
+ *   value (percent), min_price, max_price, rounding: 'none' | '0.99' | '0.49',
+ *   updated_at, updated_by }
+ *
+ * The most specific rule wins: GTIN, then vendor (gtinMeta.vendorName), then
+ * category (gtin_matrix.category_name). Vendor and category match case-insensitively.
+ */
+
+const RULE_SCOPES = ['gtin', 'vendor', 'category'];
+const RULE_METHODS = ['margin', 'markup'];
+const RULE_ROUNDINGS = ['none', '0.99', '0.49'];
+
+const READ_PAGE_SIZE = 500;
+
+function invalid(message, statusCode = 400) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+function normalizeMatch(scope, match) {
+  const m = String(match || '').trim();
+  return scope === 'gtin' ? m : m.toLowerCase();
+}
+
+function ruleDocId(scope, match) {
+  // Doc ids cannot contain "/"
+  return `${scope}_${encodeURIComponent(normalizeMatch(scope, match))}`;
+}
+
+function parseMoney(v, field) {
+  if (v === undefined || v === null || v === '') return null;
+  const n = Number(v);
+  if (Number.isNaN(n) || n < 0) throw invalid(`${field} must be a non-negative number or empty`);
+  return n;
+}
+
+/**
+ * Create or replace the rule for a scope + match.
+ */
+async function saveRule({ scope, match, method, value, minPrice, maxPrice, rounding, updatedBy }) {
+  if (!RULE_SCOPES.includes(scope)) throw invalid(`scope must be one of ${RULE_SCOPES.join(', ')}`);
+  if (!RULE_METHODS.includes(method)) throw invalid(`method must be one of ${RULE_METHODS.join(', ')}`);
+  if (!String(match || '').trim()) throw invalid(`A ${scope} to match is required`);
+
+  const pct = Number(value);
+  if (value === '' || value === null || value === undefined || Number.isNaN(pct) || pct < 0) {
+    throw invalid('value must be a non-negative percentage');
+  }
+  if (method === 'margin' && pct >= 100) throw invalid('A margin must be below 100%');
+
+  const min = parseMoney(minPrice, 'minPrice');
+  const max = parseMoney(maxPrice, 'maxPrice');
+  if (min !== null && max !== null && max < min) throw invalid('maxPrice must be greater than or equal to minPrice');
+
+  const roundingValue = rounding || 'none';
+  if (!RULE_ROUNDINGS.includes(roundingValue)) throw invalid(`rounding must be one of ${RULE_ROUNDINGS.join(', ')}`);
+
+  const id = ruleDocId(scope, match);
+  const record = {
+    scope,
+    match: String(match).trim(),
+    method,
+    value: pct,
+    min_price: min,
+    max_price: max,
+    rounding: roundingValue,
+    updated_at: new Date().toISOString(),
+    updated_by: updatedBy || null,
+  };
+  await firestore.collection('pricingRules').doc(id).set(record);
+  return { id, ...record };
+}
+
+async function deleteRule(id) {
+  await firestore.collection('pricingRules').doc(id).delete();
+}
+
+/**
+ * All rules, most specific scope first.
+ */
+async function listRules() {
+  const snap = await firestore.collection('pricingRules').get();
+  return snap.docs
+    .map((d) => ({ id: d.id, ...d.data() }))
+    .sort(
+      (a, b) =>
+        RULE_SCOPES.indexOf(a.scope) - RULE_SCOPES.indexOf(b.scope) || a.match.localeCompare(b.match)
+    );
+}
+
+/**
+ * Round up to the next price ending in .99 / .49 (never below the input).
+ */
+function roundPrice(price, rounding) {
+  if (rounding === 'none') return Math.round(price * 100) / 100;
+
+  const ending = Number(rounding);
+  // .49 endings come every 50 cents (x.49, x.99); .99 once per unit
+  const step = rounding === '0.49' ? 0.5 : 1;
+  const base = Math.floor(price / step) * step;
+  let rounded = base + (ending % step);
+  if (rounded < price - 0.0001) rounded += step;
+  return Math.round(rounded * 100) / 100;
+}
+
+/**
+ * Suggested price for a unit cost under a rule: margin (price = cost / (1 - m))
+ * or markup (price = cost × (1 + m)), then rounding, then floor / ceiling.
+ */
+function priceForCost(rule, unitCost) {
+  const pct = rule.value / 100;
+  const raw = rule.method === 'margin' ? unitCost / (1 - pct) : unitCost * (1 + pct);
+
+  let price = roundPrice(raw, rule.rounding || 'none');
+  if (rule.min_price !== null && rule.min_price !== undefined && price < rule.min_price) price = rule.min_price;
+  if (rule.max_price !== null && rule.max_price !== undefined && price > rule.max_price) price = rule.max_price;
+  return price;
+}
+
+function indexRules(rules) {
+  const index = new Map();
+  rules.forEach((r) => index.set(`${r.scope}|${normalizeMatch(r.scope, r.match)}`, r));
+  return index;
+}
+
+function pickRule(index, { gtin, vendorName, categoryName }) {
+  return (
+    index.get(`gtin|${normalizeMatch('gtin', gtin)}`) ||
+    (vendorName && index.get(`vendor|${normalizeMatch('vendor', vendorName)}`)) ||
+    (categoryName && index.get(`category|${normalizeMatch('category', categoryName)}`)) ||
+    null
+  );
+}
+
+function describeRule(rule) {
+  const parts = [`${rule.value}% ${rule.method}`];
+  if (rule.rounding && rule.rounding !== 'none') parts.push(`→ .${rule.rounding.split('.')[1]}`);
+  if (rule.min_price !== null && rule.min_price !== undefined) parts.push(`min ${rule.min_price}`);
+  if (rule.max_price !== null && rule.max_price !== undefined) parts.push(`max ${rule.max_price}`);
+  return `${rule.scope}: ${rule.match} (${parts.join(', ')})`;
+}
+
+/**
+ * Suggested vs current price per location for every GTIN in gtin_matrix that
+ * has a unit cost and a matching rule.
+ *
+ * Returns [{ gtin, item_name, category_name, vendor_name, unit_cost, rule_id,
+ *   rule_label, suggested_price, locations: [{ locKey, merchant_id, location_id,
+ *   variation_id, variation_version, price, currency, changed }] }].
+ */
+async function suggestPrices({ merchantId, q, onlyChanged = true, limit = 1000 } = {}) {
+  const rules = await listRules();
+  if (!rules.length) return [];
+  const index = indexRules(rules);
+
+  const needle = (q || '').trim().toLowerCase();
+  const col = firestore.collection('gtin_matrix');
+  const out = [];
+  let lastDoc = null;
+
+  while (out.length < limit) {
+    let query = col.orderBy('__name__').limit(READ_PAGE_SIZE);
+    if (lastDoc) query = query.startAfter(lastDoc);
+    const snap = await query.get();
+    if (snap.empty) break;
+    lastDoc = snap.docs[snap.docs.length - 1];
+
+    const docs = snap.docs.filter((d) => {
+      if (!needle) return true;
+      const name = String(d.data().item_name || '').toLowerCase();
+      return d.id.includes(needle) || name.includes(needle);
+    });
+    const meta = await loadGtinMeta(docs.map((d) => d.id));
+
+    for (const doc of docs) {
+      const d = doc.data();
+      const m = meta.get(doc.id);
+      const unitCost = unitCostOf(m);
+      if (unitCost === null) continue;
+
+      const rule = pickRule(index, {
+        gtin: doc.id,
+        vendorName: m && m.vendorName,
+        categoryName: d.category_name,
+      });
+      if (!rule) continue;
+
+      const suggested = priceForCost(rule, unitCost);
+      const locations = Object.entries(d.pricesByLocation || {})
+        .filter(([, info]) => info.variation_id && (!merchantId || info.merchant_id === merchantId))
+        .map(([locKey, info]) => ({
+          locKey,
+          merchant_id: info.merchant_id,
+          location_id: info.location_id,
+          variation_id: info.variation_id,
+          variation_version: info.variation_version || null,
+          price: info.price ?? null,
+          currency: info.currency || null,
+          changed: info.price === null || info.price === undefined || Math.abs(info.price - suggested) >= 0.005,
+        }))
+        .sort((a, b) => a.locKey.localeCompare(b.locKey));
+
+      if (!locations.length) continue;
+      if (onlyChanged && !locations.some((l) => l.changed)) continue;
+
+      out.push({
+        gtin: doc.id,
+        item_name: d.item_name || (m && m.itemName) || null,
+        category_name: d.category_name || null,
+        vendor_name: (m && m.vendorName) || null,
+        unit_cost: unitCost,
+        rule_id: rule.id,
+        rule_label: describeRule(rule),
+        suggested_price: suggested,
+        locations,
+      });
+      if (out.length >= limit) break;
+    }
+
+    if (snap.size < READ_PAGE_SIZE) break;
+  }
+
+  return out;
+}
+
+/**
+ * Bulk-apply approved prices ([{ merchant_id, variation_id, price, currency, version? }]),
+ * one Square batch upsert per merchant.
+ *
+ * A variation whose version moved on since the suggestion was loaded is left
+ * alone and listed in `conflicts`.
+ * Returns { updated, failed: [{ merchant_id, variation_id, error }], conflicts }.
+ */
+async function applySuggestedPrices(changes, trail = null) {
+  const valid = (changes || []).filter((c) => c.merchant_id && c.variation_id);
+  if (!valid.length) throw invalid('No price changes selected');
+  valid.forEach((c) => {
+    const n = Number(c.price);
+    if (c.price === '' || c.price === null || Number.isNaN(n) || n < 0) {
+      throw invalid(`Invalid price for ${c.variation_id}`);
+    }
+  });
+
+  const byMerchant = new Map();
+  valid.forEach((c) => {
+    if (!byMerchant.has(c.merchant_id)) byMerchant.set(c.merchant_id, []);
+    byMerchant.get(c.merchant_id).push({
+      variationId: c.variation_id,
+      price: Number(c.price),
+      currency: c.currency || null,
+      expectedVersion: c.version || null,
+    });
+  });
+
+  let updated = 0;
+  const failed = [];
+  const conflicts = [];
+
+  for (const [merchantId, merchantChanges] of byMerchant) {
+    const merchantDoc = await firestore.collection('merchants').doc(merchantId).get();
+    if (!merchantDoc.exists) {
+      merchantChanges.forEach((c) => failed.push({ merchant_id: merchantId, variation_id: c.variationId, error: 'Merchant not found' }));
+      continue;
+    }
+
+    try {
+      const result = await applyPriceChanges({
+        merchantDoc,
+        changes: merchantChanges,
+        idempotencyKey: `pricing-${merchantId}`,
+        trail,
+      });
+      updated += result.updated;
+      conflicts.push(...result.conflicts);
+      result.failed.forEach((f) => failed.push({ merchant_id: merchantId, variation_id: f.variationId, error: f.error }));
+    } catch (err) {
+      console.error(`Price update failed for merchant ${merchantId}`, err);
+      merchantChanges.forEach((c) =>
+        failed.push({ merchant_id: merchantId, variation_id: c.variationId, error: err.message || String(err) })
+      );
+    }
+  }
+
+  return { updated, failed, conflicts };
+}
+
+module.exports = {
+  RULE_SCOPES,
+  RULE_METHODS,
+  RULE_ROUNDINGS,
+  saveRule,
+  deleteRule,
+  listRules,
+  priceForCost,
+  suggestPrices,
+  applySuggestedPrices,
+};
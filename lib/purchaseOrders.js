@@ -0,0 +1,418 @@
+// lib/purchaseOrders.js
+const PDFDocument = require('pdfkit');
+const firestore = require('./firestore');
+const { parLevelDocId, getParLevelsByKeys } = require('./parLevels');
+const { listLowStockAlerts } = require('./lowStock');
+const { loadGtinMeta, unitCostOf } = require('./gtinMeta');
+const { isActiveRow } = require('./inventoryRows');
+
+const NO_VENDOR = '(no vendor)';
+
+/**
+ * Purchase orders:
+ *   purchaseOrders/{autoId}
+ *
+ * { po_number, status: 'draft' | 'sent' | 'partially_received' | 'received' | 'cancelled',
+ *   vendor_name, merchant_id, merchant_name, location_id, location_name, currency,
+ *   lines[]: { gtin, item_name, sku, variation_id, qty_on_hand, min_qty, max_qty,
+ *              suggested_qty, order_qty, unit_cost, line_total, received_qty },
+ *   line_count, total_units, subtotal, notes, source: 'low_stock' | 'manual',
+ *   applied_receipt_ids, created_at, created_by, updated_at, sent_at, sent_by,
+ *   cancelled_at, received_at }
+ *
+ * Receiving (lib/receiving.js) moves sent POs to partially_received / received.
+ *
+ * Only drafts can be edited. Lines are priced from gtinMeta.unitCost when the
+ * draft is created (a line without a cost has unit_cost null).
+ */
+
+function invalid(message, statusCode = 400) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+function roundMoney(n) {
+  return Math.round(n * 100) / 100;
+}
+
+/**
+ * Units needed to bring stock up to max (or min when there is no max).
+ */
+function suggestOrderQty({ qty, min_qty, max_qty }) {
+  const target = max_qty !== null && max_qty !== undefined ? max_qty : min_qty;
+  if (target === null || target === undefined) return 0;
+  return Math.max(Math.ceil(target - (qty || 0)), 0);
+}
+
+function withTotals(lines) {
+  const priced = lines.map((l) => ({
+    ...l,
+    line_total: l.unit_cost !== null && l.unit_cost !== undefined ? roundMoney(l.unit_cost * l.order_qty) : null,
+  }));
+  return {
+    lines: priced,
+    line_count: priced.length,
+    total_units: priced.reduce((sum, l) => sum + l.order_qty, 0),
+    subtotal: roundMoney(priced.reduce((sum, l) => sum + (l.line_total || 0), 0)),
+  };
+}
+
+function makePoNumber(now = new Date()) {
+  const ymd = now.toISOString().slice(0, 10).replace(/-/g, '');
+  const suffix = Math.random().toString(36).slice(2, 6).toUpperCase();
+  return `PO-${ymd}-${suffix}`;
+}
+
+function vendorOf(meta) {
+  return (meta && String(meta.vendorName || '').trim()) || NO_VENDOR;
+}
+
+/**
+ * IN_STOCK rows of one location for the given GTINs, summed per GTIN.
+ */
+async function loadStockForGtins(merchantId, locationId, gtins) {
+  const snap = await firestore
+    .collection('merchants')
+    .doc(merchantId)
+    .collection('inventory')
+    .where('location_id', '==', locationId)
+    .where('state', '==', 'IN_STOCK')
+    .get();
+
+  const wanted = new Set(gtins);
+  const out = new Map();
+  snap.docs.forEach((doc) => {
+    const d = doc.data();
+    if (!d.gtin || !wanted.has(d.gtin) || d.synthetic === true || !isActiveRow(d)) return;
+    const entry = out.get(d.gtin) || {
+      qty: 0,
+      item_name: d.item_name || null,
+      sku: d.sku || null,
+      variation_id: d.variation_id || null,
+      location_name: d.location_name || null,
+    };
+    entry.qty += Number(d.qty) || 0;
+    out.set(d.gtin, entry);
+  });
+  return out;
+}
+
+/**
+ * Candidate lines grouped by location + vendor, not saved.
+ *
+ * Without items: every open low-stock alert of the merchant (optionally one
+ * location), suggested up to the par max. With items ([{ gtin, qty }], needs
+ * locationId): exactly those GTINs, qty defaulting to the par suggestion.
+ */
+async function suggestPurchaseOrders({ merchantId, locationId = null, items = null }) {
+  if (!merchantId) throw invalid('merchantId is required');
+
+  const merchantSnap = await firestore.collection('merchants').doc(merchantId).get();
+  if (!merchantSnap.exists) throw invalid('Merchant not found', 404);
+  const merchant = merchantSnap.data();
+  const locationNames = Object.fromEntries((merchant.locations || []).map((l) => [l.id, l.name || l.id]));
+
+  let candidates;
+  let source;
+
+  if (items && items.length) {
+    if (!locationId) throw invalid('locationId is required for hand-picked items');
+    source = 'manual';
+
+    const gtins = items.map((i) => String(i.gtin || '').trim()).filter(Boolean);
+    const [stock, pars] = await Promise.all([
+      loadStockForGtins(merchantId, locationId, gtins),
+      getParLevelsByKeys(gtins.map((gtin) => ({ merchantId, locationId, gtin }))),
+    ]);
+
+    candidates = items
+      .filter((i) => String(i.gtin || '').trim())
+      .map((i) => {
+        const gtin = String(i.gtin).trim();
+        const s = stock.get(gtin) || { qty: 0 };
+        const par = pars.get(parLevelDocId(merchantId, locationId, gtin)) || {};
+        const line = {
+          location_id: locationId,
+          location_name: s.location_name || locationNames[locationId] || locationId,
+          gtin,
+          item_name: s.item_name || null,
+          sku: s.sku || null,
+          variation_id: s.variation_id || null,
+          qty_on_hand: s.qty,
+          min_qty: par.min_qty ?? null,
+          max_qty: par.max_qty ?? null,
+        };
+        line.suggested_qty = suggestOrderQty({ qty: s.qty, min_qty: line.min_qty, max_qty: line.max_qty });
+        const requested = Number(i.qty);
+        line.order_qty = i.qty !== undefined && i.qty !== '' && !Number.isNaN(requested) ? requested : line.suggested_qty;
+        return line;
+      });
+  } else {
+    source = 'low_stock';
+    const alerts = await listLowStockAlerts({ status: 'open', merchantId, locationId });
+
+    candidates = alerts.map((a) => {
+      const suggested = suggestOrderQty(a);
+      return {
+        location_id: a.location_id,
+        location_name: a.location_name || locationNames[a.location_id] || a.location_id,
+        gtin: a.gtin,
+        item_name: a.item_name || null,
+        sku: a.sku || null,
+        variation_id: a.variation_id || null,
+        qty_on_hand: a.qty,
+        min_qty: a.min_qty ?? null,
+        max_qty: a.max_qty ?? null,
+        suggested_qty: suggested,
+        order_qty: suggested,
+      };
+    });
+  }
+
+  const meta = await loadGtinMeta(candidates.map((c) => c.gtin));
+
+  const groups = new Map();
+  for (const c of candidates) {
+    if (c.order_qty <= 0) continue;
+
+    const m = meta.get(c.gtin);
+    const vendor = vendorOf(m);
+    const key = `${c.location_id}|${vendor}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        merchant_id: merchantId,
+        merchant_name: merchant.business_name || merchantId,
+        location_id: c.location_id,
+        location_name: c.location_name,
+        vendor_name: vendor,
+        source,
+        lines: [],
+      });
+    }
+
+    const { location_id, location_name, ...line } = c;
+    groups.get(key).lines.push({
+      ...line,
+      item_name: line.item_name || (m && m.itemName) || null,
+      sku: line.sku || (m && m.sku) || null,
+      unit_cost: unitCostOf(m),
+    });
+  }
+
+  return [...groups.values()]
+    .map((g) => ({ ...g, ...withTotals(g.lines) }))
+    .sort((a, b) => a.location_name.localeCompare(b.location_name) || a.vendor_name.localeCompare(b.vendor_name));
+}
+
+/**
+ * Save one draft PO per location + vendor group. Returns the created POs.
+ */
+async function createDraftPurchaseOrders({ merchantId, locationId, items, notes, createdBy }) {
+  const groups = await suggestPurchaseOrders({ merchantId, locationId, items });
+  if (!groups.length) return [];
+
+  const nowIso = new Date().toISOString();
+  const batch = firestore.batch();
+  const created = [];
+
+  for (const g of groups) {
+    const ref = firestore.collection('purchaseOrders').doc();
+    const po = {
+      ...g,
+      po_number: makePoNumber(),
+      status: 'draft',
+      currency: 'USD',
+      notes: notes || null,
+      created_at: nowIso,
+      created_by: createdBy || null,
+      updated_at: nowIso,
+      sent_at: null,
+      sent_by: null,
+    };
+    batch.set(ref, po);
+    created.push({ id: ref.id, ...po });
+  }
+
+  await batch.commit();
+  return created;
+}
+
+async function getPurchaseOrder(id) {
+  const snap = await firestore.collection('purchaseOrders').doc(id).get();
+  return snap.exists ? { id: snap.id, ...snap.data() } : null;
+}
+
+/**
+ * Newest first. Equality filters only; sorted in memory.
+ */
+async function listPurchaseOrders({ status, merchantId, limit = 200 } = {}) {
+  let q = firestore.collection('purchaseOrders');
+  if (status) q = q.where('status', '==', status);
+  if (merchantId) q = q.where('merchant_id', '==', merchantId);
+
+  const snap = await q.get();
+  const rows = snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+  rows.sort((a, b) => (b.created_at || '').localeCompare(a.created_at || ''));
+  return rows.slice(0, limit);
+}
+
+/**
+ * Edit a draft: lines [{ gtin, order_qty, unit_cost }] replace quantities / costs
+ * of existing lines (order_qty 0 drops the line); notes and vendor_name are optional.
+ */
+async function updateDraftPurchaseOrder(id, { lines, notes, vendorName }) {
+  const ref = firestore.collection('purchaseOrders').doc(id);
+
+  return firestore.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists) throw invalid('Purchase order not found', 404);
+    const po = snap.data();
+    if (po.status !== 'draft') throw invalid(`Purchase order is ${po.status}; only drafts can be edited`, 409);
+
+    let nextLines = po.lines || [];
+    if (Array.isArray(lines)) {
+      const edits = new Map(lines.map((l) => [String(l.gtin), l]));
+      nextLines = nextLines
+        .map((l) => {
+          const e = edits.get(l.gtin);
+          if (!e) return l;
+
+          const orderQty = e.order_qty !== undefined ? Number(e.order_qty) : l.order_qty;
+          if (Number.isNaN(orderQty) || orderQty < 0) throw invalid(`Invalid quantity for ${l.gtin}`);
+
+          let unitCost = l.unit_cost;
+          if (e.unit_cost !== undefined) {
+            unitCost = e.unit_cost === null || e.unit_cost === '' ? null : Number(e.unit_cost);
+            if (unitCost !== null && (Number.isNaN(unitCost) || unitCost < 0)) {
+              throw invalid(`Invalid unit cost for ${l.gtin}`);
+            }
+          }
+          return { ...l, order_qty: orderQty, unit_cost: unitCost };
+        })
+        .filter((l) => l.order_qty > 0);
+    }
+
+    const update = {
+      ...withTotals(nextLines),
+      updated_at: new Date().toISOString(),
+    };
+    if (notes !== undefined) update.notes = notes || null;
+    if (vendorName !== undefined && String(vendorName).trim()) update.vendor_name = String(vendorName).trim();
+
+    tx.update(ref, update);
+    return { id, ...po, ...update };
+  });
+}
+
+/**
+ * draft -> sent / cancelled.
+ */
+async function setPurchaseOrderStatus(id, status, user) {
+  if (!['sent', 'cancelled'].includes(status)) throw invalid(`Unsupported status ${status}`);
+  const ref = firestore.collection('purchaseOrders').doc(id);
+
+  return firestore.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists) throw invalid('Purchase order not found', 404);
+    const po = snap.data();
+    if (po.status !== 'draft') throw invalid(`Purchase order is already ${po.status}`, 409);
+    if (status === 'sent' && !(po.lines || []).length) throw invalid('Cannot send an empty purchase order');
+
+    const nowIso = new Date().toISOString();
+    const update = { status, updated_at: nowIso };
+    if (status === 'sent') Object.assign(update, { sent_at: nowIso, sent_by: user || null });
+    if (status === 'cancelled') update.cancelled_at = nowIso;
+
+    tx.update(ref, update);
+    return { id, ...po, ...update };
+  });
+}
+
+function csvCell(v) {
+  const s = v === null || v === undefined ? '' : String(v);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function purchaseOrderToCsv(po) {
+  const header = ['PO Number', 'Vendor', 'Location', 'GTIN', 'SKU', 'Item', 'Order Qty', 'Unit Cost', 'Line Total'];
+  const rows = (po.lines || []).map((l) => [
+    po.po_number,
+    po.vendor_name,
+    po.location_name,
+    l.gtin,
+    l.sku,
+    l.item_name,
+    l.order_qty,
+    l.unit_cost !== null && l.unit_cost !== undefined ? l.unit_cost.toFixed(2) : '',
+    l.line_total !== null && l.line_total !== undefined ? l.line_total.toFixed(2) : '',
+  ]);
+  return [header, ...rows].map((r) => r.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Render a simple one-table PDF into a writable stream (e.g. the HTTP response).
+ */
+function writePurchaseOrderPdf(po, stream) {
+  const doc = new PDFDocument({ size: 'LETTER', margin: 50 });
+  doc.pipe(stream);
+
+  const money = (n) => (n === null || n === undefined ? '–' : `$${Number(n).toFixed(2)}`);
+
+  doc.fontSize(18).text(`Purchase Order ${po.po_number}`);
+  doc.moveDown(0.5);
+  doc.fontSize(10);
+  doc.text(`Vendor: ${po.vendor_name}`);
+  doc.text(`Ship to: ${po.merchant_name} – ${po.location_name}`);
+  doc.text(`Status: ${po.status}${po.sent_at ? ` (sent ${po.sent_at.slice(0, 10)})` : ''}`);
+  doc.text(`Created: ${(po.created_at || '').slice(0, 10)}`);
+  if (po.notes) doc.text(`Notes: ${po.notes}`);
+  doc.moveDown();
+
+  const cols = [
+    { label: 'GTIN', x: 50, width: 90 },
+    { label: 'SKU', x: 140, width: 70 },
+    { label: 'Item', x: 210, width: 180 },
+    { label: 'Qty', x: 390, width: 40, align: 'right' },
+    { label: 'Unit Cost', x: 430, width: 60, align: 'right' },
+    { label: 'Total', x: 490, width: 70, align: 'right' },
+  ];
+
+  const drawRow = (values, bold) => {
+    if (doc.y > doc.page.height - 80) doc.addPage();
+    const y = doc.y;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+    let height = 0;
+    cols.forEach((c, i) => {
+      const text = values[i] === null || values[i] === undefined ? '' : String(values[i]);
+      doc.text(text, c.x, y, { width: c.width, align: c.align || 'left' });
+      height = Math.max(height, doc.y - y);
+    });
+    doc.x = 50;
+    doc.y = y + height + 4;
+  };
+
+  drawRow(cols.map((c) => c.label), true);
+  (po.lines || []).forEach((l) => {
+    drawRow([l.gtin, l.sku, l.item_name, l.order_qty, money(l.unit_cost), money(l.line_total)]);
+  });
+
+  doc.moveDown();
+  doc.font('Helvetica-Bold').text(`Units: ${po.total_units || 0}    Subtotal: ${money(po.subtotal)}`, 50, doc.y, {
+    width: 510,
+    align: 'right',
+  });
+
+  doc.end();
+}
+
+module.exports = {
+  suggestPurchaseOrders,
+  createDraftPurchaseOrders,
+  getPurchaseOrder,
+  listPurchaseOrders,
+  updateDraftPurchaseOrder,
+  setPurchaseOrderStatus,
+  purchaseOrderToCsv,
+  writePurchaseOrderPdf,
+};
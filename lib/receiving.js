@@ -0,0 +1,283 @@
+// lib/receiving.js
+const firestore = require('./firestore');
+const {
+  buildAdjustment,
+  resolveVariationsForGtins,
+  applySquareInventoryChanges,
+} = require('./inventoryAdjustments');
+
+/**
+ * Deliveries received into stock:
+ *   receipts/{autoId}
+ *
+ * { merchant_id, merchant_name, location_id, location_name, purchase_order_id,
+ *   po_number, vendor_name, lines[]: { gtin, variation_id, item_name, quantity, unit_cost },
+ *   total_units, notes, status: 'pending' | 'posting' | 'posted' | 'failed', error,
+ *   received_by, created_at, occurred_at, posting_at, posted_at, counts_written,
+ *   history_written }
+ *
+ * Each receipt posts NONE -> IN_STOCK adjustments to Square with the receipt id
+ * as idempotency key, so retrying a failed receipt never double-counts. The
+ * request body must be identical on every attempt, so occurred_at is fixed
+ * when the receipt is created. A post claims the receipt ('posting') first,
+ * so two retries never run at once; a claim older than POSTING_TIMEOUT_MS is
+ * from an attempt that died and can be retried.
+ */
+
+const POSTING_TIMEOUT_MS = 10 * 60 * 1000;
+
+function invalid(message, statusCode = 400) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+function parseCost(v, gtin) {
+  if (v === undefined || v === null || v === '') return null;
+  const n = Number(v);
+  if (Number.isNaN(n) || n < 0) throw invalid(`Invalid unit cost for ${gtin}`);
+  return n;
+}
+
+/**
+ * Create a receipt from a purchase order (outstanding lines by default) or an
+ * ad-hoc list of items ([{ gtin, qty, unitCost }]), then post it to Square.
+ * trail is passed on to postReceipt().
+ *
+ * Returns the receipt (status 'posted', or 'failed' with error).
+ */
+async function receiveDelivery({ merchantId, locationId, purchaseOrderId, items, notes, receivedBy, trail = null }) {
+  let po = null;
+  if (purchaseOrderId) {
+    const poSnap = await firestore.collection('purchaseOrders').doc(purchaseOrderId).get();
+    if (!poSnap.exists) throw invalid('Purchase order not found', 404);
+    po = { id: poSnap.id, ...poSnap.data() };
+    if (!['sent', 'partially_received'].includes(po.status)) {
+      throw invalid(`Purchase order is ${po.status}; only sent orders can be received`, 409);
+    }
+    merchantId = po.merchant_id;
+    locationId = po.location_id;
+  }
+
+  if (!merchantId || !locationId) throw invalid('merchantId and locationId are required');
+
+  const merchantSnap = await firestore.collection('merchants').doc(merchantId).get();
+  if (!merchantSnap.exists) throw invalid('Merchant not found', 404);
+  const merchant = merchantSnap.data();
+  const location = (merchant.locations || []).find((l) => l.id === locationId);
+
+  // Requested lines: explicit items, else what is still outstanding on the PO
+  let requested = (items || [])
+    .map((i) => ({
+      gtin: String(i.gtin || '').trim(),
+      quantity: Number(i.qty ?? i.quantity),
+      unit_cost: parseCost(i.unitCost ?? i.unit_cost, i.gtin),
+    }))
+    .filter((i) => i.gtin);
+
+  if (!requested.length && po) {
+    requested = (po.lines || [])
+      .map((l) => ({
+        gtin: l.gtin,
+        quantity: Math.max((l.order_qty || 0) - (l.received_qty || 0), 0),
+        unit_cost: l.unit_cost ?? null,
+      }));
+  }
+
+  const badQty = requested.find((i) => Number.isNaN(i.quantity) || i.quantity < 0);
+  if (badQty) throw invalid(`Invalid quantity for ${badQty.gtin}`);
+  requested = requested.filter((i) => i.quantity > 0);
+  if (!requested.length) throw invalid('Nothing to receive');
+
+  // Variation per GTIN: the PO line if known, else the merchant's inventory rows
+  const poLines = new Map(((po && po.lines) || []).map((l) => [l.gtin, l]));
+  const variations = await resolveVariationsForGtins(
+    merchantId,
+    locationId,
+    requested.filter((i) => !poLines.get(i.gtin)?.variation_id).map((i) => i.gtin)
+  );
+
+  const lines = requested.map((i) => ({
+    gtin: i.gtin,
+    variation_id: poLines.get(i.gtin)?.variation_id || variations.get(i.gtin) || null,
+    item_name: poLines.get(i.gtin)?.item_name || null,
+    quantity: i.quantity,
+    unit_cost: i.unit_cost,
+  }));
+
+  const unknown = lines.filter((l) => !l.variation_id).map((l) => l.gtin);
+  if (unknown.length) {
+    throw invalid(`No Square variation found for GTIN(s): ${unknown.join(', ')}`);
+  }
+
+  const ref = firestore.collection('receipts').doc();
+  const nowIso = new Date().toISOString();
+  await ref.set({
+    merchant_id: merchantId,
+    merchant_name: merchant.business_name || merchantId,
+    location_id: locationId,
+    location_name: (location && location.name) || (po && po.location_name) || locationId,
+    purchase_order_id: po ? po.id : null,
+    po_number: po ? po.po_number : null,
+    vendor_name: po ? po.vendor_name : null,
+    lines,
+    total_units: lines.reduce((sum, l) => sum + l.quantity, 0),
+    notes: notes || null,
+    status: 'pending',
+    error: null,
+    received_by: receivedBy || null,
+    created_at: nowIso,
+    occurred_at: nowIso,
+    posted_at: null,
+  });
+
+  return postReceipt(ref.id, { trail });
+}
+
+/**
+ * Post a pending / failed receipt to Square and apply its side effects:
+ * inventory rows, history, gtinMeta.unitCost and the PO's received quantities.
+ * The receipt is only marked 'posted' once all of them are done, so a retry
+ * after a crash finishes the job (each step is idempotent).
+ * trail (lib/auditLog createAuditTrail) receives the Square counts and the
+ * inventory, gtinMeta and PO fields before / after.
+ */
+async function postReceipt(receiptId, { trail = null } = {}) {
+  const ref = firestore.collection('receipts').doc(receiptId);
+  const staleBefore = new Date(Date.now() - POSTING_TIMEOUT_MS).toISOString();
+  const receipt = await firestore.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists) throw invalid('Receipt not found', 404);
+    const current = snap.data();
+    if (current.status === 'posted') throw invalid('Receipt is already posted', 409);
+    if (current.status === 'posting' && (current.posting_at || '') > staleBefore) {
+      throw invalid('Receipt is already being posted', 409);
+    }
+    tx.update(ref, { status: 'posting', posting_at: new Date().toISOString() });
+    return current;
+  });
+
+  const merchantDoc = await firestore.collection('merchants').doc(receipt.merchant_id).get();
+  // Receipts from before occurred_at existed fall back to their creation time
+  const occurredAt = receipt.occurred_at || receipt.created_at;
+
+  const changes = receipt.lines.map((l) =>
+    buildAdjustment({
+      variationId: l.variation_id,
+      locationId: receipt.location_id,
+      quantity: l.quantity,
+      fromState: 'NONE',
+      toState: 'IN_STOCK',
+      referenceId: receiptId,
+      occurredAt,
+    })
+  );
+
+  let result;
+  try {
+    result = await applySquareInventoryChanges({
+      merchantDoc,
+      changes,
+      idempotencyKey: `receipt-${receiptId}`,
+      historyExtra: { receipt_id: receiptId, source_name: 'Receiving' },
+      trail,
+    });
+  } catch (err) {
+    await ref.update({ status: 'failed', error: err.message || String(err) });
+    console.error(`Receipt ${receiptId} failed to post`, err);
+    return { id: receiptId, ...receipt, status: 'failed', error: err.message || String(err) };
+  }
+
+  const nowIso = new Date().toISOString();
+  if (receipt.purchase_order_id) {
+    await applyReceiptToPurchaseOrder(receipt.purchase_order_id, receiptId, receipt.lines, nowIso, trail);
+  }
+
+  const batch = firestore.batch();
+
+  // Costs on the receipt become the current unit cost
+  const costed = receipt.lines.filter((l) => l.unit_cost !== null && l.unit_cost !== undefined);
+  const metaRefs = costed.map((l) => firestore.collection('gtinMeta').doc(l.gtin));
+  const metaBefore = trail && metaRefs.length ? await firestore.getAll(...metaRefs) : [];
+  costed.forEach((l, i) => {
+    if (trail) {
+      const prev = metaBefore[i];
+      trail.firestore(metaRefs[i].path, prev.exists ? { unitCost: prev.data().unitCost ?? null } : null, { unitCost: l.unit_cost });
+    }
+    batch.set(metaRefs[i], { unitCost: l.unit_cost, updatedAt: nowIso }, { merge: true });
+  });
+
+  batch.update(ref, {
+    status: 'posted',
+    error: null,
+    posted_at: nowIso,
+    counts_written: result.countsWritten,
+    history_written: result.historyWritten,
+  });
+  await batch.commit();
+
+  return { id: receiptId, ...receipt, status: 'posted', error: null, posted_at: nowIso };
+}
+
+/**
+ * Add received quantities to the PO lines; the PO becomes 'received' once
+ * every line is fully in, 'partially_received' before that. The receipt id is
+ * recorded on the PO (applied_receipt_ids) in the same transaction, so a
+ * receipt is only ever added once.
+ */
+async function applyReceiptToPurchaseOrder(purchaseOrderId, receiptId, receiptLines, receivedAt, trail = null) {
+  const ref = firestore.collection('purchaseOrders').doc(purchaseOrderId);
+  const received = (po) => ({
+    status: po.status,
+    received_qty: Object.fromEntries((po.lines || []).map((l) => [l.gtin, l.received_qty || 0])),
+  });
+
+  const audited = await firestore.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists) return null;
+    const po = snap.data();
+    const appliedIds = po.applied_receipt_ids || [];
+    if (appliedIds.includes(receiptId)) return null;
+
+    const receivedByGtin = new Map();
+    receiptLines.forEach((l) => receivedByGtin.set(l.gtin, (receivedByGtin.get(l.gtin) || 0) + l.quantity));
+
+    const lines = (po.lines || []).map((l) =>
+      receivedByGtin.has(l.gtin) ? { ...l, received_qty: (l.received_qty || 0) + receivedByGtin.get(l.gtin) } : l
+    );
+    const complete = lines.every((l) => (l.received_qty || 0) >= l.order_qty);
+
+    const status = complete ? 'received' : 'partially_received';
+    tx.update(ref, {
+      lines,
+      status,
+      applied_receipt_ids: [...appliedIds, receiptId],
+      received_at: receivedAt,
+      updated_at: receivedAt,
+    });
+    return { before: received(po), after: received({ status, lines }) };
+  });
+
+  if (trail && audited) trail.firestore(ref.path, audited.before, audited.after);
+}
+
+/**
+ * Newest first; equality filters only.
+ */
+async function listReceipts({ merchantId, purchaseOrderId, limit = 100 } = {}) {
+  let q = firestore.collection('receipts');
+  if (purchaseOrderId) q = q.where('purchase_order_id', '==', purchaseOrderId);
+  else if (merchantId) q = q.where('merchant_id', '==', merchantId);
+  else q = q.orderBy('created_at', 'desc').limit(limit);
+
+  const snap = await q.get();
+  const rows = snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+  rows.sort((a, b) => (b.created_at || '').localeCompare(a.created_at || ''));
+  return rows.slice(0, limit);
+}
+
+module.exports = {
+  receiveDelivery,
+  postReceipt,
+  listReceipts,
+};
@@ -0,0 +1,199 @@
+// lib/reports.js
+const firestore = require('./firestore');
+const { NO_JOB } = require('./jobs');
+const { isActiveRow } = require('./inventoryRows');
+
+/**
+ * Full-mode metrics for /reports: scans every merchant's inventory rows
+ * (heavy, runs as a `reports.full` job). `merchants` is [{ id, business_name }].
+ *
+ * Returns { perMerchant, dataQuality, pricing, generatedAt }.
+ */
+async function buildFullReport(merchants, ctx = NO_JOB) {
+  const perMerchant = [];
+
+  // Load gtinMeta into a map for cost coverage (still okay; usually not huge)
+  const gtinMetaMap = new Map();
+  try {
+    const gtinSnap = await firestore.collection('gtinMeta').get();
+    gtinSnap.forEach(doc => {
+      const d = doc.data();
+      const gtin = d.gtin || doc.id;
+      if (!gtin) return;
+      gtinMetaMap.set(gtin, {
+        unitCost: d.unitCost ?? d.unit_cost ?? null,
+      });
+    });
+  } catch (e) {
+    console.warn('gtinMeta read failed:', e.message);
+  }
+
+  // global real coverage counts
+  let globalRealItems = 0;
+  let globalWithGtin = 0;
+  let globalWithSku = 0;
+  let globalWithCost = 0;
+  let globalWithImage = 0;
+  let globalWithTax = 0;
+
+  // pricing: store min/max per GTIN (MUCH less memory than Set)
+  const priceMinMaxByGtin = new Map(); // gtin -> {min, max}
+
+  const READ_PAGE_SIZE = 800; // slightly smaller pages helps memory spikes
+
+  for (const [index, merchant] of merchants.entries()) {
+    const merchantId = merchant.id;
+    const merchantName = merchant.business_name || merchantId;
+    ctx.throwIfCancelled();
+    await ctx.progress(5 + (index / Math.max(merchants.length, 1)) * 90, `Scanning ${merchantName}`);
+
+    const invRef = firestore
+      .collection('merchants')
+      .doc(merchantId)
+      .collection('inventory');
+
+    let lastDoc = null;
+
+    let realCount = 0;
+    let syntheticCount = 0;
+
+    const distinctGtinsTotal = new Set();
+    const distinctGtinsReal = new Set();
+
+    let itemsMissingGtin = 0;
+    let itemsMissingSku = 0;
+    let itemsWithImage = 0;
+    let itemsWithTax = 0;
+
+    let estInventoryValue = 0;
+
+    // Only fetch fields you actually use (reduces payload a lot)
+    while (true) {
+      let q = invRef
+        .orderBy('__name__')
+        .select(
+          'synthetic',
+          'archived',
+          'stale',
+          'gtin',
+          'sku',
+          'qty',
+          'price',
+          'currency',
+          'image_urls',
+          'tax_names'
+        )
+        .limit(READ_PAGE_SIZE);
+
+      if (lastDoc) q = q.startAfter(lastDoc);
+
+      ctx.throwIfCancelled();
+      const snap = await q.get();
+      if (snap.empty) break;
+
+      snap.forEach(doc => {
+        const d = doc.data();
+        if (!isActiveRow(d)) return;
+        const isSynthetic = d.synthetic === true;
+
+        const gtin = d.gtin || null;
+        const sku = d.sku || null;
+
+        const hasImage =
+          Array.isArray(d.image_urls) ? d.image_urls.length > 0 : !!d.image_urls;
+        const hasTax =
+          Array.isArray(d.tax_names) ? d.tax_names.length > 0 : !!d.tax_names;
+
+        if (isSynthetic) syntheticCount++;
+        else realCount++;
+
+        if (gtin) distinctGtinsTotal.add(gtin);
+        if (gtin && !isSynthetic) distinctGtinsReal.add(gtin);
+
+        if (!gtin) itemsMissingGtin++;
+        if (!sku) itemsMissingSku++;
+
+        if (hasImage) itemsWithImage++;
+        if (hasTax) itemsWithTax++;
+
+        if (!isSynthetic) {
+          globalRealItems++;
+          if (gtin) globalWithGtin++;
+          if (sku) globalWithSku++;
+          if (hasImage) globalWithImage++;
+          if (hasTax) globalWithTax++;
+
+          if (gtin && gtinMetaMap.has(gtin)) {
+            const unitCost = gtinMetaMap.get(gtin)?.unitCost;
+            if (unitCost !== null && unitCost !== undefined && !isNaN(unitCost)) {
+              globalWithCost++;
+              const qty = d.qty != null ? Number(d.qty) : 0;
+              estInventoryValue += qty * Number(unitCost);
+            }
+          }
+
+          // pricing mismatch min/max
+          if (gtin && d.price != null) {
+            const price = Number(d.price);
+            if (!isNaN(price)) {
+              const mm = priceMinMaxByGtin.get(gtin);
+              if (!mm) priceMinMaxByGtin.set(gtin, { min: price, max: price });
+              else {
+                if (price < mm.min) mm.min = price;
+                if (price > mm.max) mm.max = price;
+              }
+            }
+          }
+        }
+      });
+
+      lastDoc = snap.docs[snap.docs.length - 1];
+    }
+
+    perMerchant.push({
+      merchantId,
+      merchantName,
+      realCount,
+      syntheticCount,
+      distinctGtinsTotal: distinctGtinsTotal.size,
+      distinctGtinsReal: distinctGtinsReal.size,
+      itemsMissingGtin,
+      itemsMissingSku,
+      itemsWithImage,
+      itemsWithTax,
+      estInventoryValue,
+    });
+  }
+
+  const pct = (part, total) => (!total ? 0 : Math.round((part / total) * 1000) / 10);
+
+  const dataQuality = {
+    totalRealItems: globalRealItems,
+    gtinCoveragePct: pct(globalWithGtin, globalRealItems),
+    skuCoveragePct: pct(globalWithSku, globalRealItems),
+    costCoveragePct: pct(globalWithCost, globalRealItems),
+    imageCoveragePct: pct(globalWithImage, globalRealItems),
+    taxCoveragePct: pct(globalWithTax, globalRealItems),
+  };
+
+  let gtinsWithAnyMismatch = 0;
+  let gtinsWithSpreadOver1 = 0;
+  let gtinsWithSpreadOver3 = 0;
+
+  for (const [, mm] of priceMinMaxByGtin) {
+    if (mm.max > mm.min) {
+      gtinsWithAnyMismatch++;
+      const spread = mm.max - mm.min;
+      if (spread >= 1) gtinsWithSpreadOver1++;
+      if (spread >= 3) gtinsWithSpreadOver3++;
+    }
+  }
+
+  const pricing = { gtinsWithAnyMismatch, gtinsWithSpreadOver1, gtinsWithSpreadOver3 };
+
+  return { perMerchant, dataQuality, pricing, generatedAt: new Date().toISOString() };
+}
+
+module.exports = {
+  buildFullReport,
+};
@@ -0,0 +1,257 @@
+// lib/salesVelocity.js
+const firestore = require('./firestore');
+const { getSquareClientForMerchant } = require('./squareAuth');
+const { makeLocKey } = require('./gtinMatrix');
+const { isActiveRow } = require('./inventoryRows');
+
+const WINDOWS = [7, 30, 90];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const READ_PAGE_SIZE = 1000;
+const MAX_WRITES_PER_BATCH = 400;
+
+function round1(n) {
+  return Math.round(n * 10) / 10;
+}
+
+/**
+ * Units sold per catalog variation at one location over the last 7/30/90 days,
+ * from COMPLETED orders (returns in the same order are netted out).
+ *
+ * Returns Map(variationId -> { sold_7d, sold_30d, sold_90d }) and the order count.
+ */
+async function fetchUnitsSold(client, locationId, now = Date.now()) {
+  const longest = Math.max(...WINDOWS);
+  const startAt = new Date(now - longest * DAY_MS).toISOString();
+  const cutoffs = WINDOWS.map((days) => [days, now - days * DAY_MS]);
+
+  const byVariation = new Map();
+  const add = (variationId, qty, closedAtMs) => {
+    if (!variationId || !qty) return;
+    const entry = byVariation.get(variationId) || { sold_7d: 0, sold_30d: 0, sold_90d: 0 };
+    for (const [days, cutoff] of cutoffs) {
+      if (closedAtMs >= cutoff) entry[`sold_${days}d`] += qty;
+    }
+    byVariation.set(variationId, entry);
+  };
+
+  let cursor = undefined;
+  let orders = 0;
+
+  do {
+    const res = await client.ordersApi.searchOrders({
+      locationIds: [locationId],
+      cursor,
+      limit: 500,
+      query: {
+        filter: {
+          stateFilter: { states: ['COMPLETED'] },
+          dateTimeFilter: { closedAt: { startAt } },
+        },
+        sort: { sortField: 'CLOSED_AT', sortOrder: 'DESC' },
+      },
+    });
+
+    for (const order of res.result.orders || []) {
+      orders++;
+      const closedAtMs = Date.parse(order.closedAt || order.createdAt || '') || now;
+
+      for (const li of order.lineItems || []) {
+        add(li.catalogObjectId, parseFloat(li.quantity || '0'), closedAtMs);
+      }
+      for (const ret of order.returns || []) {
+        for (const li of ret.returnLineItems || []) {
+          add(li.catalogObjectId, -parseFloat(li.quantity || '0'), closedAtMs);
+        }
+      }
+    }
+
+    cursor = res.result.cursor;
+  } while (cursor);
+
+  return { byVariation, orders };
+}
+
+/**
+ * Compute velocity for one location and write it onto the inventory rows
+ * (master + merchant copies) and the location's entry in gtin_matrix.
+ *
+ * Units are aggregated per GTIN (variations without a GTIN stand alone), so
+ * duplicate variations of the same product share one figure. days_of_cover is
+ * IN_STOCK quantity / average daily sales over 30 days (null with no sales).
+ */
+async function updateLocationVelocity({ client, merchantId, location }) {
+  const invCol = firestore.collection('merchants').doc(merchantId).collection('inventory');
+
+  // 1) Inventory rows for this location
+  const rows = [];
+  let lastDoc = null;
+  while (true) {
+    let q = invCol.where('location_id', '==', location.id).orderBy('__name__').limit(READ_PAGE_SIZE);
+    if (lastDoc) q = q.startAfter(lastDoc);
+
+    const snap = await q.get();
+    if (snap.empty) break;
+
+    snap.docs.forEach((doc) => {
+      const d = doc.data();
+      if (d.synthetic === true || !d.variation_id || !isActiveRow(d)) return;
+      rows.push({
+        id: doc.id,
+        ref: doc.ref,
+        key: d.gtin || d.variation_id,
+        gtin: d.gtin || null,
+        variationId: d.variation_id,
+        state: d.state,
+        qty: Number(d.qty) || 0,
+        locKey: makeLocKey(d),
+        merchantId: d.merchant_id || merchantId,
+        locationId: d.location_id || location.id,
+      });
+    });
+
+    lastDoc = snap.docs[snap.docs.length - 1];
+  }
+
+  if (!rows.length) return { rows: 0, orders: 0 };
+
+  // 2) Units sold, rolled up from variation to GTIN
+  const { byVariation, orders } = await fetchUnitsSold(client, location.id);
+
+  const keyByVariation = new Map(rows.map((r) => [r.variationId, r.key]));
+  const byKey = new Map();
+  for (const r of rows) {
+    if (!byKey.has(r.key)) byKey.set(r.key, { sold_7d: 0, sold_30d: 0, sold_90d: 0, inStock: 0 });
+    if (r.state === 'IN_STOCK') byKey.get(r.key).inStock += r.qty;
+  }
+  for (const [variationId, sold] of byVariation.entries()) {
+    const agg = byKey.get(keyByVariation.get(variationId));
+    if (!agg) continue; // sold but not tracked at this location
+    agg.sold_7d += sold.sold_7d;
+    agg.sold_30d += sold.sold_30d;
+    agg.sold_90d += sold.sold_90d;
+  }
+
+  const nowIso = new Date().toISOString();
+  const velocityFor = (key) => {
+    const agg = byKey.get(key);
+    const avgDaily = agg.sold_30d > 0 ? agg.sold_30d / 30 : 0;
+    return {
+      sold_7d: round1(agg.sold_7d),
+      sold_30d: round1(agg.sold_30d),
+      sold_90d: round1(agg.sold_90d),
+      avg_daily_sales: Math.round(avgDaily * 100) / 100,
+      days_of_cover: avgDaily > 0 ? round1(Math.max(agg.inStock, 0) / avgDaily) : null,
+      velocity_updated_at: nowIso,
+    };
+  };
+
+  // 3) Write inventory rows + gtin_matrix entries
+  let batch = firestore.batch();
+  let writes = 0;
+  const flushIfNeeded = async () => {
+    if (writes < MAX_WRITES_PER_BATCH) return;
+    await batch.commit();
+    batch = firestore.batch();
+    writes = 0;
+  };
+
+  for (const r of rows) {
+    const velocity = velocityFor(r.key);
+    batch.set(firestore.collection('inventory').doc(r.id), velocity, { merge: true });
+    batch.set(r.ref, velocity, { merge: true });
+    writes += 2;
+    await flushIfNeeded();
+  }
+
+  const matrixDone = new Set();
+  for (const r of rows) {
+    if (!r.gtin || matrixDone.has(r.gtin)) continue;
+    matrixDone.add(r.gtin);
+
+    batch.set(
+      firestore.collection('gtin_matrix').doc(r.gtin),
+      {
+        pricesByLocation: {
+          [r.locKey]: {
+            merchant_id: r.merchantId,
+            location_id: r.locationId,
+            variation_id: r.variationId,
+            ...velocityFor(r.key),
+          },
+        },
+      },
+      { merge: true }
+    );
+    writes++;
+    await flushIfNeeded();
+  }
+
+  if (writes) await batch.commit();
+
+  return { rows: rows.length, orders };
+}
+
+/**
+ * Refresh sales velocity for every known location of one merchant.
+ * Returns { locations: [{ locationId, locationName, rows, orders }] }.
+ */
+async function syncMerchantSalesVelocity(merchantDoc) {
+  const merchantId = merchantDoc.id;
+  const data = merchantDoc.data();
+  const client = await getSquareClientForMerchant(merchantDoc);
+
+  let locations = data.locations || [];
+  if (!locations.length) {
+    const res = await client.locationsApi.listLocations();
+    locations = (res.result.locations || []).map((l) => ({ id: l.id, name: l.name || l.id }));
+  }
+
+  console.log(`Sales velocity for merchant ${merchantId} (${data.business_name}), ${locations.length} locations`);
+
+  const out = [];
+  for (const location of locations) {
+    const { rows, orders } = await updateLocationVelocity({ client, merchantId, location });
+    console.log(`  ${location.name || location.id}: ${orders} orders, ${rows} inventory rows updated`);
+    out.push({ locationId: location.id, locationName: location.name, rows, orders });
+  }
+
+  await firestore.collection('merchants').doc(merchantId).set(
+    { sales_velocity_synced_at: new Date().toISOString() },
+    { merge: true }
+  );
+
+  return { locations: out };
+}
+
+/**
+ * Refresh sales velocity for all merchants (one failing merchant does not stop the rest).
+ * options.onProgress({ done, total, merchantName }) is awaited before each
+ * merchant; options.isCancelled() is checked before each merchant and stops
+ * the loop (the merchants done so far keep their results).
+ */
+async function syncAllSalesVelocity(options = {}) {
+  const snapshot = await firestore.collection('merchants').get();
+  const results = [];
+
+  for (const [i, doc] of snapshot.docs.entries()) {
+    if (options.isCancelled && options.isCancelled()) break;
+    if (options.onProgress) {
+      await options.onProgress({ done: i, total: snapshot.size, merchantName: doc.data().business_name || doc.id });
+    }
+    try {
+      const { locations } = await syncMerchantSalesVelocity(doc);
+      results.push({ merchantId: doc.id, status: 'success', locations });
+    } catch (err) {
+      console.error(`Sales velocity failed for merchant ${doc.id}`, err);
+      results.push({ merchantId: doc.id, status: 'failed', error: err.message || String(err) });
+    }
+  }
+
+  return results;
+}
+
+module.exports = {
+  syncMerchantSalesVelocity,
+  syncAllSalesVelocity,
+};
@@ -0,0 +1,402 @@
+// lib/scheduledPrices.js
+const firestore = require('./firestore');
+const { applyPriceChanges } = require('./priceUpdates');
+const { createAuditTrail, recordAudit } = require('./auditLog');
+
+/**
+ * Future-dated price changes, one per GTIN + location:
+ *   scheduledPriceChanges/{autoId}
+ *
+ * { gtin, item_name, loc_key, merchant_id, location_id, variation_id, currency,
+ *   price, effective_at, ends_at, previous_price,
+ *   status: 'scheduled' | 'applying' | 'applied' | 'reverting' | 'reverted'
+ *         | 'overridden' | 'expired' | 'cancelled' | 'failed',
+ *   claimed_at, applied_at, reverted_at, error, created_by, created_at,
+ *   cancelled_by, cancelled_at }
+ *
+ * runDuePriceChanges() (POST /tasks/apply-scheduled-prices, or the
+ * apply:scheduled-prices script, e.g. every 5 minutes) applies the ones whose
+ * effective_at has passed and, for temporary promos, puts previous_price back
+ * once ends_at has passed – unless the price was edited in Square since
+ * (`overridden`). A promo that ends before it was applied is `expired`. Each
+ * run writes one audit entry for the reverts (price.scheduledRevert) and one
+ * for the changes applied (price.scheduled).
+ */
+
+// A run that has not finished an applying / reverting claim by then is
+// assumed dead and another run may take the change over
+const CLAIM_TIMEOUT_MS = 15 * 60 * 1000;
+const IN_PROGRESS = ['applying', 'reverting'];
+
+function invalid(message, statusCode = 400) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+function parseDate(v, field) {
+  if (v === undefined || v === null || v === '') return null;
+  const d = new Date(v);
+  if (Number.isNaN(d.getTime())) throw invalid(`${field} is not a valid date/time`);
+  return d.toISOString();
+}
+
+/**
+ * Queue a price for some (default: all) locations of a GTIN.
+ * Returns the created docs.
+ */
+async function schedulePriceChange({ gtin, locKeys, price, effectiveAt, endsAt, createdBy }) {
+  if (!gtin) throw invalid('gtin is required');
+
+  const numericPrice = Number(price);
+  if (price === '' || price === null || price === undefined || Number.isNaN(numericPrice) || numericPrice < 0) {
+    throw invalid('A valid non-negative price is required');
+  }
+
+  const effective = parseDate(effectiveAt, 'effectiveAt');
+  if (!effective) throw invalid('effectiveAt is required');
+  const ends = parseDate(endsAt, 'endsAt');
+  if (ends && ends <= effective) throw invalid('endsAt must be after effectiveAt');
+
+  const matrixSnap = await firestore.collection('gtin_matrix').doc(String(gtin)).get();
+  if (!matrixSnap.exists) throw invalid(`GTIN ${gtin} not found`, 404);
+  const matrix = matrixSnap.data();
+
+  const wanted = locKeys && locKeys.length ? new Set(locKeys) : null;
+  const cells = Object.entries(matrix.pricesByLocation || {}).filter(
+    ([locKey, info]) => info.merchant_id && info.variation_id && (!wanted || wanted.has(locKey))
+  );
+  if (!cells.length) throw invalid('No matching locations for this GTIN');
+
+  const nowIso = new Date().toISOString();
+  const batch = firestore.batch();
+  const created = [];
+
+  cells.forEach(([locKey, info]) => {
+    const ref = firestore.collection('scheduledPriceChanges').doc();
+    const record = {
+      gtin: String(gtin),
+      item_name: matrix.item_name || null,
+      loc_key: locKey,
+      merchant_id: info.merchant_id,
+      location_id: info.location_id || null,
+      variation_id: info.variation_id,
+      currency: info.currency || null,
+      price: numericPrice,
+      effective_at: effective,
+      ends_at: ends,
+      previous_price: null,
+      status: 'scheduled',
+      applied_at: null,
+      reverted_at: null,
+      error: null,
+      created_by: createdBy || null,
+      created_at: nowIso,
+    };
+    batch.set(ref, record);
+    created.push({ id: ref.id, ...record });
+  });
+
+  await batch.commit();
+  return created;
+}
+
+/**
+ * Soonest first; equality filters only. Without a status, the queue
+ * (scheduled + applied promos waiting to revert) is returned.
+ */
+async function listScheduledPriceChanges({ gtin, status, limit = 200 } = {}) {
+  let q = firestore.collection('scheduledPriceChanges');
+  if (gtin) q = q.where('gtin', '==', String(gtin));
+  if (status) q = q.where('status', '==', status);
+  else if (!gtin) q = q.where('status', 'in', ['scheduled', 'applying', 'applied', 'reverting']);
+
+  const snap = await q.get();
+  const rows = snap.docs
+    .map((d) => ({ id: d.id, ...d.data() }))
+    .filter((r) => status || gtin || r.status === 'scheduled' || r.status === 'applying' || r.ends_at);
+  rows.sort((a, b) => (a.effective_at || '').localeCompare(b.effective_at || ''));
+  return rows.slice(0, limit);
+}
+
+async function cancelScheduledPriceChange(id, cancelledBy) {
+  const ref = firestore.collection('scheduledPriceChanges').doc(id);
+  return firestore.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists) throw invalid('Scheduled price change not found', 404);
+    if (snap.data().status !== 'scheduled') {
+      throw invalid(`Only scheduled changes can be cancelled (this one is ${snap.data().status})`, 409);
+    }
+    const update = { status: 'cancelled', cancelled_by: cancelledBy || null, cancelled_at: new Date().toISOString() };
+    tx.update(ref, update);
+    return { id, ...snap.data(), ...update };
+  });
+}
+
+/**
+ * Current price per loc_key for the GTINs of some scheduled changes
+ * (from gtin_matrix, kept current by applyPriceChanges).
+ */
+async function currentPrices(changes) {
+  const gtins = [...new Set(changes.map((c) => c.gtin))];
+  const out = new Map();
+  if (!gtins.length) return out;
+
+  const col = firestore.collection('gtin_matrix');
+  const snaps = await firestore.getAll(...gtins.map((g) => col.doc(g)));
+  snaps.forEach((s) => {
+    if (!s.exists) return;
+    Object.entries(s.data().pricesByLocation || {}).forEach(([locKey, info]) => {
+      out.set(`${s.id}|${locKey}`, info.price ?? null);
+    });
+  });
+  return out;
+}
+
+/**
+ * Push one group of changes ([{ id, merchant_id, variation_id, price, currency,
+ * expected_price? }]) to Square per merchant. Returns { errors: Map(id -> error),
+ * changed: Map(id -> current price) } – `changed` holds the ones skipped
+ * because their price in Square was no longer expected_price.
+ */
+async function pushPrices(changes, keyPrefix, trail = null) {
+  const errors = new Map();
+  const changed = new Map();
+  const byMerchant = new Map();
+  changes.forEach((c) => {
+    if (!byMerchant.has(c.merchant_id)) byMerchant.set(c.merchant_id, []);
+    byMerchant.get(c.merchant_id).push(c);
+  });
+
+  for (const [merchantId, group] of byMerchant) {
+    const merchantDoc = await firestore.collection('merchants').doc(merchantId).get();
+    if (!merchantDoc.exists) {
+      group.forEach((c) => errors.set(c.id, 'Merchant not found'));
+      continue;
+    }
+
+    try {
+      const { failed } = await applyPriceChanges({
+        merchantDoc,
+        changes: group.map((c) => ({
+          variationId: c.variation_id,
+          price: c.price,
+          currency: c.currency,
+          expectedPrice: c.expected_price ?? null,
+        })),
+        idempotencyKey: `${keyPrefix}-${merchantId}`,
+        trail,
+      });
+      const failedById = new Map(failed.map((f) => [f.variationId, f]));
+      group.forEach((c) => {
+        const f = failedById.get(c.variation_id);
+        if (f && f.priceChanged) changed.set(c.id, f.currentPrice);
+        else if (f) errors.set(c.id, f.error);
+      });
+    } catch (err) {
+      console.error(`Scheduled price update failed for merchant ${merchantId}`, err);
+      group.forEach((c) => errors.set(c.id, err.message || String(err)));
+    }
+  }
+
+  return { errors, changed };
+}
+
+/**
+ * Move one change from one of the `from` statuses in a transaction, so two
+ * overlapping runs never both act on it. `applying` / `reverting` claims
+ * older than CLAIM_TIMEOUT_MS (a run that died) can be taken over. `update`
+ * is an object or a function of the current doc. Returns the updated change,
+ * or null when its status no longer allows the move.
+ */
+async function transition(id, from, update, nowIso) {
+  const ref = firestore.collection('scheduledPriceChanges').doc(id);
+  const staleBefore = new Date(Date.parse(nowIso) - CLAIM_TIMEOUT_MS).toISOString();
+
+  return firestore.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists) return null;
+    const current = snap.data();
+    if (!from.includes(current.status)) return null;
+    if (IN_PROGRESS.includes(current.status) && (current.claimed_at || '') > staleBefore) return null;
+
+    const fields = typeof update === 'function' ? update(current) : update;
+    tx.update(ref, fields);
+    return { id, ...current, ...fields };
+  });
+}
+
+async function transitionAll(changes, from, update, nowIso) {
+  const out = [];
+  for (const c of changes) {
+    const moved = await transition(c.id, from, update, nowIso);
+    if (moved) out.push(moved);
+  }
+  return out;
+}
+
+/**
+ * Audit entry for one phase of a run (no user: runs come from the task
+ * endpoint or the script). Skipped when the phase had nothing to do.
+ */
+async function auditPhase(action, changes, errors, trail) {
+  if (!changes.length) return;
+  const failedIds = changes.filter((c) => errors.has(c.id)).map((c) => c.id);
+  await recordAudit({
+    req: null,
+    action,
+    gtins: changes.map((c) => c.gtin),
+    merchantIds: changes.map((c) => c.merchant_id),
+    trail,
+    status: failedIds.length ? 'failed' : 'success',
+    error: failedIds.length ? errors.get(failedIds[0]) : null,
+    summary: {
+      scheduledChangeIds: changes.map((c) => c.id),
+      failedChangeIds: failedIds,
+      scheduledBy: [...new Set(changes.map((c) => c.created_by).filter(Boolean))],
+    },
+  });
+}
+
+const samePrice = (a, b) => a !== null && a !== undefined && b !== null && b !== undefined
+  && Math.round(Number(a) * 100) === Math.round(Number(b) * 100);
+
+/**
+ * Apply every scheduled change that is due and revert every applied promo
+ * whose end has passed. Each change is claimed (`scheduled` → `applying`,
+ * `applied` → `reverting`) before anything is sent to Square, so overlapping
+ * runs skip what another run is handling.
+ * Returns { applied, reverted, expired, overridden, failed }.
+ */
+async function runDuePriceChanges(now = new Date()) {
+  const nowIso = now.toISOString();
+  const col = firestore.collection('scheduledPriceChanges');
+  const claim = { claimed_at: nowIso };
+
+  const [scheduledSnap, appliedSnap] = await Promise.all([
+    col.where('status', 'in', ['scheduled', 'applying']).get(),
+    col.where('status', 'in', ['applied', 'reverting']).get(),
+  ]);
+
+  const due = scheduledSnap.docs
+    .map((d) => ({ id: d.id, ...d.data() }))
+    .filter((c) => c.effective_at <= nowIso)
+    .sort((a, b) => a.effective_at.localeCompare(b.effective_at));
+  const ending = appliedSnap.docs
+    .map((d) => ({ id: d.id, ...d.data() }))
+    .filter((c) => c.ends_at && c.ends_at <= nowIso);
+
+  let applied = 0;
+  let reverted = 0;
+  let failed = 0;
+
+  // 1) Reverts first, so a promo ending as the next change starts does not undo it.
+  // Without a previous price there is nothing to go back to.
+  const noPrevious = ending.filter((c) => c.previous_price === null || c.previous_price === undefined);
+  failed += (await transitionAll(noPrevious, ['applied', 'reverting'], {
+    status: 'failed',
+    error: 'No previous price to revert to',
+    updated_at: nowIso,
+  }, nowIso)).length;
+
+  const reverting = await transitionAll(
+    ending.filter((c) => !noPrevious.includes(c)),
+    ['applied', 'reverting'],
+    { status: 'reverting', ...claim },
+    nowIso
+  );
+  // Only while Square still has the promo price: a price edited since is left alone
+  const revertTrail = createAuditTrail();
+  const revert = await pushPrices(
+    reverting.map((c) => ({ ...c, price: c.previous_price, expected_price: c.price })),
+    'scheduled-revert',
+    revertTrail
+  );
+  await auditPhase(
+    'price.scheduledRevert',
+    reverting.filter((c) => !revert.changed.has(c.id)),
+    revert.errors,
+    revertTrail
+  );
+
+  let overridden = 0;
+  for (const c of reverting) {
+    const error = revert.errors.get(c.id);
+    const live = revert.changed.get(c.id);
+    if (error) {
+      // Back in the queue; the next run tries again
+      failed++;
+      await col.doc(c.id).update({ status: 'applied', error, updated_at: nowIso });
+    } else if (revert.changed.has(c.id) && !samePrice(live, c.previous_price)) {
+      overridden++;
+      await col.doc(c.id).update({
+        status: 'overridden',
+        reverted_at: nowIso,
+        error: `Price was changed to ${live ?? 'none'} in Square after the promo started; left as is`,
+      });
+    } else {
+      // (a run that died after reverting in Square finds the previous price already there)
+      reverted++;
+      await col.doc(c.id).update({ status: 'reverted', reverted_at: nowIso, error: null });
+    }
+  }
+
+  // 2) Due changes. A promo whose end has already passed is not applied at all.
+  const lapsed = due.filter((c) => c.ends_at && c.ends_at <= nowIso);
+  const expired = (await transitionAll(lapsed, ['scheduled', 'applying'], {
+    status: 'expired',
+    error: 'Promo ended before it could be applied',
+    updated_at: nowIso,
+  }, nowIso)).length;
+
+  // The last one wins when several target the same cell
+  const latest = new Map();
+  due.filter((c) => !lapsed.includes(c)).forEach((c) => latest.set(`${c.merchant_id}|${c.variation_id}`, c));
+  const candidates = [...latest.values()];
+  const superseded = due.filter((c) => !lapsed.includes(c) && !candidates.includes(c));
+
+  await transitionAll(superseded, ['scheduled'], {
+    status: 'cancelled',
+    cancelled_at: nowIso,
+    error: 'Superseded by a later change',
+  }, nowIso);
+
+  // The price being replaced is recorded with the claim, so a run taking over
+  // a dead one's claim keeps it rather than reading the promo price back
+  const before = await currentPrices(candidates);
+  const toApply = await transitionAll(candidates, ['scheduled', 'applying'], (current) => ({
+    status: 'applying',
+    ...claim,
+    previous_price: current.status === 'applying' && current.previous_price != null
+      ? current.previous_price
+      : before.get(`${current.gtin}|${current.loc_key}`) ?? null,
+  }), nowIso);
+
+  const applyTrail = createAuditTrail();
+  const apply = await pushPrices(toApply, 'scheduled-apply', applyTrail);
+  await auditPhase('price.scheduled', toApply, apply.errors, applyTrail);
+
+  for (const c of toApply) {
+    const error = apply.errors.get(c.id);
+    if (error) {
+      failed++;
+      await col.doc(c.id).update({ status: 'failed', error, updated_at: nowIso });
+    } else {
+      applied++;
+      await col.doc(c.id).update({ status: 'applied', applied_at: nowIso, error: null });
+    }
+  }
+
+  console.log(
+    `Scheduled prices: ${applied} applied, ${reverted} reverted, ${expired} expired, ` +
+    `${overridden} left as edited, ${failed} failed`
+  );
+  return { applied, reverted, expired, overridden, failed };
+}
+
+module.exports = {
+  schedulePriceChange,
+  listScheduledPriceChanges,
+  cancelScheduledPriceChange,
+  runDuePriceChanges,
+};
@@ -0,0 +1,144 @@
+// lib/squareAuth.js
+const { ApiError } = require('square/legacy');
+const firestore = require('./firestore');
+const { createSquareClient, createOAuthClient } = require('./squareClient');
+
+// Refresh when the access token expires within this window. Square tokens
+// last 30 days; refreshing early leaves room for a failed attempt or two.
+const REFRESH_MARGIN_MS = 3 * 24 * 60 * 60 * 1000;
+
+function reconnectError(merchantId, reason) {
+  const err = new Error(`Square connection for merchant ${merchantId} needs to be reconnected: ${reason}`);
+  err.code = 'SQUARE_RECONNECT_REQUIRED';
+  err.merchantId = merchantId;
+  return err;
+}
+
+function tokenNeedsRefresh(merchant, now = Date.now()) {
+  // Merchants connected before expiry was recorded are refreshed once to learn it
+  if (!merchant.token_expires_at) return true;
+  return Date.parse(merchant.token_expires_at) - now < REFRESH_MARGIN_MS;
+}
+
+function isTokenExpired(merchant, now = Date.now()) {
+  return !!merchant.token_expires_at && Date.parse(merchant.token_expires_at) <= now;
+}
+
+/**
+ * Exchange the stored refresh_token for a new access token and save it.
+ *
+ * A rejected grant (4xx from Square: revoked or invalid refresh token) sets
+ * needs_reconnect on the merchant. Transient failures (network, 5xx) are
+ * recorded but do not flag the merchant; the current token is used while it
+ * is still valid.
+ *
+ * Returns the updated merchant data.
+ */
+async function refreshMerchantToken(merchantId) {
+  const ref = firestore.collection('merchants').doc(merchantId);
+
+  // Re-read: another request or process may have refreshed already
+  const snap = await ref.get();
+  const merchant = snap.data() || {};
+  if (merchant.needs_reconnect) throw reconnectError(merchantId, merchant.reconnect_reason || 'flagged');
+  if (!tokenNeedsRefresh(merchant)) return merchant;
+
+  if (!merchant.refresh_token) {
+    await markNeedsReconnect(merchantId, 'no refresh_token stored');
+    throw reconnectError(merchantId, 'no refresh_token stored');
+  }
+
+  const env = merchant.env || 'sandbox';
+
+  try {
+    const { result } = await createOAuthClient(env).oAuthApi.obtainToken({
+      clientId: process.env.SQUARE_APP_ID,
+      clientSecret: process.env.SQUARE_APP_SECRET,
+      grantType: 'refresh_token',
+      refreshToken: merchant.refresh_token,
+    });
+
+    const patch = {
+      access_token: result.accessToken,
+      // Square may rotate the refresh token; keep the old one otherwise
+      refresh_token: result.refreshToken || merchant.refresh_token,
+      token_expires_at: result.expiresAt || null,
+      token_refreshed_at: new Date().toISOString(),
+      token_refresh_error: null,
+    };
+
+    await ref.set(patch, { merge: true });
+    console.log(`Refreshed Square token for merchant ${merchantId} (expires ${patch.token_expires_at})`);
+
+    return { ...merchant, ...patch };
+  } catch (err) {
+    const message = err.message || String(err);
+
+    if (err instanceof ApiError && err.statusCode >= 400 && err.statusCode < 500) {
+      const reason = (err.errors && err.errors[0] && (err.errors[0].detail || err.errors[0].code)) || message;
+      await markNeedsReconnect(merchantId, `token refresh rejected: ${reason}`);
+      throw reconnectError(merchantId, reason);
+    }
+
+    await ref.set(
+      { token_refresh_error: message, token_refresh_failed_at: new Date().toISOString() },
+      { merge: true }
+    );
+
+    if (merchant.access_token && !isTokenExpired(merchant)) {
+      console.warn(`Token refresh failed for merchant ${merchantId}, using current token: ${message}`);
+      return merchant;
+    }
+
+    throw err;
+  }
+}
+
+async function markNeedsReconnect(merchantId, reason) {
+  console.error(`Merchant ${merchantId} needs to reconnect Square: ${reason}`);
+  await firestore.collection('merchants').doc(merchantId).set(
+    {
+      needs_reconnect: true,
+      reconnect_reason: reason,
+      token_refresh_failed_at: new Date().toISOString(),
+    },
+    { merge: true }
+  );
+}
+
+// One refresh per merchant at a time within this process
+const inflightRefreshes = new Map();
+
+/**
+ * Square client for a merchant doc, refreshing the access token first when it
+ * is close to expiry. Throws an error with code SQUARE_RECONNECT_REQUIRED when
+ * the merchant has to go through /connect-square again.
+ */
+async function getSquareClientForMerchant(merchantDoc) {
+  const merchantId = merchantDoc.id;
+  let merchant = merchantDoc.data() || {};
+
+  if (merchant.needs_reconnect) {
+    throw reconnectError(merchantId, merchant.reconnect_reason || 'flagged');
+  }
+  if (!merchant.access_token) {
+    throw reconnectError(merchantId, 'no access_token stored');
+  }
+
+  if (tokenNeedsRefresh(merchant)) {
+    if (!inflightRefreshes.has(merchantId)) {
+      inflightRefreshes.set(
+        merchantId,
+        refreshMerchantToken(merchantId).finally(() => inflightRefreshes.delete(merchantId))
+      );
+    }
+    merchant = await inflightRefreshes.get(merchantId);
+  }
+
+  return createSquareClient(merchant.access_token, merchant.env || 'sandbox', { merchantId });
+}
+
+module.exports = {
+  getSquareClientForMerchant,
+  refreshMerchantToken,
+};
@@ -1,12 +1,10 @@
 // lib/squareCatalog.js
-const { Client, Environment } = require('square/legacy');
-
-const squareClient = new Client({
-  environment: process.env.SQUARE_ENV === 'production'
-    ? Environment.Production
-    : Environment.Sandbox,
-  accessToken: process.env.SQUARE_ACCESS_TOKEN,
-});
+const { createSquareClient } = require('./squareClient');
+
+const squareClient = createSquareClient(
+  process.env.SQUARE_ACCESS_TOKEN,
+  process.env.SQUARE_ENV === 'production' ? 'production' : 'sandbox'
+);
 
 async function fetchAllCatalogVariations() {
   const { catalogApi } = squareClient;
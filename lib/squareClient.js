@@ -0,0 +1,264 @@
+// lib/squareClient.js
+const crypto = require('crypto');
+const { Client, Environment, ApiError } = require('square/legacy');
+
+// Retry tuning (env overrides mainly for long backfills)
+const MAX_RETRIES = parseInt(process.env.SQUARE_MAX_RETRIES || '5', 10);
+const BASE_DELAY_MS = 500;
+const MAX_DELAY_MS = 30000;
+// Retry-After above this is treated as "give up"; a sync should not stall for minutes
+const MAX_RETRY_AFTER_MS = 60000;
+
+// In-flight Square calls allowed per merchant (or per token for env-token clients)
+const MAX_CONCURRENCY = parseInt(process.env.SQUARE_MAX_CONCURRENCY || '4', 10);
+
+const RETRYABLE_NETWORK_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'EAI_AGAIN',
+  'EPIPE',
+  'ENOTFOUND',
+]);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Counters per limiter key, plus process-wide totals.
+ */
+const stats = new Map();
+
+function statsFor(key) {
+  if (!stats.has(key)) {
+    stats.set(key, {
+      calls: 0,
+      retries: 0,
+      throttles: 0,
+      serverErrors: 0,
+      networkErrors: 0,
+      failures: 0,
+      inFlight: 0,
+      queued: 0,
+      lastThrottleAt: null,
+      lastRetryAt: null,
+    });
+  }
+  return stats.get(key);
+}
+
+/**
+ * Snapshot of the counters: { totals, byKey: { [merchantIdOrKey]: {...} } }.
+ */
+function getSquareApiStats() {
+  const totals = {
+    calls: 0,
+    retries: 0,
+    throttles: 0,
+    serverErrors: 0,
+    networkErrors: 0,
+    failures: 0,
+    inFlight: 0,
+    queued: 0,
+  };
+  const byKey = {};
+
+  for (const [key, s] of stats.entries()) {
+    byKey[key] = { ...s };
+    Object.keys(totals).forEach((k) => { totals[k] += s[k]; });
+  }
+
+  return { totals, byKey, maxConcurrency: MAX_CONCURRENCY, maxRetries: MAX_RETRIES };
+}
+
+/**
+ * Simple counting semaphore per limiter key.
+ */
+const limiters = new Map();
+
+function limiterFor(key) {
+  if (!limiters.has(key)) limiters.set(key, { active: 0, waiting: [] });
+  return limiters.get(key);
+}
+
+async function acquire(key) {
+  const limiter = limiterFor(key);
+  if (limiter.active < MAX_CONCURRENCY) {
+    limiter.active++;
+    return;
+  }
+
+  const s = statsFor(key);
+  s.queued++;
+  await new Promise((resolve) => limiter.waiting.push(resolve));
+  s.queued--;
+  // The slot is handed over by release(), active stays the same
+}
+
+function release(key) {
+  const limiter = limiterFor(key);
+  const next = limiter.waiting.shift();
+  if (next) next();
+  else limiter.active--;
+}
+
+/**
+ * Classify an error: 'throttle' (429), 'server' (5xx), 'network', or null
+ * when it should not be retried.
+ */
+function retryKind(err) {
+  if (err instanceof ApiError) {
+    if (err.statusCode === 429) return 'throttle';
+    if (err.statusCode >= 500) return 'server';
+    return null;
+  }
+  if (err && RETRYABLE_NETWORK_CODES.has(err.code)) return 'network';
+  return null;
+}
+
+/**
+ * Retry-After is either seconds or an HTTP date. Returns ms or null.
+ */
+function retryAfterMs(err) {
+  const headers = err?.headers || {};
+  const raw = headers['retry-after'] ?? headers['Retry-After'];
+  if (raw == null || raw === '') return null;
+
+  const seconds = Number(raw);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  const at = Date.parse(raw);
+  return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+}
+
+/**
+ * Exponential backoff with jitter (50–100% of the exponential step).
+ */
+function backoffMs(attempt) {
+  const step = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** attempt);
+  return Math.round(step / 2 + Math.random() * (step / 2));
+}
+
+/**
+ * Run one SDK call under the merchant's concurrency limit, retrying 429, 5xx
+ * and transient network errors.
+ */
+async function callWithRetry(key, label, fn) {
+  const s = statsFor(key);
+  await acquire(key);
+  s.inFlight++;
+
+  try {
+    for (let attempt = 0; ; attempt++) {
+      s.calls++;
+      try {
+        return await fn();
+      } catch (err) {
+        const kind = retryKind(err);
+        if (kind === 'throttle') {
+          s.throttles++;
+          s.lastThrottleAt = new Date().toISOString();
+        } else if (kind === 'server') {
+          s.serverErrors++;
+        } else if (kind === 'network') {
+          s.networkErrors++;
+        }
+
+        const retryAfter = kind ? retryAfterMs(err) : null;
+        const giveUp =
+          !kind ||
+          attempt >= MAX_RETRIES ||
+          (retryAfter != null && retryAfter > MAX_RETRY_AFTER_MS);
+
+        if (giveUp) {
+          s.failures++;
+          throw err;
+        }
+
+        const delay = retryAfter != null ? retryAfter : backoffMs(attempt);
+        s.retries++;
+        s.lastRetryAt = new Date().toISOString();
+        console.warn(
+          `Square ${label} ${kind} error (${err.statusCode || err.code}), ` +
+            `retry ${attempt + 1}/${MAX_RETRIES} in ${delay}ms [${key}]`
+        );
+        await sleep(delay);
+      }
+    }
+  } finally {
+    s.inFlight--;
+    release(key);
+  }
+}
+
+/**
+ * Wrap every *Api object on the SDK client so its methods go through
+ * callWithRetry. Other client properties pass through unchanged.
+ */
+function wrapClient(client, key) {
+  const apiCache = new Map();
+
+  return new Proxy(client, {
+    get(target, prop, receiver) {
+      const value = Reflect.get(target, prop, receiver);
+      if (typeof prop !== 'string' || !prop.endsWith('Api') || !value || typeof value !== 'object') {
+        return value;
+      }
+
+      if (!apiCache.has(prop)) {
+        const methodCache = new Map();
+        apiCache.set(prop, new Proxy(value, {
+          get(api, method) {
+            const fn = api[method];
+            if (typeof fn !== 'function' || typeof method !== 'string') return fn;
+
+            if (!methodCache.has(method)) {
+              methodCache.set(method, (...args) =>
+                callWithRetry(key, `${prop}.${method}`, () => fn.apply(api, args))
+              );
+            }
+            return methodCache.get(method);
+          },
+        }));
+      }
+      return apiCache.get(prop);
+    },
+  });
+}
+
+function limiterKey(accessToken, merchantId) {
+  if (merchantId) return merchantId;
+  if (!accessToken) return 'anonymous';
+  return 'token:' + crypto.createHash('sha256').update(accessToken).digest('hex').slice(0, 12);
+}
+
+/**
+ * Create a Square client for a given merchant access token + env.
+ *
+ * All API calls retry 429 / 5xx with backoff and share a concurrency limit
+ * keyed by options.merchantId (or the token when no merchant id is given).
+ * For merchant tokens prefer getSquareClientForMerchant (lib/squareAuth.js),
+ * which refreshes the token first.
+ */
+function createSquareClient(accessToken, env, options = {}) {
+  const client = new Client({
+    environment: env === 'sandbox' ? Environment.Sandbox : Environment.Production,
+    bearerAuthCredentials: { accessToken },
+  });
+  return wrapClient(client, limiterKey(accessToken, options.merchantId));
+}
+
+/**
+ * Client without credentials, for oAuthApi.obtainToken.
+ */
+function createOAuthClient(env) {
+  const client = new Client({
+    environment: env === 'sandbox' ? Environment.Sandbox : Environment.Production,
+  });
+  return wrapClient(client, 'oauth');
+}
+
+module.exports = {
+  createSquareClient,
+  createOAuthClient,
+  getSquareApiStats,
+};
@@ -0,0 +1,330 @@
+// lib/squareWebhooks.js
+const { WebhooksHelper } = require('square/legacy');
+const firestore = require('./firestore');
+const { buildInventoryPayload } = require('./inventorySync');
+const { getSquareClientForMerchant } = require('./squareAuth');
+const { applyCatalogChanges, buildMapsForVariations } = require('./catalogCache');
+const { applyInventoryCounts } = require('./inventoryCounts');
+const { startSyncRun } = require('./syncRuns');
+
+// Firestore `in` queries accept at most 30 values.
+const IN_QUERY_LIMIT = 30;
+
+// An event still 'processing' after this long is taken to have died with its
+// instance (crash, request timeout) and can be claimed by Square's next retry.
+const EVENT_LEASE_MS = parseInt(process.env.WEBHOOK_EVENT_LEASE_MS || String(5 * 60 * 1000), 10);
+
+/**
+ * Verify the x-square-hmacsha256-signature header against the raw body.
+ */
+function isValidSignature(rawBody, signature, notificationUrl) {
+  const signatureKey = process.env.SQUARE_WEBHOOK_SIGNATURE_KEY;
+  if (!signatureKey) throw new Error('SQUARE_WEBHOOK_SIGNATURE_KEY is not configured');
+  if (!rawBody || !signature) return false;
+
+  return WebhooksHelper.isValidWebhookEventSignature(
+    rawBody,
+    signature,
+    signatureKey,
+    notificationUrl
+  );
+}
+
+/**
+ * Claim an event id so retries / duplicate deliveries are processed once.
+ * Returns false when the event was already processed (or is in flight).
+ * Events that previously failed can be claimed again, and so can events whose
+ * 'processing' claim is older than EVENT_LEASE_MS.
+ */
+async function claimEvent(event) {
+  const ref = firestore.collection('webhookEvents').doc(event.event_id);
+
+  return firestore.runTransaction(async (t) => {
+    const snap = await t.get(ref);
+    if (snap.exists) {
+      const prev = snap.data();
+      const claimedAt = Date.parse(prev.claimed_at || prev.received_at || '') || 0;
+      const leaseExpired = prev.status === 'processing' && Date.now() - claimedAt > EVENT_LEASE_MS;
+      if (prev.status !== 'failed' && !leaseExpired) return false;
+    }
+
+    const nowIso = new Date().toISOString();
+    t.set(ref, {
+      event_id: event.event_id,
+      type: event.type,
+      merchant_id: event.merchant_id || null,
+      event_created_at: event.created_at || null,
+      status: 'processing',
+      received_at: snap.exists ? snap.data().received_at || nowIso : nowIso,
+      claimed_at: nowIso,
+      attempts: (snap.exists ? snap.data().attempts || 0 : 0) + 1,
+    }, { merge: true });
+
+    return true;
+  });
+}
+
+async function finishEvent(event, status, extra = {}) {
+  await firestore.collection('webhookEvents').doc(event.event_id).set(
+    {
+      status,
+      finished_at: new Date().toISOString(),
+      ...extra,
+    },
+    { merge: true }
+  );
+}
+
+/**
+ * inventory.count.updated: write the new counts into both inventory docs
+ * (out-of-order events never roll a quantity back; see applyInventoryCounts).
+ */
+async function handleInventoryCountUpdated(event, merchantDoc) {
+  const counts = (event.data?.object?.inventory_counts || [])
+    .filter((c) => !c.catalog_object_type || c.catalog_object_type === 'ITEM_VARIATION')
+    .map((c) => ({
+      catalogObjectId: c.catalog_object_id,
+      locationId: c.location_id,
+      state: c.state,
+      quantity: c.quantity,
+      calculatedAt: c.calculated_at,
+    }));
+
+  const result = await applyInventoryCounts({ merchantDoc, counts });
+  return { counts: (event.data?.object?.inventory_counts || []).length, ...result };
+}
+
+/**
+ * Re-derive catalog fields (name, sku, price, category, ...) for inventory
+ * docs whose variation, item or category changed. Quantities are untouched.
+ * Returns per-location tallies of refreshed docs.
+ */
+async function refreshInventoryDocsForCatalogChanges(merchantDoc, upserted) {
+  const merchantId = merchantDoc.id;
+  const merchant = merchantDoc.data();
+  const invCol = firestore.collection('merchants').doc(merchantId).collection('inventory');
+
+  const byField = {
+    variation_id: upserted.filter((o) => o.type === 'ITEM_VARIATION').map((o) => o.id),
+    item_id: upserted.filter((o) => o.type === 'ITEM').map((o) => o.id),
+    category_id: upserted.filter((o) => o.type === 'CATEGORY').map((o) => o.id),
+  };
+
+  const docsById = new Map();
+  for (const [field, ids] of Object.entries(byField)) {
+    for (let i = 0; i < ids.length; i += IN_QUERY_LIMIT) {
+      const snap = await invCol.where(field, 'in', ids.slice(i, i + IN_QUERY_LIMIT)).get();
+      snap.docs.forEach((d) => docsById.set(d.id, d));
+    }
+  }
+
+  if (!docsById.size) return [];
+
+  const variationIds = Array.from(docsById.values()).map((d) => d.data().catalog_object_id);
+  const maps = await buildMapsForVariations(merchantId, variationIds);
+
+  let batch = firestore.batch();
+  let writes = 0;
+  const byLocation = new Map(); // locationId -> { locationId, locationName, countsProcessed, docsWritten }
+
+  for (const doc of docsById.values()) {
+    const d = doc.data();
+    if (!maps.variationsById[d.catalog_object_id]) continue;
+
+    const payload = buildInventoryPayload({
+      merchantId,
+      merchantName: merchant.business_name,
+      location: { id: d.location_id, name: d.location_name },
+      count: {
+        catalogObjectId: d.catalog_object_id,
+        state: d.state,
+        quantity: d.qty,
+        calculatedAt: d.calculated_at,
+      },
+      maps,
+    });
+
+    // Catalog fields only; never overwrite count fields from an old snapshot
+    delete payload.qty;
+    delete payload.state;
+    delete payload.calculated_at;
+
+    batch.set(firestore.collection('inventory').doc(doc.id), payload, { merge: true });
+    batch.set(doc.ref, payload, { merge: true });
+    writes += 2;
+
+    const tally = byLocation.get(d.location_id) ||
+      { locationId: d.location_id, locationName: d.location_name, countsProcessed: 0, docsWritten: 0 };
+    tally.countsProcessed++;
+    tally.docsWritten += 2;
+    byLocation.set(d.location_id, tally);
+
+    if (writes >= 400) {
+      await batch.commit();
+      batch = firestore.batch();
+      writes = 0;
+    }
+  }
+
+  if (writes) await batch.commit();
+  return Array.from(byLocation.values());
+}
+
+/**
+ * Tombstone the inventory docs (master + merchant copy) of variations and
+ * items deleted in Square, the way reconciliation does (qty 0, stale: true),
+ * so they drop off the dashboards without waiting for the next full sync.
+ * Docs already tombstoned are left alone. Returns per-location tallies.
+ */
+async function tombstoneDeletedCatalogRows(merchantDoc, deletedIds) {
+  const invCol = firestore.collection('merchants').doc(merchantDoc.id).collection('inventory');
+
+  const docsById = new Map();
+  for (const field of ['variation_id', 'item_id']) {
+    for (let i = 0; i < deletedIds.length; i += IN_QUERY_LIMIT) {
+      const snap = await invCol.where(field, 'in', deletedIds.slice(i, i + IN_QUERY_LIMIT)).get();
+      snap.docs.forEach((d) => {
+        if (d.data().stale !== true) docsById.set(d.id, d);
+      });
+    }
+  }
+  if (!docsById.size) return [];
+
+  const nowIso = new Date().toISOString();
+  const tombstone = {
+    stale: true,
+    qty: 0,
+    removed_at: nowIso,
+    removed_reason: 'deleted_in_square',
+    updated_at: nowIso,
+  };
+
+  let batch = firestore.batch();
+  let writes = 0;
+  const byLocation = new Map(); // locationId -> { locationId, locationName, countsProcessed, docsWritten }
+
+  for (const doc of docsById.values()) {
+    const d = doc.data();
+    batch.set(firestore.collection('inventory').doc(doc.id), tombstone, { merge: true });
+    batch.set(doc.ref, tombstone, { merge: true });
+    writes += 2;
+
+    const tally = byLocation.get(d.location_id) ||
+      { locationId: d.location_id, locationName: d.location_name, countsProcessed: 0, docsWritten: 0 };
+    tally.countsProcessed++;
+    tally.docsWritten += 2;
+    byLocation.set(d.location_id, tally);
+
+    if (writes >= 400) {
+      await batch.commit();
+      batch = firestore.batch();
+      writes = 0;
+    }
+  }
+
+  if (writes) await batch.commit();
+  return Array.from(byLocation.values());
+}
+
+/**
+ * Tallies of two passes over the same locations, added up per location.
+ */
+function mergeLocationTallies(...lists) {
+  const byLocation = new Map();
+  lists.flat().forEach((l) => {
+    const tally = byLocation.get(l.locationId) ||
+      { locationId: l.locationId, locationName: l.locationName, countsProcessed: 0, docsWritten: 0 };
+    tally.countsProcessed += l.countsProcessed;
+    tally.docsWritten += l.docsWritten;
+    byLocation.set(l.locationId, tally);
+  });
+  return Array.from(byLocation.values());
+}
+
+/**
+ * catalog.version.updated: pull changes since the last catalog sync into the
+ * cache, refresh affected inventory docs and tombstone the docs of deleted
+ * variations / items. The fetch always starts from the stored
+ * catalog_synced_at, so the order events arrive in does not matter.
+ */
+async function handleCatalogVersionUpdated(event, merchantDoc) {
+  const merchant = merchantDoc.data();
+  const versionUpdatedAt = event.data?.object?.catalog_version?.updated_at || null;
+
+  if (!merchant.catalog_synced_at) {
+    return { skipped: 'no catalog cache yet; built on next full sync' };
+  }
+  if (versionUpdatedAt && versionUpdatedAt <= merchant.catalog_synced_at) {
+    return { skipped: 'catalog cache already newer than this event' };
+  }
+
+  const client = await getSquareClientForMerchant(merchantDoc);
+  const { upserted, deletedIds } = await applyCatalogChanges(merchantDoc, client);
+  const refreshed = await refreshInventoryDocsForCatalogChanges(merchantDoc, upserted);
+  const removed = await tombstoneDeletedCatalogRows(merchantDoc, deletedIds);
+
+  return {
+    upserted: upserted.length,
+    deleted: deletedIds.length,
+    updatedDocs: refreshed.reduce((sum, l) => sum + l.countsProcessed, 0),
+    tombstonedDocs: removed.reduce((sum, l) => sum + l.countsProcessed, 0),
+    locations: mergeLocationTallies(refreshed, removed),
+  };
+}
+
+const HANDLERS = {
+  'inventory.count.updated': handleInventoryCountUpdated,
+  'catalog.version.updated': handleCatalogVersionUpdated,
+};
+
+/**
+ * Process one verified Square webhook event.
+ * Returns { status: 'processed' | 'duplicate' | 'ignored', result? }.
+ */
+async function handleWebhookEvent(event) {
+  const handler = HANDLERS[event?.type];
+  if (!handler || !event.event_id || !event.merchant_id) {
+    return { status: 'ignored' };
+  }
+
+  const claimed = await claimEvent(event);
+  if (!claimed) return { status: 'duplicate' };
+
+  try {
+    const merchantDoc = await firestore.collection('merchants').doc(event.merchant_id).get();
+    if (!merchantDoc.exists) {
+      await finishEvent(event, 'ignored', { reason: 'unknown merchant' });
+      return { status: 'ignored' };
+    }
+
+    const run = await startSyncRun({
+      trigger: 'webhook',
+      scope: { merchantId: merchantDoc.id, eventType: event.type, eventId: event.event_id },
+    });
+    run.startMerchant(merchantDoc.id, merchantDoc.data().business_name);
+
+    let result;
+    try {
+      result = await handler(event, merchantDoc);
+      (result.locations || []).forEach((l) => run.recordLocation(merchantDoc.id, l));
+      await run.finishMerchant(merchantDoc.id);
+      await run.finish();
+    } catch (err) {
+      await run.finishMerchant(merchantDoc.id, err);
+      await run.finish();
+      throw err;
+    }
+
+    const { locations, ...summary } = result;
+    await finishEvent(event, 'done', { result: summary, syncRunId: run.id });
+    return { status: 'processed', result: summary, syncRunId: run.id };
+  } catch (err) {
+    await finishEvent(event, 'failed', { error: err.message || String(err) });
+    throw err;
+  }
+}
+
+module.exports = {
+  isValidSignature,
+  handleWebhookEvent,
+};
@@ -0,0 +1,160 @@
+// lib/syncRuns.js
+const firestore = require('./firestore');
+
+// Keep the run doc well below Firestore's 1 MiB limit
+const MAX_ERRORS = 100;
+
+/**
+ * Start a syncRuns record and return a small recorder used by the sync code.
+ *
+ * trigger: 'task' | 'cli' | 'webhook' | 'manual' (where the run was started from)
+ * scope:   optional { merchantId, locationIds, eventType, ... } describing what was synced
+ *
+ * Doc shape (syncRuns/{runId}):
+ *   runAt, startedAt, finishedAt, durationMs, trigger, scope, status,
+ *   merchantsUpdated, itemsProcessed, docsWritten, errors[],
+ *   merchants[]: { merchantId, merchantName, status, docsWritten, countsProcessed,
+ *                  durationMs, error, locations[]: { locationId, locationName,
+ *                  countsProcessed, docsWritten, pages, durationMs, resumed, complete,
+ *                  reconciled: { mode, dryRun, staleCount, staleDocIds[] },
+ *                  historyChanges, lowStock: { checked, opened, closed, open } } }
+ */
+async function startSyncRun({ trigger, scope = null } = {}) {
+  const ref = firestore.collection('syncRuns').doc();
+  const startedAt = new Date();
+
+  const state = {
+    runAt: startedAt.toISOString(),
+    startedAt: startedAt.toISOString(),
+    finishedAt: null,
+    durationMs: null,
+    trigger: trigger || 'cli',
+    scope,
+    status: 'running',
+    merchantsUpdated: 0,
+    itemsProcessed: 0,
+    docsWritten: 0,
+    errors: [],
+    merchants: [],
+  };
+
+  await ref.set(state);
+
+  function merchantEntry(merchantId, merchantName) {
+    let m = state.merchants.find((x) => x.merchantId === merchantId);
+    if (!m) {
+      m = {
+        merchantId,
+        merchantName: merchantName || merchantId,
+        status: 'running',
+        startedAt: new Date().toISOString(),
+        finishedAt: null,
+        durationMs: null,
+        countsProcessed: 0,
+        docsWritten: 0,
+        error: null,
+        locations: [],
+      };
+      state.merchants.push(m);
+    }
+    return m;
+  }
+
+  function addError(entry) {
+    if (state.errors.length < MAX_ERRORS) {
+      state.errors.push({ ...entry, at: new Date().toISOString() });
+    }
+  }
+
+  async function save() {
+    await ref.set(state);
+  }
+
+  return {
+    id: ref.id,
+    trigger: state.trigger,
+
+    startMerchant(merchantId, merchantName) {
+      merchantEntry(merchantId, merchantName);
+    },
+
+    recordLocation(merchantId, { locationId, locationName, countsProcessed = 0, docsWritten = 0, durationMs = null, ...extra }) {
+      const m = merchantEntry(merchantId);
+      m.locations.push({
+        locationId,
+        locationName: locationName || locationId,
+        countsProcessed,
+        docsWritten,
+        durationMs,
+        ...extra,
+      });
+      m.countsProcessed += countsProcessed;
+      m.docsWritten += docsWritten;
+      state.itemsProcessed += countsProcessed;
+      state.docsWritten += docsWritten;
+    },
+
+    recordError(merchantId, message, extra = {}) {
+      addError({ merchantId, message, ...extra });
+    },
+
+    async finishMerchant(merchantId, err = null) {
+      const m = merchantEntry(merchantId);
+      m.finishedAt = new Date().toISOString();
+      m.durationMs = Date.parse(m.finishedAt) - Date.parse(m.startedAt);
+      if (err) {
+        m.status = 'failed';
+        m.error = err.message || String(err);
+        addError({ merchantId, message: m.error });
+      } else {
+        m.status = 'success';
+        state.merchantsUpdated++;
+      }
+      await save();
+    },
+
+    /**
+     * Close the run. Status is 'failed' when err is given or every merchant
+     * failed, 'partial' when some errors were recorded, otherwise 'success'.
+     */
+    async finish(err = null) {
+      const finishedAt = new Date();
+      state.finishedAt = finishedAt.toISOString();
+      state.durationMs = finishedAt.getTime() - startedAt.getTime();
+
+      if (err) addError({ message: err.message || String(err) });
+
+      const failedMerchants = state.merchants.filter((m) => m.status === 'failed').length;
+      if (err || (state.merchants.length > 0 && failedMerchants === state.merchants.length)) {
+        state.status = 'failed';
+      } else if (failedMerchants > 0 || state.errors.length > 0) {
+        state.status = 'partial';
+      } else {
+        state.status = 'success';
+      }
+
+      await save();
+      return { id: ref.id, ...state };
+    },
+  };
+}
+
+async function getSyncRun(runId) {
+  const snap = await firestore.collection('syncRuns').doc(runId).get();
+  return snap.exists ? { id: snap.id, ...snap.data() } : null;
+}
+
+async function listSyncRuns(limit = 20) {
+  const snap = await firestore
+    .collection('syncRuns')
+    .orderBy('runAt', 'desc')
+    .limit(limit)
+    .get();
+  return snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+}
+
+module.exports = {
+  startSyncRun,
+  getSyncRun,
+  listSyncRuns,
+};
@@ -0,0 +1,87 @@
+// lib/syncState.js
+const firestore = require('./firestore');
+
+// Checkpoints older than this are not resumed (Square cursors do not live forever)
+const MAX_CHECKPOINT_AGE_MS = 24 * 60 * 60 * 1000;
+
+// Default wall-clock budget for one sync invocation. Keep it below the
+// Cloud Run request timeout so the run can checkpoint and report cleanly.
+const DEFAULT_TIME_BUDGET_MS = 45 * 60 * 1000;
+
+/**
+ * Per-location sync checkpoint:
+ *   merchants/{merchantId}/syncState/{locationId}
+ *
+ * { location_id, status: 'in_progress' | 'complete', cursor, pass_id,
+ *   pass_started_at, counts_processed, docs_written, pages, run_id,
+ *   updated_at, completed_at }
+ */
+function checkpointRef(merchantId, locationId) {
+  return firestore.collection('merchants').doc(merchantId).collection('syncState').doc(locationId);
+}
+
+/**
+ * All checkpoints for a merchant, keyed by location id.
+ */
+async function loadCheckpoints(merchantId) {
+  const snap = await firestore.collection('merchants').doc(merchantId).collection('syncState').get();
+  const byLocation = {};
+  snap.docs.forEach((d) => { byLocation[d.id] = d.data(); });
+  return byLocation;
+}
+
+/**
+ * True when the checkpoint is an unfinished pass that can still be picked up.
+ */
+function isResumable(checkpoint, now = Date.now()) {
+  if (!checkpoint || checkpoint.status !== 'in_progress' || !checkpoint.cursor) return false;
+  const updatedAt = Date.parse(checkpoint.updated_at || '');
+  return !Number.isNaN(updatedAt) && now - updatedAt < MAX_CHECKPOINT_AGE_MS;
+}
+
+async function saveCheckpoint(merchantId, locationId, fields) {
+  await checkpointRef(merchantId, locationId).set(
+    {
+      location_id: locationId,
+      ...fields,
+      updated_at: new Date().toISOString(),
+    },
+    { merge: true }
+  );
+}
+
+/**
+ * Locations with a resumable checkpoint first, then the ones finished longest
+ * ago, so a run cut short by its time budget does not starve the same
+ * locations every time.
+ */
+function orderLocationsForSync(locations, checkpoints) {
+  const rank = (loc) => {
+    const cp = checkpoints[loc.id];
+    if (isResumable(cp)) return [0, ''];
+    return [1, (cp && cp.completed_at) || ''];
+  };
+
+  return locations.slice().sort((a, b) => {
+    const [ra, ta] = rank(a);
+    const [rb, tb] = rank(b);
+    return ra - rb || ta.localeCompare(tb);
+  });
+}
+
+/**
+ * Time budget in ms: options.timeBudgetMs, SYNC_TIME_BUDGET_MS, or the default.
+ */
+function resolveTimeBudgetMs(options = {}) {
+  const fromEnv = parseInt(process.env.SYNC_TIME_BUDGET_MS || '', 10);
+  if (options.timeBudgetMs) return options.timeBudgetMs;
+  return Number.isNaN(fromEnv) ? DEFAULT_TIME_BUDGET_MS : fromEnv;
+}
+
+module.exports = {
+  loadCheckpoints,
+  saveCheckpoint,
+  isResumable,
+  orderLocationsForSync,
+  resolveTimeBudgetMs,
+};
@@ -0,0 +1,410 @@
+// lib/transfers.js
+const firestore = require('./firestore');
+const { listParLevels, parLevelDocId } = require('./parLevels');
+const { isActiveRow } = require('./inventoryRows');
+const {
+  buildAdjustment,
+  buildTransfer,
+  resolveVariationsForGtins,
+  applySquareInventoryChanges,
+} = require('./inventoryAdjustments');
+
+/**
+ * Stock transfers between locations:
+ *   transfers/{autoId}
+ *
+ * { gtin, item_name, sku, quantity, mode: 'transfer' | 'paired',
+ *   from: { merchant_id, merchant_name, location_id, location_name, variation_id },
+ *   to:   { merchant_id, merchant_name, location_id, location_name, variation_id },
+ *   status: 'pending' | 'out_posted' | 'completed' | 'failed',
+ *   out_posted_at, in_posted_at, error, created_by, created_at, completed_at }
+ *
+ * Square transfers cannot cross merchants, so a transfer between two merchants
+ * is a pair of adjustments: IN_STOCK -> TRANSFER_OUT_STATE at the source and
+ * NONE -> IN_STOCK at the destination. Within one merchant a native TRANSFER
+ * is used. Each leg has its own idempotency key, so a retry resumes where the
+ * previous attempt stopped without moving stock twice.
+ */
+
+// State the source quantity leaves IN_STOCK to on a cross-merchant transfer.
+// NONE mirrors the destination's NONE -> IN_STOCK and is not reported as
+// shrink (WASTE) or a sale.
+const TRANSFER_OUT_STATE = process.env.TRANSFER_OUT_STATE || 'NONE';
+
+// Without par levels, a location is short below SHORT_DAYS of cover and is
+// topped up to TARGET_DAYS; anything above TARGET_DAYS can be given away.
+const SHORT_DAYS = Number(process.env.TRANSFER_SHORT_DAYS || 7);
+const TARGET_DAYS = Number(process.env.TRANSFER_TARGET_DAYS || 21);
+
+function invalid(message, statusCode = 400) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+/**
+ * Reorder point and target level for one location + GTIN. Par levels win;
+ * otherwise velocity. Returns null when there is nothing to go on.
+ */
+function stockTargets({ qty, par, avgDaily, hasVelocity }) {
+  if (par && (par.min_qty !== null || par.max_qty !== null)) {
+    const floor = par.min_qty ?? par.max_qty;
+    return { floor, target: par.max_qty ?? par.min_qty, basis: 'par' };
+  }
+  if (avgDaily > 0) {
+    return { floor: avgDaily * SHORT_DAYS, target: Math.ceil(avgDaily * TARGET_DAYS), basis: 'velocity' };
+  }
+  // Velocity was computed and nothing sold: all of it is surplus
+  if (hasVelocity && qty > 0) return { floor: 0, target: 0, basis: 'no sales' };
+  return null;
+}
+
+/**
+ * IN_STOCK position per location + GTIN across every merchant.
+ * Returns Map(gtin -> [{ merchant_id, ..., qty, floor, target, basis }]).
+ */
+async function loadStockPositions({ gtin } = {}) {
+  const merchantsSnap = await firestore.collection('merchants').get();
+  const byGtin = new Map();
+
+  for (const merchantDoc of merchantsSnap.docs) {
+    const merchantId = merchantDoc.id;
+    const merchantName = merchantDoc.data().business_name || merchantId;
+
+    let q = firestore
+      .collection('merchants')
+      .doc(merchantId)
+      .collection('inventory')
+      .where('state', '==', 'IN_STOCK');
+    if (gtin) q = q.where('gtin', '==', gtin);
+
+    const [invSnap, pars] = await Promise.all([q.get(), listParLevels({ merchantId })]);
+    const parById = new Map(pars.map((p) => [p.id, p]));
+
+    // Duplicate variations of a GTIN at a location are summed
+    const positions = new Map();
+    invSnap.docs.forEach((doc) => {
+      const d = doc.data();
+      if (!d.gtin || !d.location_id || d.synthetic === true || !isActiveRow(d)) return;
+
+      const key = `${d.location_id}|${d.gtin}`;
+      const pos = positions.get(key) || {
+        merchant_id: merchantId,
+        merchant_name: merchantName,
+        location_id: d.location_id,
+        location_name: d.location_name || d.location_id,
+        gtin: d.gtin,
+        item_name: d.item_name || null,
+        sku: d.sku || null,
+        variation_id: d.variation_id || null,
+        qty: 0,
+        avg_daily_sales: 0,
+        has_velocity: false,
+      };
+      pos.qty += Number(d.qty) || 0;
+      // avg_daily_sales is already per GTIN and location, so it is not summed
+      if (d.velocity_updated_at) {
+        pos.has_velocity = true;
+        pos.avg_daily_sales = Math.max(pos.avg_daily_sales, Number(d.avg_daily_sales) || 0);
+      }
+      positions.set(key, pos);
+    });
+
+    positions.forEach((pos) => {
+      const targets = stockTargets({
+        qty: pos.qty,
+        par: parById.get(parLevelDocId(merchantId, pos.location_id, pos.gtin)),
+        avgDaily: pos.avg_daily_sales,
+        hasVelocity: pos.has_velocity,
+      });
+      if (!targets) return;
+
+      if (!byGtin.has(pos.gtin)) byGtin.set(pos.gtin, []);
+      byGtin.get(pos.gtin).push({ ...pos, ...targets });
+    });
+  }
+
+  return byGtin;
+}
+
+/**
+ * Suggested moves: for each GTIN, locations below their reorder point are
+ * filled (up to target) from locations holding more than their target,
+ * largest surplus first. Source and destination are never the same location.
+ *
+ * Returns [{ gtin, item_name, sku, quantity, from, to }] sorted by GTIN.
+ */
+async function suggestTransfers({ gtin, merchantId } = {}) {
+  const byGtin = await loadStockPositions({ gtin });
+  const suggestions = [];
+
+  byGtin.forEach((positions, g) => {
+    const short = positions
+      .filter((p) => p.qty < p.floor && p.target > p.qty)
+      .map((p) => ({ ...p, need: Math.ceil(p.target - p.qty) }))
+      .sort((a, b) => b.need - a.need);
+    const surplus = positions
+      .filter((p) => p.qty > p.target)
+      .map((p) => ({ ...p, spare: Math.floor(p.qty - p.target) }))
+      .filter((p) => p.spare > 0)
+      .sort((a, b) => b.spare - a.spare);
+
+    for (const dest of short) {
+      for (const src of surplus) {
+        if (dest.need <= 0) break;
+        if (src.spare <= 0 || src.location_id === dest.location_id) continue;
+
+        const quantity = Math.min(dest.need, src.spare);
+        dest.need -= quantity;
+        src.spare -= quantity;
+
+        const side = (p) => ({
+          merchant_id: p.merchant_id,
+          merchant_name: p.merchant_name,
+          location_id: p.location_id,
+          location_name: p.location_name,
+          variation_id: p.variation_id,
+          qty: p.qty,
+          target: p.target,
+          basis: p.basis,
+        });
+        suggestions.push({
+          gtin: g,
+          item_name: dest.item_name || src.item_name,
+          sku: dest.sku || src.sku,
+          quantity,
+          from: side(src),
+          to: side(dest),
+        });
+      }
+    }
+  });
+
+  return suggestions
+    .filter((s) => !merchantId || s.from.merchant_id === merchantId || s.to.merchant_id === merchantId)
+    .sort((a, b) => (a.item_name || a.gtin).localeCompare(b.item_name || b.gtin));
+}
+
+function merchantRef(merchantId) {
+  return firestore.collection('merchants').doc(merchantId);
+}
+
+async function locationSide(merchantId, locationId) {
+  const snap = await merchantRef(merchantId).get();
+  if (!snap.exists) throw invalid(`Merchant ${merchantId} not found`, 404);
+  const location = (snap.data().locations || []).find((l) => l.id === locationId);
+  return {
+    merchant_id: merchantId,
+    merchant_name: snap.data().business_name || merchantId,
+    location_id: locationId,
+    location_name: (location && location.name) || locationId,
+  };
+}
+
+/**
+ * Create approved transfers ([{ gtin, quantity, from: { merchant_id, location_id },
+ * to: { merchant_id, location_id } }]) and post each one to Square.
+ *
+ * trail is passed on to postTransfer().
+ *
+ * Returns the transfers (status 'completed', or 'failed' / 'out_posted' with error).
+ */
+async function createTransfers({ transfers, createdBy, trail = null }) {
+  const wanted = (transfers || []).map((t) => ({
+    gtin: String(t.gtin || '').trim(),
+    quantity: Number(t.quantity),
+    from: t.from || {},
+    to: t.to || {},
+  }));
+
+  if (!wanted.length) throw invalid('Nothing to transfer');
+  wanted.forEach((t) => {
+    if (!t.gtin) throw invalid('gtin is required');
+    if (!Number.isInteger(t.quantity) || t.quantity <= 0) throw invalid(`Invalid quantity for ${t.gtin}`);
+    if (!t.from.merchant_id || !t.from.location_id || !t.to.merchant_id || !t.to.location_id) {
+      throw invalid(`Source and destination are required for ${t.gtin}`);
+    }
+    if (t.from.location_id === t.to.location_id) throw invalid(`Source and destination are the same for ${t.gtin}`);
+  });
+
+  // Resolve and check every transfer before anything is posted, so a bad one
+  // rejects the whole request instead of leaving earlier ones moved
+  const resolved = [];
+  for (const t of wanted) {
+    const [from, to] = await Promise.all([
+      locationSide(t.from.merchant_id, t.from.location_id),
+      locationSide(t.to.merchant_id, t.to.location_id),
+    ]);
+    const [fromVariations, toVariations] = await Promise.all([
+      resolveVariationsForGtins(from.merchant_id, from.location_id, [t.gtin]),
+      resolveVariationsForGtins(to.merchant_id, to.location_id, [t.gtin]),
+    ]);
+    from.variation_id = fromVariations.get(t.gtin) || null;
+    to.variation_id = toVariations.get(t.gtin) || null;
+
+    if (!from.variation_id) throw invalid(`${from.merchant_name} has no Square variation for GTIN ${t.gtin}`);
+    if (!to.variation_id) throw invalid(`${to.merchant_name} has no Square variation for GTIN ${t.gtin}`);
+
+    const itemSnap = await merchantRef(from.merchant_id)
+      .collection('inventory')
+      .where('variation_id', '==', from.variation_id)
+      .limit(1)
+      .get();
+    const item = itemSnap.empty ? {} : itemSnap.docs[0].data();
+
+    resolved.push({ ...t, from, to, item });
+  }
+
+  const results = [];
+  for (const { gtin, quantity, from, to, item } of resolved) {
+    const ref = firestore.collection('transfers').doc();
+    await ref.set({
+      gtin,
+      item_name: item.item_name || null,
+      sku: item.sku || null,
+      quantity,
+      mode: from.merchant_id === to.merchant_id ? 'transfer' : 'paired',
+      from,
+      to,
+      status: 'pending',
+      error: null,
+      out_posted_at: null,
+      in_posted_at: null,
+      created_by: createdBy || null,
+      created_at: new Date().toISOString(),
+      completed_at: null,
+    });
+
+    results.push(await postTransfer(ref.id, { trail }));
+  }
+
+  return results;
+}
+
+/**
+ * Post a pending / failed transfer to Square. A cross-merchant transfer posts
+ * the source leg first, then the destination leg; a retry skips a leg that
+ * already went through. trail is passed on to applySquareInventoryChanges().
+ */
+async function postTransfer(transferId, { trail = null } = {}) {
+  const ref = firestore.collection('transfers').doc(transferId);
+  const snap = await ref.get();
+  if (!snap.exists) throw invalid('Transfer not found', 404);
+  const transfer = snap.data();
+  if (transfer.status === 'completed') throw invalid('Transfer is already completed', 409);
+
+  const historyExtra = { transfer_id: transferId, source_name: 'Transfer' };
+  const occurredAt = transfer.created_at || new Date().toISOString();
+  const { from, to } = transfer;
+
+  const fail = async (err, patch = {}) => {
+    console.error(`Transfer ${transferId} failed to post`, err);
+    const update = { ...patch, status: patch.status || 'failed', error: err.message || String(err) };
+    await ref.update(update);
+    return { id: transferId, ...transfer, ...update };
+  };
+
+  if (transfer.mode === 'transfer') {
+    try {
+      await applySquareInventoryChanges({
+        merchantDoc: await merchantRef(from.merchant_id).get(),
+        changes: [
+          buildTransfer({
+            variationId: from.variation_id,
+            fromLocationId: from.location_id,
+            toLocationId: to.location_id,
+            quantity: transfer.quantity,
+            referenceId: transferId,
+            occurredAt,
+          }),
+        ],
+        idempotencyKey: `transfer-${transferId}`,
+        historyExtra,
+        trail,
+      });
+    } catch (err) {
+      return fail(err);
+    }
+
+    const nowIso = new Date().toISOString();
+    const update = { status: 'completed', error: null, out_posted_at: nowIso, in_posted_at: nowIso, completed_at: nowIso };
+    await ref.update(update);
+    return { id: transferId, ...transfer, ...update };
+  }
+
+  let outPostedAt = transfer.out_posted_at;
+  if (!outPostedAt) {
+    try {
+      await applySquareInventoryChanges({
+        merchantDoc: await merchantRef(from.merchant_id).get(),
+        changes: [
+          buildAdjustment({
+            variationId: from.variation_id,
+            locationId: from.location_id,
+            quantity: transfer.quantity,
+            fromState: 'IN_STOCK',
+            toState: TRANSFER_OUT_STATE,
+            referenceId: transferId,
+            occurredAt,
+          }),
+        ],
+        idempotencyKey: `transfer-${transferId}-out`,
+        historyExtra: { ...historyExtra, transfer_leg: 'out' },
+        trail,
+      });
+    } catch (err) {
+      return fail(err);
+    }
+    outPostedAt = new Date().toISOString();
+    await ref.update({ status: 'out_posted', out_posted_at: outPostedAt, error: null });
+  }
+
+  try {
+    await applySquareInventoryChanges({
+      merchantDoc: await merchantRef(to.merchant_id).get(),
+      changes: [
+        buildAdjustment({
+          variationId: to.variation_id,
+          locationId: to.location_id,
+          quantity: transfer.quantity,
+          fromState: 'NONE',
+          toState: 'IN_STOCK',
+          referenceId: transferId,
+          occurredAt,
+        }),
+      ],
+      idempotencyKey: `transfer-${transferId}-in`,
+      historyExtra: { ...historyExtra, transfer_leg: 'in' },
+      trail,
+    });
+  } catch (err) {
+    // Stock has left the source; keep out_posted so the retry only posts the destination leg
+    return fail(err, { status: 'out_posted', out_posted_at: outPostedAt });
+  }
+
+  const nowIso = new Date().toISOString();
+  const update = { status: 'completed', error: null, out_posted_at: outPostedAt, in_posted_at: nowIso, completed_at: nowIso };
+  await ref.update(update);
+  return { id: transferId, ...transfer, ...update };
+}
+
+/**
+ * Newest first; equality filters only.
+ */
+async function listTransfers({ status, limit = 100 } = {}) {
+  let q = firestore.collection('transfers');
+  if (status) q = q.where('status', '==', status);
+  else q = q.orderBy('created_at', 'desc').limit(limit);
+
+  const snap = await q.get();
+  const rows = snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+  rows.sort((a, b) => (b.created_at || '').localeCompare(a.created_at || ''));
+  return rows.slice(0, limit);
+}
+
+module.exports = {
+  suggestTransfers,
+  createTransfers,
+  postTransfer,
+  listTransfers,
+};
@@ -0,0 +1,43 @@
+// Progress for background jobs (lib/jobs.js): poll GET /api/jobs/:id and
+// draw it into a .job-progress element.
+//
+//   <div class="job-progress" hidden>
+//     <div class="job-progress__track"><div class="job-progress__bar"></div></div>
+//     <span class="job-progress__text"></span>
+//   </div>
+(function () {
+  const FINISHED = ['succeeded', 'failed', 'cancelled'];
+
+  async function getJob(jobId) {
+    const res = await fetch('/api/jobs/' + encodeURIComponent(jobId), { headers: { 'Accept': 'application/json' } });
+    const data = await res.json();
+    if (!res.ok || !data.success) throw new Error(data.error || 'Failed to load job');
+    return data.job;
+  }
+
+  // Resolves with the finished job (succeeded, failed or cancelled)
+  async function waitForJob(jobId, onUpdate, intervalMs = 1500) {
+    while (true) {
+      const job = await getJob(jobId);
+      if (onUpdate) onUpdate(job);
+      if (FINISHED.includes(job.status)) return job;
+      await new Promise(resolve => setTimeout(resolve, intervalMs));
+    }
+  }
+
+  function renderJobProgress(el, job) {
+    if (!el) return;
+    el.hidden = false;
+    el.classList.toggle('is-failed', job.status === 'failed' || job.status === 'cancelled');
+    el.querySelector('.job-progress__bar').style.width = (job.status === 'queued' ? 0 : job.progress || 0) + '%';
+
+    const text = job.status === 'queued' ? 'Queued…'
+      : job.status === 'running' ? `${job.progress || 0}%${job.progress_message ? ' · ' + job.progress_message : ''}`
+      : job.status === 'failed' ? 'Failed: ' + (job.error || 'unknown error')
+      : job.status === 'cancelled' ? 'Cancelled'
+      : 'Done';
+    el.querySelector('.job-progress__text').textContent = text;
+  }
+
+  window.Jobs = { getJob, waitForJob, renderJobProgress };
+})();
@@ -0,0 +1,20 @@
+// scripts/applyScheduledPrices.js
+require('dotenv').config();
+
+const { runDuePriceChanges } = require('../lib/scheduledPrices');
+
+async function main() {
+  console.log('Applying due scheduled price changes');
+
+  const { applied, reverted, expired, overridden, failed } = await runDuePriceChanges();
+  console.log(
+    `Done: ${applied} applied, ${reverted} reverted, ${expired} expired, ` +
+    `${overridden} left as edited, ${failed} failed.`
+  );
+  if (failed) process.exitCode = 1;
+}
+
+main().catch((err) => {
+  console.error('Fatal error applying scheduled prices:', err);
+  process.exit(1);
+});
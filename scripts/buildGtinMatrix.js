@@ -23,7 +23,9 @@
  *           location_id,
  *           location_name,
  *           variation_id,
+ *           variation_version,
  *           item_id,
+ *           item_version,
  *           price,
  *           currency,
  *           qty,
@@ -106,6 +108,7 @@
 // scripts/buildGtinMatrix.js
 require('dotenv').config();
 const firestore = require('../lib/firestore');
+const { isActiveRow } = require('../lib/inventoryRows');
 
 const DEFAULT_READ_PAGE = 1000;     // read batch
 const DEFAULT_WRITE_BATCH = 400;    // <= 500 safe headroom
@@ -184,6 +187,8 @@ async function main() {
     for (const doc of snap.docs) {
       scanned++;
       const d = doc.data();
+      // Archived rows (see /trash) and stale tombstones are not priced or compared
+      if (!isActiveRow(d)) continue;
 
       const gtin = d.gtin ? String(d.gtin).trim() : '';
       if (!gtin) continue;
@@ -202,6 +207,9 @@ async function main() {
         merchant_id: d.merchant_id || null,
         location_id: d.location_id || null,
         variation_id: d.variation_id || null,
+        variation_version: d.variation_version || null,
+        item_id: d.item_id || null,
+        item_version: d.item_version || null,
         calculated_at: d.calculated_at || null,
         updated_at: d.updated_at || null,
       };
@@ -219,6 +227,7 @@ async function main() {
     const pageBest = new Map(); // key = `${gtin}||${locKey}` -> {gtin, locKey, docData}
     for (const doc of snap.docs) {
       const d = doc.data();
+      if (!isActiveRow(d)) continue;
       const gtin = d.gtin ? String(d.gtin).trim() : '';
       if (!gtin) continue;
 
@@ -234,6 +243,9 @@ async function main() {
         merchant_id: d.merchant_id || null,
         location_id: d.location_id || null,
         variation_id: d.variation_id || null,
+        variation_version: d.variation_version || null,
+        item_id: d.item_id || null,
+        item_version: d.item_version || null,
         calculated_at: d.calculated_at || null,
         updated_at: d.updated_at || null,
       };
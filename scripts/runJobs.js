@@ -0,0 +1,17 @@
+// scripts/runJobs.js
+require('dotenv').config();
+
+const { drainJobs } = require('../lib/jobs');
+require('../lib/jobTypes');
+
+async function main() {
+  console.log('Running queued background jobs');
+
+  const ran = await drainJobs();
+  console.log(`Done: ${ran} job(s) run.`);
+}
+
+main().catch((err) => {
+  console.error('Fatal error running jobs:', err);
+  process.exit(1);
+});
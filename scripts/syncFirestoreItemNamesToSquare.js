@@ -1,10 +1,8 @@
 // scripts/syncFirestoreItemNamesToSquare.js
 require('dotenv').config();
 
-const {
-    createSquareClient,
-    buildCatalogMaps,
-} = require('../lib/inventorySync');
+const { listCatalogMaps } = require('../lib/catalogCache');
+const { getSquareClientForMerchant } = require('../lib/squareAuth');
 
 const firestore = require('../lib/firestore'); // or './lib/firestore' from root
 
@@ -38,10 +36,10 @@ async function syncMerchantItemNamesToSquare(merchantDoc) {
         return;
     }
 
-    const client = createSquareClient(data.access_token, env);
+    const client = await getSquareClientForMerchant(merchantDoc);
 
     // 1) Build catalog maps so we know current Square item names
-    const { itemsById } = await buildCatalogMaps(client);
+    const { itemsById } = await listCatalogMaps(client);
 
     // 2) Load Firestore inventory docs for this merchant
     const invColRef = firestore
@@ -8,15 +8,32 @@ const {
 
 const firestore = require('../lib/firestore'); // or './lib/firestore' from root
 
+const args = process.argv.slice(2);
+
 // Allow filtering to one merchant:
 // - MERCHANT_ID env var
-// - or first CLI arg
+// - or first (non-flag) CLI arg
 const TARGET_MERCHANT_ID =
-  process.env.MERCHANT_ID || process.argv[2] || null;
+  process.env.MERCHANT_ID || args.find((a) => !a.startsWith('--')) || null;
+
+// Force a full catalog rebuild instead of an incremental fetch:
+// - FULL_CATALOG=true env var
+// - or --full-catalog flag
+const FULL_CATALOG =
+  (process.env.FULL_CATALOG || '').toLowerCase() === 'true' ||
+  args.includes('--full-catalog');
+
+// Report stale inventory docs without removing them:
+// - RECONCILE_DRY_RUN=true env var (read in lib/inventoryReconcile.js)
+// - or --reconcile-dry-run flag
+const RECONCILE_DRY_RUN = args.includes('--reconcile-dry-run');
 
 async function main() {
+  const options = { fullCatalog: FULL_CATALOG };
+  if (RECONCILE_DRY_RUN) options.reconcile = { dryRun: true };
+
   console.log(
-    `Starting inventory sync (TARGET_MERCHANT_ID=${TARGET_MERCHANT_ID || 'ALL'})`
+    `Starting inventory sync (TARGET_MERCHANT_ID=${TARGET_MERCHANT_ID || 'ALL'}, FULL_CATALOG=${FULL_CATALOG})`
   );
 
   if (TARGET_MERCHANT_ID) {
@@ -33,7 +50,7 @@ async function main() {
       process.exit(1);
     }
 
-    await syncMerchantInventory(doc);
+    await syncMerchantInventory(doc, options);
     console.log(
       `Finished inventory sync for merchant ${TARGET_MERCHANT_ID}.`
     );
@@ -41,7 +58,7 @@ async function main() {
   }
 
   // Otherwise, run for all merchants
-  await syncAllMerchants();
+  await syncAllMerchants(options);
   console.log('Finished inventory sync for all merchants.');
 }
 
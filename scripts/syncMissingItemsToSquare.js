@@ -1,10 +1,8 @@
 // scripts/syncMissingItemsToSquare.js
 require('dotenv').config();
 
-const {
-  createSquareClient,
-  buildCatalogMaps,
-} = require('../lib/inventorySync');
+const { listCatalogMaps } = require('../lib/catalogCache');
+const { getSquareClientForMerchant } = require('../lib/squareAuth');
 
 const firestore = require('../lib/firestore'); // or './lib/firestore' from root
 
@@ -40,10 +38,10 @@ async function syncMissingItemsForMerchant(merchantDoc) {
     return;
   }
 
-  const client = createSquareClient(data.access_token, env);
+  const client = await getSquareClientForMerchant(merchantDoc);
 
   // 1) Build catalog maps so we can check if an item with this GTIN already exists
-  const { itemsById, variationsById } = await buildCatalogMaps(client);
+  const { itemsById, variationsById } = await listCatalogMaps(client);
 
   // Build a quick lookup: gtin -> itemId for this merchant
   const gtinToItemId = new Map();
@@ -0,0 +1,40 @@
+// scripts/syncSalesVelocity.js
+require('dotenv').config();
+
+const {
+  syncAllSalesVelocity,
+  syncMerchantSalesVelocity,
+} = require('../lib/salesVelocity');
+
+const firestore = require('../lib/firestore');
+
+// Allow filtering to one merchant:
+// - MERCHANT_ID env var
+// - or first CLI arg
+const TARGET_MERCHANT_ID = process.env.MERCHANT_ID || process.argv[2] || null;
+
+async function main() {
+  console.log(`Starting sales velocity sync (TARGET_MERCHANT_ID=${TARGET_MERCHANT_ID || 'ALL'})`);
+
+  if (TARGET_MERCHANT_ID) {
+    const doc = await firestore.collection('merchants').doc(TARGET_MERCHANT_ID).get();
+    if (!doc.exists) {
+      console.error(`Merchant document "${TARGET_MERCHANT_ID}" not found in Firestore.`);
+      process.exit(1);
+    }
+
+    await syncMerchantSalesVelocity(doc);
+    console.log(`Finished sales velocity sync for merchant ${TARGET_MERCHANT_ID}.`);
+    return;
+  }
+
+  const results = await syncAllSalesVelocity();
+  const failed = results.filter((r) => r.status === 'failed');
+  console.log(`Finished sales velocity sync for ${results.length} merchants (${failed.length} failed).`);
+  if (failed.length) process.exitCode = 1;
+}
+
+main().catch((err) => {
+  console.error('Fatal error in sales velocity sync:', err);
+  process.exit(1);
+});
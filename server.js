@@ -1,6 +1,10 @@
 const app = require('./app');
+const { startJobWorker } = require('./lib/jobs');
 
 const port = process.env.PORT || 8080;
 app.listen(port, () => {
   console.log(`Server listening on port ${port}`);
 });
+
+// Background jobs (lib/jobs.js); JOB_WORKER=0 leaves them to /tasks/run-jobs
+if (process.env.JOB_WORKER !== '0') startJobWorker();